@@ -1,309 +1,673 @@
 const vscode = require('vscode');
-const { Stack } = require('./src/stack');
-const { convertOpcode: processOpcode } = require('./src/converter');
-const { opcodeList, customOpcodeList } = require('./src/opcodes');
-const {Ok, Err, ResultException} = require('./src/utils');
+const fs = require('fs');
+const path = require('path');
+const child_process = require('child_process');
+const { Worker } = require('worker_threads');
+const { isDeepStrictEqual } = require('util');
+const { collectConstants } = require('./src/macro');
+const { DEFAULT_MACROS, findScriptBlocks, findItems, enclosingItems } = require('./src/scanner');
+const { indexSource, replaceGadgets } = require('./src/gadgets');
+const { scopeAt, gadgetKey, resolveGadget } = require('./src/resolve');
+const { indexExpansion, indexExpandedBlocks, blockKey } = require('./src/expand');
 
+/**
+ * Script-returning functions of the workspace, inlined where a block calls them
+ * @type {import('./src/gadgets').GadgetIndex}
+ */
+const gadgets = new Map();
 
 /**
- * 
- * @param {vscode.ExtensionContext} context 
- * @param {import('vscode').TextEditor} editor 
+ * Script-returning functions of the configured `cargo expand` output, they take precedence
+ * over the ones parsed from the source
+ * @type {import('./src/gadgets').GadgetIndex}
  */
-function activate_inner(context,editor) {
-	let processor;
-	if (editor.document.languageId === "rust") {
-		processor = processBtcScriptInRustFile;
-	}
+const expandedGadgets = new Map();
 
-	if (editor.document.languageId === "bitcoinscript") {
-		processor = processBtcScript;
-	}
+/**
+ * The script macros of every function of the `cargo expand` output, translated, by blockKey
+ * @type {Map<string, String[]>}
+ */
+let expandedBlocks = new Map();
 
-	processor(editor);
-	vscode.workspace.onDidChangeTextDocument((event) => {
-		if (editor && editor.document === event.document) {
-			processor(editor);
-		}
-	})
-}
+
+/**
+ * How long typing has to pause before a document is evaluated again, in milliseconds
+ */
+const REFRESH_DELAY = 150;
+
+/**
+ * The decoration types every hint is drawn with, created once on activation
+ * @type {{hint: vscode.TextEditorDecorationType, error: vscode.TextEditorDecorationType}}
+ */
+let decorationTypes;
+
+/**
+ * The errors of the blocks in the Problems panel, by document
+ * @type {vscode.DiagnosticCollection}
+ */
+let diagnostics;
+
+/**
+ * Pending evaluations of changed documents, by URI
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const pendingRefreshes = new Map();
+
+/**
+ * The worker thread blocks are evaluated on, started by the first evaluation and again
+ * after it exits. It keeps what the last evaluation of every block left to resume from
+ * @type {Worker | null}
+ */
+let worker = null;
+
+/**
+ * Evaluations waiting for the reply of the worker, by request id
+ * @type {Map<number, (reply: import('./src/worker').EvaluateReply) => void>}
+ */
+const replies = new Map();
+
+let nextRequest = 0;
+
+/**
+ * The cancel flag of the evaluation in progress of every document, by URI
+ * @type {Map<string, Int32Array>}
+ */
+const evaluations = new Map();
+
+/**
+ * Transaction files being read or sent to the worker already, by path. A file is read
+ * again once it changes
+ * @type {Map<string, Promise<void>>}
+ */
+const transactions = new Map();
+
+/**
+ * Watches the file of the btc-script.transactionFile setting in every workspace folder
+ * @type {vscode.FileSystemWatcher | null}
+ */
+let transactionWatcher = null;
 
 /**
  * @param {vscode.ExtensionContext} context
  */
 function activate(context) {
-	const editor = vscode.window.activeTextEditor;
-	activate_inner(context, editor); 
-
-	vscode.window.onDidChangeActiveTextEditor((editor) => {
-		activate_inner(context, editor);
-	})
+	const style = (color) => vscode.window.createTextEditorDecorationType({ after: { color, fontStyle: 'italic' } });
+	decorationTypes = { hint: style("gray"), error: style("red") };
+	diagnostics = vscode.languages.createDiagnosticCollection("btc-script");
+	context.subscriptions.push(
+		decorationTypes.hint,
+		decorationTypes.error,
+		diagnostics,
+		vscode.workspace.onDidChangeTextDocument((event) => scheduleRefresh(event.document)),
+		vscode.window.onDidChangeVisibleTextEditors(refreshVisible),
+		vscode.workspace.onDidCloseTextDocument(forgetDocument),
+		vscode.workspace.onDidChangeConfiguration((event) => {
+			if (event.affectsConfiguration("btc-script.transactionFile")) {
+				watchTransactions();
+			}
+			if (event.affectsConfiguration("btc-script.expandFile") || event.affectsConfiguration("btc-script.expandCommand")) {
+				// the hints wait for the new output
+				loadExpansion().then(refreshVisible);
+			} else if (event.affectsConfiguration("btc-script")) {
+				refreshVisible();
+			}
+		}),
+		{ dispose: () => pendingRefreshes.forEach((timeout) => clearTimeout(timeout)) },
+		{ dispose: () => worker !== null && worker.terminate() },
+		{ dispose: () => transactionWatcher !== null && transactionWatcher.dispose() }
+	);
+	watchTransactions();
+	// the first hints wait for the gadgets so that calls are inlined from the start
+	Promise.all([indexGadgets(context), watchExpansion(context)]).then(refreshVisible);
 }
 
 /**
- * Adds virtual text at the end of the line
- * @param {vscode.TextEditor} editor
- * @param {Number} line
- * @param {String} hintText
- * @param {String} color
- */
-function addVirtualText(editor, line, hintText, color) {
-    const decorationType = vscode.window.createTextEditorDecorationType({
-        after: {
-            contentText: hintText, // Text to display inline
-            color: color, // Customize the color
-            fontStyle: 'italic', // Optional: Add styling like italics
-        },
-    });
-
-    const range = new vscode.Range(
-        new vscode.Position(line, Number.MAX_SAFE_INTEGER), // End of the line
-        new vscode.Position(line, Number.MAX_SAFE_INTEGER)
-    );
-
-    // Apply the decoration
-    editor.setDecorations(decorationType, [{ range }]);
-
-	vscode.workspace.onDidChangeTextDocument(() => {
-        decorationType.dispose();
-    });
+ * Languages whose documents have script blocks
+ */
+const SCRIPT_LANGUAGES = ["rust", "bitcoinscript"];
+
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {boolean} - it has script blocks and is shown in an editor
+ */
+function isVisibleScript(document) {
+	return SCRIPT_LANGUAGES.includes(document.languageId) && vscode.window.visibleTextEditors.some((editor) => editor.document === document);
 }
 
-// This method is called when your extension is deactivated
-function deactivate() {}
+/**
+ * Evaluates a document again once typing pauses, if it is visible and may have script blocks
+ * @param {vscode.TextDocument} document
+ */
+function scheduleRefresh(document) {
+	if (!isVisibleScript(document)) {
+		return;
+	}
+	const key = document.uri.toString();
+	// the evaluation in progress is of a version that is gone
+	cancelEvaluation(key);
+	clearTimeout(pendingRefreshes.get(key));
+	pendingRefreshes.set(key, setTimeout(() => {
+		pendingRefreshes.delete(key);
+		refreshDocument(document);
+	}, REFRESH_DELAY));
+}
 
+/**
+ * Evaluates the documents of the visible editors
+ */
+function refreshVisible() {
+	for (const document of new Set(vscode.window.visibleTextEditors.map((editor) => editor.document))) {
+		refreshDocument(document);
+	}
+}
 
 /**
- * @typedef {Object} GlobalState
- * @property {Boolean} shouldContinue
- * @property {Boolean} shouldRender
- * @property {State} innerState
+ * Evaluates a document, draws its hints in every visible editor showing it and lists its problems
+ * @param {vscode.TextDocument} document
  */
+function refreshDocument(document) {
+	if (!isVisibleScript(document)) {
+		return;
+	}
+	const blocks = document.languageId === "rust" ? processBtcScriptInRustFile(document) : processBtcScript(document);
+	evaluate(document, blocks).then((hints) => {
+		// a newer evaluation draws its own hints
+		if (hints === null) {
+			return;
+		}
+		for (const editor of vscode.window.visibleTextEditors.filter((editor) => editor.document === document)) {
+			drawHints(editor, hints);
+		}
+		diagnostics.set(document.uri, hints.filter((hint) => hint.problem !== undefined).map(toDiagnostic));
+	});
+}
 
 /**
- * 
- * @param {import('vscode').TextEditor} editor 
- * @returns 
+ * @returns {Worker}
  */
-function processBtcScript(editor) {
-	if (!editor) return;
-	const document = editor.document;
-	let text = document.getText();
+function startWorker() {
+	if (worker !== null) {
+		return worker;
+	}
+	worker = new Worker(path.join(__dirname, "src", "worker.js"));
+	// later changes are sent as they happen
+	worker.postMessage({ type: "gadgets", files: [], gadgets: [...gadgets.values()] });
+	worker.postMessage({ type: "expansion", gadgets: [...expandedGadgets.values()] });
+	worker.on("message", (/** @type {import('./src/worker').EvaluateReply} */ reply) => {
+		const resolve = replies.get(reply.id);
+		replies.delete(reply.id);
+		if (resolve !== undefined) {
+			resolve(reply);
+		}
+	});
+	// an uncaught error ends the worker, which is handled on its exit
+	worker.on("error", () => {});
+	worker.on("exit", () => {
+		worker = null;
+		// the caches are gone with the worker, the next evaluations start a new one from scratch
+		transactions.clear();
+		replies.forEach((resolve, id) => resolve({ id, cancelled: true }));
+		replies.clear();
+	});
+	return worker;
+}
 
-	handleScript(editor, 0, document.lineCount, 0);
+/**
+ * Tells the worker to drop the evaluation of a document in progress, it stops at its next opcode
+ * @param {String} key - URI of the document
+ */
+function cancelEvaluation(key) {
+	const cancel = evaluations.get(key);
+	if (cancel !== undefined) {
+		Atomics.store(cancel, 0, 1);
+		evaluations.delete(key);
+	}
 }
 
-/** 
-* @param {vscode.TextEditor} editor
-**/
-function processBtcScriptInRustFile(editor) {
-	if (!editor) return;
+/**
+ * @param {vscode.TextDocument} document
+ */
+function forgetDocument(document) {
+	const key = document.uri.toString();
+	cancelEvaluation(key);
+	diagnostics.delete(document.uri);
+	if (worker !== null) {
+		worker.postMessage({ type: "close", uri: key });
+	}
+}
 
-	const document = editor.document;
-	const text = document.getText(); 
-	// recognizes script! { contents }, btcscript\n contents end-btcscript\n and more
-	const scriptRegex = /(script!\s*{([\s\S]*?)}|\/\/\s*(start-)?(bscript|btc-script|btcscript)(-start)?([\s\S]*?)\/\/\s*(end-)?(bscript|btc-script|btcscript)(-end)?)/gm;
+/**
+ * Evaluates the blocks of a document on the worker, within the btc-script.maxSteps and
+ * btc-script.timeout budget. A newer evaluation of the document cancels this one
+ * @param {vscode.TextDocument} document
+ * @param {import('./src/worker').BlockRequest[]} blocks
+ * @returns {Promise<import('./src/interpreter').Hint[] | null>} - on the lines of the document, null when cancelled
+ */
+function evaluate(document, blocks) {
+	const key = document.uri.toString();
+	cancelEvaluation(key);
+	const cancel = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT);
+	const flag = new Int32Array(cancel);
+	evaluations.set(key, flag);
+
+	const config = vscode.workspace.getConfiguration("btc-script");
+	const options = { mode: config.get("mode"), sigversion: config.get("sigversion"), experimental: config.get("experimentalOpcodes"), flags: config.get("flags"), tokenHints: config.get("tokenHints") };
+	const budget = { steps: config.get("maxSteps"), timeout: config.get("timeout") };
+	const id = nextRequest++;
+	return loadTransaction(document).then((transactionFile) => new Promise((resolve) => {
+		// a newer evaluation replaced this one while the transaction was read
+		if (Atomics.load(flag, 0) !== 0) {
+			resolve({ id, cancelled: true });
+			return;
+		}
+		replies.set(id, resolve);
+		startWorker().postMessage({ type: "evaluate", id, uri: key, blocks, options, budget, cancel, transactionFile });
+	})).then((/** @type {import('./src/worker').EvaluateReply} */ reply) => {
+		if (evaluations.get(key) === flag) {
+			evaluations.delete(key);
+		}
+		return reply.cancelled ? null : reply.hints;
+	});
+}
 
-	let match;
-	const edits = [];
+/**
+ * Macros whose body is a script, from the btc-script.macroNames setting
+ * @returns {String[]}
+ */
+function macroNames() {
+	return vscode.workspace.getConfiguration("btc-script").get("macroNames") || DEFAULT_MACROS;
+}
 
-	while ((match = scriptRegex.exec(text)) !== null) {
-		const blockStart = document.positionAt(match.index);
-		const blockEnd = document.positionAt(match.index + match[0].length);
-		handleScript(editor, blockStart.line, blockEnd.line,1);
+/**
+ * Replaces the gadgets of a file in the index, and in the worker when they changed
+ * @param {String} file
+ * @param {String | null} source - null when the file was deleted
+ * @returns {boolean} - whether they changed
+ */
+function updateGadgets(file, source) {
+	const ofFile = () => [...gadgets.values()].filter((gadget) => gadget.file === file);
+	const before = ofFile();
+	replaceGadgets(gadgets, [file], source === null ? [] : indexSource(source, file, macroNames()));
+	const after = ofFile();
+	if (isDeepStrictEqual(before, after)) {
+		return false;
 	}
+	if (worker !== null) {
+		worker.postMessage({ type: "gadgets", files: [file], gadgets: after });
+	}
+	return true;
 }
 
 /**
- * 
- * @param {import('vscode').TextEditor} editor 
- * @param {Number} startLineNum 
- * @param {Number} stopLineNum 
- * @param {Number} offset 
- * 
+ * @param {vscode.Uri} uri
+ * @returns {boolean} - whether its gadgets changed
  */
-function handleScript(editor, startLineNum, stopLineNum, offset) {
-		let document = editor.document;
-		let firstLine = document.lineAt(startLineNum + offset).text;
-		let stacks = parseCommentForStacks(firstLine);
-		const isWhitespaceString = str => !str.replace(/\s/g, '').length;
+function reindexFile(uri) {
+	let source;
+	try {
+		source = fs.readFileSync(uri.fsPath, "utf8");
+	} catch {
+		source = null;
+	}
+	return updateGadgets(uri.fsPath, source);
+}
 
-		if (stacks === null ){
-			return; 
+/**
+ * Evaluates the documents of the visible editors again once the changes of files pause
+ * @param {vscode.TextDocument} [except] - a document being evaluated already
+ */
+function scheduleVisibleRefresh(except) {
+	for (const document of new Set(vscode.window.visibleTextEditors.map((editor) => editor.document))) {
+		if (document !== except) {
+			scheduleRefresh(document);
 		}
-		
-		/** @type {State} */
-		let innerState = {
-			main: processStack(stacks.main),
-			alt: processStack(stacks.alt) 
-		};
+	}
+}
 
-		/** @type {GlobalState} */
-		let globalState = {
-			shouldContinue: true,
-			shouldRender: true,
-			innerState: innerState,
+/**
+ * Indexes the gadgets of every Rust file in the workspace, keeps the index up to date
+ * and resolves calls to them for go-to-definition
+ * @param {vscode.ExtensionContext} context
+ * @returns {Thenable<void>}
+ */
+function indexGadgets(context) {
+	const watcher = vscode.workspace.createFileSystemWatcher("**/*.rs");
+	// the blocks calling the gadgets of a file changed on disk are evaluated again
+	const reindex = (uri) => reindexFile(uri) && scheduleVisibleRefresh();
+	watcher.onDidCreate(reindex);
+	watcher.onDidChange(reindex);
+	watcher.onDidDelete((uri) => updateGadgets(uri.fsPath, null) && scheduleVisibleRefresh());
+	const definitions = vscode.languages.registerDefinitionProvider([{ language: "rust" }, { language: "bitcoinscript" }], { provideDefinition: gadgetDefinition });
+	context.subscriptions.push(watcher, definitions);
+
+	return vscode.workspace.findFiles("**/*.rs", "**/target/**").then((uris) => {
+		for (const uri of uris) {
+			reindexFile(uri);
 		}
-		
-
-		for (let line = startLineNum + 1 + offset; line < stopLineNum; line++) {
-            const lineText = document.lineAt(line).text.trim();
-
-            if (!lineText.startsWith('//') && !isWhitespaceString(lineText)) {
-				try {
-					let processedLine = processLine(lineText,globalState);
-					if (processedLine.ok) {
-						if(globalState.shouldContinue) {
-							addVirtualText(editor, line, ` =>  ${globalState.innerState.main.print()} ${globalState.innerState.alt.print()}`, "gray");
-						}
-					}
-				} catch(err){
-					addVirtualText(editor, line, ` => ${err.message} `, "red");
-					break;
-				}
-            }
-        }
+	});
 }
+
 /**
- * 
- * @param {import('./src/converter').convertedOp} convertedOpcode 
- * @param {GlobalState} globalState 
- * @returns 
- */
-
-/**
- * accepts trimmed lineText to see if there are any OP_CODE 
- * @param {String} lineText 
- * @param {GlobalState} globalState
- * @throws {ResultException}
- * @returns {import('./src/utils').Result} 
- */
-function processLine(lineText, globalState) {
-	let matchedText = lineText.match(/(OP_\w+|\b0[oO][0-7]+\b|\b0[xX][0-9a-fA-F]+\b|\b\d+\b)(?=,)?/);
-	console.log(matchedText);
-	if (matchedText) {
-		let convertedOpcode = processOpcode(matchedText[0]);	
-		let newState;
-
-		if (convertedOpcode.val !== undefined && convertedOpcode.val !== null) {
-			let opcodeFn;
-			if ((opcodeFn = customOpcodeList[convertedOpcode.op]) !== undefined) {
-				let s = opcodeFn(convertedOpcode.val);
-				newState = s(globalState.innerState);
-			}
+ * @param {String} source - `cargo expand` output
+ * @param {String} file - where it was read from, empty when it is the output of a command
+ */
+function setExpansion(source, file) {
+	expandedGadgets.clear();
+	for (const gadget of indexExpansion(source, file)) {
+		expandedGadgets.set(gadgetKey(gadget), gadget);
+	}
+	expandedBlocks = indexExpandedBlocks(source);
+	if (worker !== null) {
+		worker.postMessage({ type: "expansion", gadgets: [...expandedGadgets.values()] });
+	}
+}
+
+/**
+ * Reads the `cargo expand` output of the btc-script.expandFile setting, or runs the
+ * btc-script.expandCommand setting in the workspace folder for it
+ * @returns {Promise<{source: String, file: String} | {error: String}>} - an empty source when neither is set
+ */
+function readExpansion() {
+	const config = vscode.workspace.getConfiguration("btc-script");
+	const file = config.get("expandFile");
+	const command = config.get("expandCommand");
+	const folders = vscode.workspace.workspaceFolders;
+	const cwd = folders && folders.length > 0 ? folders[0].uri.fsPath : undefined;
+
+	if (command) {
+		return new Promise((resolve) => {
+			child_process.exec(command, { cwd, timeout: 120000, maxBuffer: 256 * 1024 * 1024 }, (err, stdout) => {
+				resolve(err ? { error: `${command} failed: ${err.message}` } : { source: stdout, file: "" });
+			});
+		});
+	}
+	if (file) {
+		const filePath = cwd ? path.resolve(cwd, file) : file;
+		try {
+			return Promise.resolve({ source: fs.readFileSync(filePath, "utf8"), file: filePath });
+		} catch (err) {
+			return Promise.resolve({ error: `can't read the cargo expand output ${file}: ${err.message}` });
 		}
+	}
+	return Promise.resolve({ source: "", file: "" });
+}
 
-		let opcodeFn;
-		let processed = false;
-		if ((opcodeFn = opcodeList[convertedOpcode.op]) !== undefined) {
-			// check if convertedOpcode is OP_IF 
-			switch (convertedOpcode.op) {
-				case "OP_IF":
-				case "OP_NOTIF":
-					newState = opcodeFn(globalState.innerState);
-					// if error is not present in newState
-					if (!("error" in newState)) {
-						globalState.shouldContinue = newState.if_result;
-					}
-					globalState.shouldRender = false;
-					processed = true;
-					break;
-				case "OP_ELSE":
-					globalState.shouldContinue = !globalState.shouldContinue;
-					globalState.shouldRender = false;
-					processed = false;
-					break;
-				case "OP_ENDIF":
-					newState = opcodeFn(globalState.innerState);
-					globalState.shouldRender = false;
-					globalState.shouldContinue = true;
-					processed = true;
-					break;
-				default:
-					globalState.shouldRender = true;
-					if (globalState.shouldContinue){
-						newState = opcodeFn(globalState.innerState);
-						processed = true;
-					} else {
-						processed = false;
-					}
-					break;
-			}
+/**
+ * Loads done and waiting of the `cargo expand` output, they run one at a time
+ * @type {Promise<void>}
+ */
+let expansionLoads = Promise.resolve();
+
+let lastExpansionLoad = 0;
+
+/**
+ * Loads the `cargo expand` output after the loads before it. Only the last load asked
+ * for runs and is kept, the ones it replaces would give an older output
+ * @returns {Promise<void>} - once this load is done or dropped
+ */
+function loadExpansion() {
+	const load = ++lastExpansionLoad;
+	expansionLoads = expansionLoads.then(() => {
+		if (load !== lastExpansionLoad) {
+			return;
 		}
-		if (processed) {
-			if ("error" in newState ) {
-				globalState.shouldContinue = false;
-				Err(newState.error);
+		return readExpansion().then((expansion) => {
+			if (load !== lastExpansionLoad) {
+				return;
+			}
+			if ("error" in expansion) {
+				vscode.window.showWarningMessage(`btc-script: ${expansion.error}`);
 			} else {
-				globalState.innerState = newState;
-				return Ok(true);
+				setExpansion(expansion.source, expansion.file);
 			}
-		} else {
-				return Ok(true);
-		}
-	} else {
-		let matchedText = lineText.match(/\d+(?=,)?/);
-		if (matchedText) {
-			// WIP: for other stuff like script expansion, more comments  
+		});
+	});
+	return expansionLoads;
+}
+
+/**
+ * Loads the `cargo expand` output and reloads it when a Rust file is saved, as the command
+ * may give a new one, or when the saved file is the output itself
+ * @param {vscode.ExtensionContext} context
+ * @returns {Promise<void>}
+ */
+function watchExpansion(context) {
+	context.subscriptions.push(vscode.workspace.onDidSaveTextDocument((document) => {
+		if (document.languageId === "rust") {
+			loadExpansion().then(refreshVisible);
 		}
-		return Ok(true);
+	}));
+	return loadExpansion();
+}
+
+/**
+ * Where calls in a document look for the gadgets they name
+ * @param {vscode.TextDocument} document
+ * @param {import('./src/scanner').RustItem[]} items - of a Rust document
+ * @param {Number} offset
+ * @returns {import('./src/resolve').Scope}
+ */
+function documentScope(document, items, offset) {
+	return document.languageId === "rust" ? scopeAt(items, offset, document.uri.fsPath) : { file: document.uri.fsPath };
+}
+
+/**
+ * Where the gadget called at a position is defined, every gadget it may be when the call is ambiguous
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {vscode.Location[] | null}
+ */
+function gadgetDefinition(document, position) {
+	const range = document.getWordRangeAtPosition(position, /\w+/);
+	if (!range) {
+		return null;
+	}
+	const name = document.getText(range);
+	const line = document.lineAt(position.line).text;
+	const after = line.slice(range.end.character);
+	if (!/^\s*\(/.test(after)) {
+		return null;
+	}
+	const path = line.slice(0, range.start.character).match(/((?:\w+::)*)$/)[1].slice(0, -2);
+	const scope = documentScope(document, findItems(document.getText()), document.offsetAt(position));
+	const called = resolveGadget(gadgets, name, scope, path);
+	// functions only the expansion has are found in the expansion file, not in a command output
+	const found = called.length > 0 ? called : resolveGadget(expandedGadgets, name, scope, path).filter((gadget) => gadget.file !== "");
+	if (found.length === 0) {
+		return null;
 	}
+	return found.map((gadget) => new vscode.Location(vscode.Uri.file(gadget.file), new vscode.Position(gadget.line, gadget.column)));
+}
+
+/**
+ * Replaces the hints of an editor, each one is virtual text at the end of its line or after its column
+ * @param {vscode.TextEditor} editor
+ * @param {import('./src/interpreter').Hint[]} hints - on the lines of the document
+ */
+function drawHints(editor, hints) {
+	const decorations = (isError) => hints.filter((hint) => hint.isError === isError).map((hint) => {
+		const column = hint.column === undefined ? Number.MAX_SAFE_INTEGER : hint.column;
+		return {
+			range: new vscode.Range(hint.index, column, hint.index, column),
+			renderOptions: { after: { contentText: hint.text } }
+		};
+	});
+	editor.setDecorations(decorationTypes.hint, decorations(false));
+	editor.setDecorations(decorationTypes.error, decorations(true));
+}
 
+/**
+ * The Problems panel entry of a hint with a problem, a warning when the hint isn't an error
+ * @param {import('./src/interpreter').Hint} hint - on the lines of the document
+ * @returns {vscode.Diagnostic}
+ */
+function toDiagnostic(hint) {
+	const { code, start, end } = hint.problem;
+	const message = hint.text.trim().replace(/^\w* ?=>\s*/, "");
+	const severity = hint.isError ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
+	const diagnostic = new vscode.Diagnostic(new vscode.Range(hint.index, start, hint.index, end), message, severity);
+	diagnostic.code = code;
+	diagnostic.source = "btc-script";
+	return diagnostic;
 }
 
+// This method is called when your extension is deactivated
+function deactivate() {}
+
 
 /**
- * @typedef {import('./src/opcodes').State} State
  * 
- * parses comment string to give main and alt stacks
- * @param {String} comment 
- */
-function parseCommentForStacks(comment) {
-	// we have main stack and alt stack. so they will be represented in format 
-	// TwoStacks = [A, B] [C]
-	// SingleStack = [A, B]
-	let twoStacks = comment.match(/\s*(\[[^\]]*])(?:,)?\s*(\[[^\]]*])/);
-	let mainStack, altStack;
-
-	if (twoStacks) {
-		mainStack = twoStacks[1];
-		altStack = twoStacks[2];
-	}else {
-		// there is a single stack
-		let singleStack = comment.match(/\s*(\[[^\]]*])/);
-
-		if(singleStack) {
-			mainStack = singleStack[1];
-			altStack = "[]";
-		}else {
-			return null;
+ * @param {vscode.TextDocument} document
+ * @returns {import('./src/worker').BlockRequest[]}
+ */
+function processBtcScript(document) {
+	return [handleScript(document, 0, document.lineCount, 0, { scope: documentScope(document, [], 0) })];
+}
+
+/**
+ * What the Rust code around a block tells about it: the values it may use, whether its words are Rust and, for a
+ * script macro, the `cargo expand` output of the same macro of its function, and where its calls look for gadgets
+ * @param {vscode.TextDocument} document
+ * @param {String} text - the whole file
+ * @param {import('./src/scanner').RustItem[]} items - of the file
+ * @param {import('./src/scanner').ScriptBlock[]} blocks - of the file
+ * @param {import('./src/scanner').ScriptBlock} block
+ * @returns {{constants: import('./src/macro').Constants, skipWords: boolean, scope: import('./src/resolve').Scope, expansion?: String[]}}
+ */
+function rustSurroundings(document, text, items, blocks, block) {
+	const constants = collectConstants(text, block.start);
+	const scope = documentScope(document, items, block.start);
+	// the body of a macro is Rust, its words that aren't script are skipped
+	const skipWords = block.kind === "macro";
+	const functions = items.filter((item) => item.kind === "fn");
+	const innermost = (offset) => enclosingItems(functions, offset).pop();
+	const owner = innermost(block.start);
+	if (!skipWords || owner === undefined) {
+		return { constants, skipWords, scope };
+	}
+	// the macros of the functions nested in it are expanded with those functions
+	const index = blocks.filter((other) => other.kind === "macro" && other.start < block.start && innermost(other.start) === owner).length;
+	// the output of `cargo expand bigint::add` has the items of that module at its root
+	const modules = scope.module.split("::").map((_, i, segments) => segments.slice(i).join("::"));
+	const expansion = [...modules, ""].map((module) => expandedBlocks.get(blockKey(module, owner.name, index))).find((lines) => lines !== undefined);
+	return expansion === undefined ? { constants, skipWords, scope } : { constants, skipWords, scope, expansion };
+}
+
+/** 
+* @param {vscode.TextDocument} document
+* @returns {import('./src/worker').BlockRequest[]}
+**/
+function processBtcScriptInRustFile(document) {
+	const text = document.getText(); 
+	// unsaved gadgets of this file are used right away, by the other visible blocks calling them too
+	if (updateGadgets(document.uri.fsPath, text)) {
+		scheduleVisibleRefresh(document);
+	}
+	const items = findItems(text);
+	// recognizes script! { contents }, btcscript\n contents end-btcscript\n, /* btc-script contents */ and more
+	const blocks = findScriptBlocks(text, macroNames());
+	return blocks.map((block) => {
+		const blockStart = document.positionAt(block.start);
+		const blockEnd = document.positionAt(block.end);
+		return handleScript(document, blockStart.line, blockEnd.line, 1, rustSurroundings(document, text, items, blocks, block));
+	});
+}
+
+/**
+ * Reads the JSON transaction signatures are checked against in real mode
+ * @param {String} filePath
+ * @param {String} file - as the btc-script.transactionFile setting names it
+ * @returns {Promise<{transaction?: any, transactionError?: String}>}
+ */
+function readTransaction(filePath, file) {
+	const failed = (err) => ({ transactionError: `Can't read transaction file ${file}: ${err.message}` });
+	return fs.promises.readFile(filePath, "utf8").then((text) => {
+		try {
+			return { transaction: JSON.parse(text) };
+		} catch (err) {
+			return failed(err);
 		}
+	}, (err) => err.code === "ENOENT" ? {} : failed(err));
+}
+
+/**
+ * The path of the btc-script.transactionFile setting for a document, in its workspace folder
+ * @param {vscode.TextDocument} document
+ * @returns {String} - empty when there is no setting
+ */
+function transactionPath(document) {
+	const file = vscode.workspace.getConfiguration("btc-script").get("transactionFile");
+	const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+	if (!file) {
+		return "";
 	}
+	return folder ? path.resolve(folder.uri.fsPath, file) : file;
+}
 
-	return {
-		main: mainStack,
-		alt:  altStack 
+/**
+ * Sends the transaction of a document to the worker, unless it has it already
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<String>} - the path the worker knows the transaction by, empty when there is none
+ */
+function loadTransaction(document) {
+	const filePath = transactionPath(document);
+	if (filePath === "") {
+		return Promise.resolve("");
 	}
-} 
+	if (!transactions.has(filePath)) {
+		const file = vscode.workspace.getConfiguration("btc-script").get("transactionFile");
+		const loading = readTransaction(filePath, file).then((transaction) => {
+			// the file changed while it was read, the newer read sends it
+			if (transactions.get(filePath) === loading) {
+				startWorker().postMessage({ type: "transaction", file: filePath, ...transaction });
+			}
+		});
+		transactions.set(filePath, loading);
+	}
+	return transactions.get(filePath).then(() => filePath);
+}
 
+/**
+ * Reads the transaction file again and evaluates the visible documents once it changes,
+ * follows the btc-script.transactionFile setting
+ */
+function watchTransactions() {
+	if (transactionWatcher !== null) {
+		transactionWatcher.dispose();
+		transactionWatcher = null;
+	}
+	transactions.clear();
+	const file = vscode.workspace.getConfiguration("btc-script").get("transactionFile");
+	if (!file) {
+		return;
+	}
+	transactionWatcher = vscode.workspace.createFileSystemWatcher(`**/${path.basename(file)}`);
+	const reload = (/** @type {vscode.Uri} */ uri) => {
+		if (transactions.delete(uri.fsPath)) {
+			refreshVisible();
+		}
+	};
+	transactionWatcher.onDidCreate(reload);
+	transactionWatcher.onDidChange(reload);
+	transactionWatcher.onDidDelete(reload);
+}
 
-/** 
-* convert string stacks to Stack type  
-* @param {string} stackStr
-* @returns {Stack} 
-*/
-function processStack(stackStr) {
-	const items = new Stack();
-    const contentMatch = stackStr.match(/\[([^\]]*)\]/);
-    if (contentMatch && contentMatch[1].trim().length > 0) {
-      // Split by commas, ignoring whitespace
-      contentMatch[1].split(/\s*,\s*/).forEach((item) => {
-        if (item.trim().length > 0) {
-          items.push(item.trim());
-        }
-      });
-    }
-    return items;
+/**
+ * 
+ * @param {vscode.TextDocument} document
+ * @param {Number} startLineNum 
+ * @param {Number} stopLineNum 
+ * @param {Number} offset 
+ * @param {{constants?: import('./src/macro').Constants, skipWords?: boolean, expansion?: String[], scope?: import('./src/resolve').Scope}} [rust] - see rustSurroundings
+ * @returns {import('./src/worker').BlockRequest}
+ */
+function handleScript(document, startLineNum, stopLineNum, offset, rust = {}) {
+		let headerLineNum = startLineNum + offset;
+		let lines = [];
+		for (let line = headerLineNum; line < stopLineNum; line++) {
+			lines.push(document.lineAt(line).text);
+		}
+		return { header: headerLineNum, lines, ...rust };
 }
 
 
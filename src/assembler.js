@@ -0,0 +1,192 @@
+const { encodeNum } = require('./scriptnum');
+const { ResultException } = require('./utils');
+
+/**
+ * Byte value of every opcode name. Aliases like OP_TRUE or OP_NOP2 map to the same byte
+ * @type {Object<string, number>}
+ */
+const opcodeBytes = {
+    "OP_0": 0x00, "OP_FALSE": 0x00,
+    "OP_PUSHDATA1": 0x4c, "OP_PUSHDATA2": 0x4d, "OP_PUSHDATA4": 0x4e,
+    "OP_1NEGATE": 0x4f, "OP_RESERVED": 0x50,
+    "OP_1": 0x51, "OP_TRUE": 0x51,
+    "OP_2": 0x52, "OP_3": 0x53, "OP_4": 0x54, "OP_5": 0x55, "OP_6": 0x56, "OP_7": 0x57, "OP_8": 0x58,
+    "OP_9": 0x59, "OP_10": 0x5a, "OP_11": 0x5b, "OP_12": 0x5c, "OP_13": 0x5d, "OP_14": 0x5e, "OP_15": 0x5f,
+    "OP_16": 0x60,
+    "OP_NOP": 0x61, "OP_VER": 0x62, "OP_IF": 0x63, "OP_NOTIF": 0x64, "OP_VERIF": 0x65, "OP_VERNOTIF": 0x66,
+    "OP_ELSE": 0x67, "OP_ENDIF": 0x68, "OP_VERIFY": 0x69, "OP_RETURN": 0x6a,
+    "OP_TOALTSTACK": 0x6b, "OP_FROMALTSTACK": 0x6c, "OP_2DROP": 0x6d, "OP_2DUP": 0x6e, "OP_3DUP": 0x6f,
+    "OP_2OVER": 0x70, "OP_2ROT": 0x71, "OP_2SWAP": 0x72, "OP_IFDUP": 0x73, "OP_DEPTH": 0x74, "OP_DROP": 0x75,
+    "OP_DUP": 0x76, "OP_NIP": 0x77, "OP_OVER": 0x78, "OP_PICK": 0x79, "OP_ROLL": 0x7a, "OP_ROT": 0x7b,
+    "OP_SWAP": 0x7c, "OP_TUCK": 0x7d,
+    "OP_CAT": 0x7e, "OP_SUBSTR": 0x7f, "OP_SPLIT": 0x7f, "OP_LEFT": 0x80, "OP_NUM2BIN": 0x80,
+    "OP_RIGHT": 0x81, "OP_BIN2NUM": 0x81, "OP_SIZE": 0x82,
+    "OP_INVERT": 0x83, "OP_AND": 0x84, "OP_OR": 0x85, "OP_XOR": 0x86, "OP_EQUAL": 0x87, "OP_EQUALVERIFY": 0x88,
+    "OP_RESERVED1": 0x89, "OP_RESERVED2": 0x8a,
+    "OP_1ADD": 0x8b, "OP_1SUB": 0x8c, "OP_2MUL": 0x8d, "OP_2DIV": 0x8e, "OP_NEGATE": 0x8f, "OP_ABS": 0x90,
+    "OP_NOT": 0x91, "OP_0NOTEQUAL": 0x92, "OP_ADD": 0x93, "OP_SUB": 0x94, "OP_MUL": 0x95, "OP_DIV": 0x96,
+    "OP_MOD": 0x97, "OP_LSHIFT": 0x98, "OP_RSHIFT": 0x99, "OP_BOOLAND": 0x9a, "OP_BOOLOR": 0x9b,
+    "OP_NUMEQUAL": 0x9c, "OP_NUMEQUALVERIFY": 0x9d, "OP_NUMNOTEQUAL": 0x9e, "OP_LESSTHAN": 0x9f,
+    "OP_GREATERTHAN": 0xa0, "OP_LESSTHANOREQUAL": 0xa1, "OP_GREATERTHANOREQUAL": 0xa2, "OP_MIN": 0xa3,
+    "OP_MAX": 0xa4, "OP_WITHIN": 0xa5,
+    "OP_RIPEMD160": 0xa6, "OP_SHA1": 0xa7, "OP_SHA256": 0xa8, "OP_HASH160": 0xa9, "OP_HASH256": 0xaa,
+    "OP_CODESEPARATOR": 0xab, "OP_CHECKSIG": 0xac, "OP_CHECKSIGVERIFY": 0xad, "OP_CHECKMULTISIG": 0xae,
+    "OP_CHECKMULTISIGVERIFY": 0xaf,
+    "OP_NOP1": 0xb0, "OP_CHECKLOCKTIMEVERIFY": 0xb1, "OP_NOP2": 0xb1, "OP_CHECKSEQUENCEVERIFY": 0xb2,
+    "OP_NOP3": 0xb2, "OP_NOP4": 0xb3, "OP_NOP5": 0xb4, "OP_NOP6": 0xb5, "OP_NOP7": 0xb6, "OP_NOP8": 0xb7,
+    "OP_NOP9": 0xb8, "OP_NOP10": 0xb9, "OP_CHECKSIGADD": 0xba
+};
+
+/**
+ * BIP-342 OP_SUCCESSx: in tapscript any of these bytes makes the script succeed
+ * unconditionally, even in a branch that is not taken
+ * @param {Number} opcode
+ * @returns {boolean}
+ */
+function isOpSuccess(opcode) {
+    return opcode === 0x50 || opcode === 0x62 || (opcode >= 0x7e && opcode <= 0x81) ||
+        (opcode >= 0x83 && opcode <= 0x86) || opcode === 0x89 || opcode === 0x8a ||
+        opcode === 0x8d || opcode === 0x8e || (opcode >= 0x95 && opcode <= 0x99) ||
+        (opcode >= 0xbb && opcode <= 0xfe);
+}
+
+/**
+ * Serialize a data push with the smallest push opcode that fits, unless one is given
+ * @param {Uint8Array} data
+ * @param {String} [pushOp] - OP_PUSHDATA1, OP_PUSHDATA2 or OP_PUSHDATA4
+ * @returns {number[]}
+ */
+function pushData(data, pushOp) {
+    let prefix;
+    if (pushOp === undefined && data.length < 0x4c) {
+        prefix = [data.length];
+    } else if (pushOp === "OP_PUSHDATA1" || (pushOp === undefined && data.length <= 0xff)) {
+        prefix = [0x4c, data.length];
+    } else if (pushOp === "OP_PUSHDATA2" || (pushOp === undefined && data.length <= 0xffff)) {
+        prefix = [0x4d, data.length & 0xff, data.length >> 8];
+    } else {
+        prefix = [0x4e, data.length & 0xff, (data.length >> 8) & 0xff, (data.length >> 16) & 0xff, data.length >>> 24];
+    }
+    return prefix.concat(Array.from(data));
+}
+
+/**
+ * Serialize a number push the way Bitcoin Core's CScript << int does
+ * @param {Number} num
+ * @returns {number[]}
+ */
+function pushNumber(num) {
+    if (num === 0) {
+        return [0x00];
+    }
+    if (num === -1 || (num >= 1 && num <= 16)) {
+        return [num + 0x50];
+    }
+    return pushData(encodeNum(num));
+}
+
+/**
+ * @typedef {Object} ScriptItem - one item of a script to serialize
+ * @property {String} [op] - opcode name
+ * @property {Number} [num] - number push
+ * @property {Uint8Array} [data] - data push
+ * @property {String} [pushOp] - push opcode written for the data, the smallest that fits otherwise
+ */
+
+/**
+ * Serialize script items into script bytes. Unknown opcodes are skipped.
+ * @param {ScriptItem[]} items
+ * @returns {Uint8Array}
+ */
+function assemble(items) {
+    const bytes = [];
+    for (const item of items) {
+        if (item.data !== undefined) {
+            bytes.push(...pushData(item.data, item.pushOp));
+        } else if (item.num !== undefined) {
+            bytes.push(...pushNumber(item.num));
+        } else if (item.op !== undefined && opcodeBytes[item.op] !== undefined) {
+            bytes.push(opcodeBytes[item.op]);
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * @typedef {Object} ParsedOp
+ * @property {Number} opcode
+ * @property {Number} start - offset of the opcode in the script
+ * @property {Number} end - offset after the opcode and its push data
+ * @property {Uint8Array} [data]
+ */
+
+/**
+ * Split script bytes into opcodes
+ * @param {Uint8Array} script
+ * @throws {ResultException}
+ * @returns {ParsedOp[]}
+ */
+function parseScript(script) {
+    const ops = [];
+    let pc = 0;
+    while (pc < script.length) {
+        const start = pc;
+        const opcode = script[pc++];
+        let size = -1;
+        if (opcode < 0x4c) {
+            size = opcode;
+        } else if (opcode === 0x4c) {
+            size = script[pc];
+            pc += 1;
+        } else if (opcode === 0x4d) {
+            size = script[pc] | (script[pc + 1] << 8);
+            pc += 2;
+        } else if (opcode === 0x4e) {
+            size = (script[pc] | (script[pc + 1] << 8) | (script[pc + 2] << 16) | (script[pc + 3] << 24)) >>> 0;
+            pc += 4;
+        }
+
+        if (size >= 0) {
+            if (pc > script.length || pc + size > script.length) {
+                throw new ResultException("Push past the end of the script");
+            }
+            ops.push({ opcode, start, end: pc + size, data: script.subarray(pc, pc + size) });
+            pc += size;
+        } else {
+            ops.push({ opcode, start, end: pc });
+        }
+    }
+    return ops;
+}
+
+/**
+ * Remove every push of exactly `data` from the script, as legacy signature hashing does with the signature
+ * @param {Uint8Array} script
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function findAndDelete(script, data) {
+    if (data.length === 0) {
+        return script;
+    }
+    const pattern = Uint8Array.from(pushData(data));
+    const kept = [];
+    for (const op of parseScript(script)) {
+        const raw = script.subarray(op.start, op.end);
+        const matches = raw.length === pattern.length && raw.every((byte, i) => byte === pattern[i]);
+        if (!matches) {
+            kept.push(...raw);
+        }
+    }
+    return Uint8Array.from(kept);
+}
+
+module.exports = {
+    opcodeBytes,
+    isOpSuccess,
+    pushData,
+    pushNumber,
+    assemble,
+    parseScript,
+    findAndDelete
+}
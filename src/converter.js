@@ -1,7 +1,12 @@
+const { fromHex } = require('./scriptnum');
+const { Sym } = require('./symbolic');
+const { ResultException } = require('./utils');
+
 /**
  * @typedef {Object} convertedOp
  * @property {String} op
  * @property {any} [val]
+ * @property {String} [pushOp] - OP_PUSHDATA1, OP_PUSHDATA2 or OP_PUSHDATA4 when written explicitly
  *  
  * Convert real number opcode to generic number opcode 
  * @param {String} opcode 
@@ -51,32 +56,83 @@ function convertNumbers(opcode) {
 		}
 	}
 
-	if(opcode.match(/(0[oO][0-7]+\b|\b0[xX][0-9a-fA-F]+\b|\b\d+\b)(?=,)?/)) {
-		// convert opcode to 	
-		let num = eval(opcode);
-		console.log(num)
-		if (num.toString(2).length <= 4160) {
-			return { op: "OP_PUSHBYTES", val: num }
-		}
+	if(opcode.match(/^(0[oO][0-7]+|-?\d+)$/)) {
+		// numbers beyond 2^53 keep their precision as bigints
+		let num = BigInt(opcode);
+		return { op: "OP_PUSHBYTES", val: Number.isSafeInteger(Number(num)) ? Number(num) : num }
 	}
 	return {op : opcode} 
 }
 
 /**
- * Convert real hash opcode to generic hash opcode 
- * @param {String} opcode 
- * @returns {String}
+ * Largest push of each explicit push opcode
  */
-function convertHash(opcode) {
-	switch (opcode.trim()) {
-		case "OP_RIPEMD160":
-		case "OP_SHA1":
-		case "OP_SHA256":
-		case "OP_HASH160":
-		case "OP_HASH256":
-			return "OP_HASH"
+const pushLimits = { "OP_PUSHDATA1": 0xff, "OP_PUSHDATA2": 0xffff, "OP_PUSHDATA4": 0xffffffff };
+
+/**
+ * Bytes of a hex literal, in the order they are written
+ * @param {String} hex - with or without the 0x prefix
+ * @throws {ResultException}
+ * @returns {Uint8Array}
+ */
+function parseHex(hex) {
+	let digits = hex.replace(/^0[xX]/, "");
+	if (digits.length % 2 !== 0) {
+		throw new ResultException(`${hex} is not a whole number of bytes, it has ${digits.length} hex digits`);
 	}
-	return opcode
+	return fromHex(digits);
+}
+
+/**
+ * Convert a data push: `<0x0102>`, bare hex like `0x0102`, a quoted ASCII string,
+ * `OP_PUSHDATA1 0x0102` or a placeholder like `<pubkey>`
+ * @param {String} opcode
+ * @throws {ResultException}
+ * @returns {convertedOp | null} - null when it isn't a data push
+ */
+function convertPush(opcode) {
+	let explicit = opcode.match(/^(OP_PUSHDATA[124])(?:\s+(.+))?$/);
+	if (explicit) {
+		if (explicit[2] === undefined) {
+			throw new ResultException(`${explicit[1]} needs the data to push, e.g. ${explicit[1]} 0x0102`);
+		}
+		let pushed = convertPush(explicit[2]);
+		if (pushed === null || !(pushed.val instanceof Uint8Array)) {
+			throw new ResultException(`${explicit[1]} needs hex or a quoted string, got ${explicit[2]}`);
+		}
+		if (pushed.val.length > pushLimits[explicit[1]]) {
+			throw new ResultException(`${explicit[1]} can push at most ${pushLimits[explicit[1]]} bytes, got ${pushed.val.length}`);
+		}
+		return { op: "OP_PUSHDATA", val: pushed.val, pushOp: explicit[1] }
+	}
+
+	let bracketed = opcode.match(/^<(0[xX][0-9a-fA-F]*)>$/);
+	if (bracketed || opcode.match(/^0[xX][0-9a-fA-F]+$/)) {
+		return { op: "OP_PUSHDATA", val: parseHex(bracketed ? bracketed[1] : opcode) }
+	}
+
+	let named = opcode.match(/^<([A-Za-z_]\w*)>$/);
+	if (named) {
+		// a placeholder like <pubkey> pushes a symbol
+		return { op: "OP_PUSHDATA", val: Sym.atom(named[1]) }
+	}
+
+	let quoted = opcode.match(/^"([^"]*)"$|^'([^']*)'$/);
+	if (!quoted && /^["']/.test(opcode)) {
+		throw new ResultException(`Unterminated string ${opcode}`);
+	}
+	if (quoted) {
+		let text = quoted[1] !== undefined ? quoted[1] : quoted[2];
+		if (/[^\x20-\x7e]/.test(text)) {
+			throw new ResultException(`${opcode} has characters that are not printable ASCII`);
+		}
+		return { op: "OP_PUSHDATA", val: Uint8Array.from(text, (char) => char.charCodeAt(0)) }
+	}
+	if (/^<.*>$/.test(opcode) || /^0[xX]/.test(opcode)) {
+		// a push that can't be read fails instead of being skipped
+		throw new ResultException(`${opcode} is not a data push, write hex like <0x0102>, a quoted string or a placeholder like <pubkey>`);
+	}
+	return null
 }
 
 /**
@@ -86,27 +142,25 @@ function convertHash(opcode) {
  */
 function convertNop(opcode) {
 	switch (opcode.trim()) {
-		case "OP_CHECKLOCKTIMEVERIFY":
-		case "OP_CHECKSEQUENCEVERIFY":
-		case "OP_PUSHDATA1": // requires more thought on if adding this to simulation makes sense
-		case "OP_PUSHDATA2":
-		case "OP_PUSHDATA4":
-		case "OP_CODESEPARATOR":
-			return "OP_NOP"
+		case "OP_NOP2":
+			return "OP_CHECKLOCKTIMEVERIFY"
+		case "OP_NOP3":
+			return "OP_CHECKSEQUENCEVERIFY"
 	}
 	return opcode
 }
 
 /**
  * convert operations according to the opcode definition. 
- * Stuff like sha256, ripemd160, hash160, hash256 is converted into OP_HASH
- * OP_CODESEPARATOR, OP_CHECKLOCKTIMEVERIFY, OP_CHECKSEQUENCEVERIFY, OP_PUSHDATA1 etc are convered to OP_NOP
+ * OP_NOP2 and OP_NOP3 are converted to the timelock opcodes
  * OP_FALSE, OP_TRUE, OP_2...OP_16 etc will be converted to OP_NUM
+ * hex, quoted strings and OP_PUSHDATA1 0x.. etc will be converted to OP_PUSHDATA
  * @param {String} opcode 
+ * @throws {ResultException} - for malformed data pushes
  * @returns {convertedOp}
  */
 function convertOpcode(opcode) {
-    return convertNumbers(convertHash(convertNop(opcode)))
+    return convertPush(opcode) || convertNumbers(convertNop(opcode))
 }
 
 
@@ -0,0 +1,334 @@
+const { collectConstants, evaluateExpression } = require('./macro');
+const { findItems, enclosingItems, skipLiteral, matchingBrace } = require('./scanner');
+const { parameterNames, positionAt } = require('./gadgets');
+const { scopeAt } = require('./resolve');
+const { tokenize } = require('./tokenizer');
+const { ResultException } = require('./utils');
+
+/**
+ * Reads `cargo expand` output, where every `script!` block has become calls to a script
+ * builder like `builder.push_opcode(::bitcoin::opcodes::all::OP_ADD)`. The builder calls of
+ * each Script-returning function are translated back to the macro's language, one per line:
+ * opcodes and numbers as they are, `push_expression(f(1))` as `{ f(1) }` and the `for` loops
+ * the macro leaves in place as loops. They are indexed like gadgets, so functions generated
+ * by other macros can be inlined too. Every macro of a function, in any function, becomes its
+ * own builder, so a block of the original file can run the expanded script of the same macro
+ * of its function while the hints stay on the original lines.
+ *
+ * @typedef {import('./gadgets').Gadget} Gadget
+ *
+ * @typedef {Object} SourceRange - where a line of the expanded script comes from in the block
+ * @property {Number} line
+ * @property {Number} start
+ * @property {Number} end
+ *
+ * @typedef {Object} AlignedExpansion
+ * @property {String[]} lines - the header of the block, then the expanded script
+ * @property {SourceRange[]} origins - by line of `lines`
+ */
+
+const SCRIPT_FUNCTION = /fn\s+(\w+)\s*(?:<[^>{]*>)?\s*\(([^)]*)\)\s*->\s*(?:[\w:]+::)?Script\s*\{/y;
+const BUILDER_START = /let\s+mut\s+builder\b/y;
+const BUILDER_CALL = /\.push_(opcode|int|slice|key|x_only_key|expression|script|env_script)\s*\(/y;
+const FOR_LOOP = /for\s+(\w+)\s+in\s+([^{]+?)\s*\{/y;
+
+/**
+ * @param {String} text
+ * @param {Number} open - index of the `(`
+ * @returns {Number} - index of the matching `)`, the end of the text when it isn't closed
+ */
+function closingParen(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === "(") {
+            depth++;
+        } else if (text[i] === ")" && --depth === 0) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Bytes of a slice literal like `&[1u8, 0x02]`, as a push
+ * @param {String} arg
+ * @returns {String | null}
+ */
+function slicePush(arg) {
+    const matched = arg.match(/^&?\s*\[([^\]]*)\]$/);
+    if (matched === null) {
+        return null;
+    }
+    try {
+        const bytes = matched[1].split(",").filter((byte) => byte.trim() !== "").map((byte) => Number(evaluateExpression(byte, {})));
+        if (bytes.some((byte) => byte < 0 || byte > 255)) {
+            return null;
+        }
+        return bytes.length === 0 ? "OP_0" : `<0x${Buffer.from(bytes).toString("hex")}>`;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The macro's spelling of a builder call
+ * @param {String} kind - what comes after `push_`
+ * @param {String} arg - the argument, on one line
+ * @returns {String}
+ */
+function translatePush(kind, arg) {
+    if (kind === "opcode") {
+        const opcode = arg.match(/\b(OP_\w+)$/);
+        if (opcode !== null) {
+            return opcode[1];
+        }
+    }
+    if (kind === "int" && /^-?\d+$/.test(arg)) {
+        return arg;
+    }
+    if (kind === "slice") {
+        const push = slicePush(arg);
+        if (push !== null) {
+            return push;
+        }
+    }
+    return `{ ${arg} }`;
+}
+
+/**
+ * Translates the builder calls of an expanded function body, one per line
+ * @param {String} body
+ * @returns {String[]}
+ */
+function translateBody(body) {
+    const lines = [];
+    // what every open brace belongs to, the loops are closed in the translation too
+    const braces = [];
+    let i = 0;
+    while (i < body.length) {
+        if (body[i] === '"') {
+            const close = body.slice(i + 1).search(/(?<!\\)"/);
+            i = close === -1 ? body.length : i + close + 2;
+            continue;
+        }
+        if (body.startsWith("//", i)) {
+            const newline = body.indexOf("\n", i);
+            i = newline === -1 ? body.length : newline;
+            continue;
+        }
+
+        FOR_LOOP.lastIndex = i;
+        const loop = (i === 0 || !/\w/.test(body[i - 1])) ? FOR_LOOP.exec(body) : null;
+        if (loop !== null) {
+            lines.push(`for ${loop[1]} in ${loop[2].replace(/\s+/g, " ")} {`);
+            braces.push("loop");
+            i += loop[0].length;
+            continue;
+        }
+        BUILDER_CALL.lastIndex = i;
+        const call = BUILDER_CALL.exec(body);
+        if (call !== null) {
+            const open = i + call[0].length - 1;
+            const close = closingParen(body, open);
+            lines.push(translatePush(call[1], body.slice(open + 1, close).replace(/\s+/g, " ").trim()));
+            i = close + 1;
+            continue;
+        }
+
+        if (body[i] === "{") {
+            braces.push("block");
+        } else if (body[i] === "}" && braces.pop() === "loop") {
+            lines.push("}");
+        }
+        i++;
+    }
+    return lines;
+}
+
+/**
+ * The Script-returning functions of `cargo expand` output, with their builder calls translated
+ * @param {String} source
+ * @param {String} file
+ * @returns {Gadget[]}
+ */
+function indexExpansion(source, file) {
+    const items = findItems(source);
+    const gadgets = [];
+    for (const item of items) {
+        SCRIPT_FUNCTION.lastIndex = item.start;
+        const matched = item.kind === "fn" ? SCRIPT_FUNCTION.exec(source) : null;
+        const open = item.open;
+        const close = item.close;
+        if (matched === null || item.start + matched[0].length - 1 !== open || close === source.length) {
+            continue;
+        }
+        const { line, column } = positionAt(source, item.start + matched[0].indexOf(matched[1], 2));
+        // the output is the whole crate, its modules are `mod` items
+        const { module, uses } = scopeAt(items, open + 1, file, "");
+        gadgets.push({
+            name: matched[1],
+            params: parameterNames(matched[2]),
+            lines: translateBody(source.slice(open + 1, close)),
+            constants: collectConstants(source, open),
+            file,
+            line,
+            column,
+            module,
+            uses
+        });
+    }
+    return gadgets;
+}
+
+/**
+ * The builders of the script macros of some expanded source, the ones of a macro nested in
+ * another are part of it
+ * @param {String} source
+ * @returns {Array<{start: Number, end: Number}>} - in order, each from its `let mut builder` to the end of its block
+ */
+function findBuilders(source) {
+    const builders = [];
+    // the braces open around the scan
+    const opens = [];
+    let i = 0;
+    while (i < source.length) {
+        const after = skipLiteral(source, i);
+        if (after !== i) {
+            i = after;
+            continue;
+        }
+        BUILDER_START.lastIndex = i;
+        if (!/\w/.test(source[i - 1] || "") && BUILDER_START.test(source)) {
+            const close = opens.length > 0 ? matchingBrace(source, opens.pop()) : -1;
+            const end = close === -1 ? source.length : close;
+            builders.push({ start: i, end });
+            i = end + 1;
+            continue;
+        }
+        if (source[i] === "{") {
+            opens.push(i);
+        } else if (source[i] === "}") {
+            opens.pop();
+        }
+        i++;
+    }
+    return builders;
+}
+
+/**
+ * The key of the expanded script of a macro
+ * @param {String} module - of its function
+ * @param {String} name - of its function
+ * @param {Number} index - of the macro among the ones of the function, nested functions have their own
+ * @returns {String}
+ */
+function blockKey(module, name, index) {
+    return `${module ? `${module}::${name}` : name}#${index}`;
+}
+
+/**
+ * The expanded scripts of the macros of every function of `cargo expand` output, translated.
+ * The body of a function without a `let mut builder` is one script when it has builder calls
+ * @param {String} source
+ * @returns {Map<string, String[]>} - by blockKey
+ */
+function indexExpandedBlocks(source) {
+    const items = findItems(source);
+    const functions = items.filter((item) => item.kind === "fn" && item.open !== -1);
+    const innermost = (offset) => {
+        const around = enclosingItems(functions, offset);
+        return around[around.length - 1];
+    };
+    /** @type {Map<import('./scanner').RustItem, String[][]>} */
+    const scripts = new Map(functions.map((item) => [item, []]));
+    for (const builder of findBuilders(source)) {
+        const owner = innermost(builder.start);
+        if (owner !== undefined) {
+            scripts.get(owner).push(translateBody(source.slice(builder.start, builder.end)));
+        }
+    }
+    const blocks = new Map();
+    for (let [item, translated] of scripts) {
+        if (translated.length === 0) {
+            const whole = translateBody(source.slice(item.open + 1, item.close));
+            translated = whole.length > 0 ? [whole] : [];
+        }
+        const module = scopeAt(items, item.open + 1, "", "").module;
+        translated.forEach((lines, index) => blocks.set(blockKey(module, item.name, index), lines));
+    }
+    return blocks;
+}
+
+/**
+ * What a script item, a loop header or a loop end, is. Braces around an expression are one item
+ * @param {import('./tokenizer').Token[]} tokens
+ * @param {String[]} lines
+ * @returns {Array<{kind: "item" | "for" | "end", range: SourceRange}>}
+ */
+function sourceUnits(tokens, lines) {
+    const units = [];
+    const loops = [];
+    let i = 0;
+    while (i < tokens.length) {
+        const token = tokens[i];
+        const range = (last) => ({ line: token.line, start: token.start, end: last.line === token.line ? last.end : lines[token.line].length });
+        if (token.text === "for" && tokens[i + 2] !== undefined && tokens[i + 2].text === "in") {
+            let open = i;
+            while (open < tokens.length && tokens[open].text !== "{") {
+                open++;
+            }
+            units.push({ kind: "for", range: range(tokens[Math.min(open, tokens.length - 1)]) });
+            loops.push(true);
+            i = open + 1;
+        } else if (token.text === "{") {
+            let depth = 0;
+            let close = i;
+            for (; close < tokens.length; close++) {
+                depth += tokens[close].text === "{" ? 1 : tokens[close].text === "}" ? -1 : 0;
+                if (depth === 0) {
+                    break;
+                }
+            }
+            units.push({ kind: "item", range: range(tokens[Math.min(close, tokens.length - 1)]) });
+            i = close + 1;
+        } else if (token.text === "}") {
+            if (loops.pop()) {
+                units.push({ kind: "end", range: range(token) });
+            }
+            i++;
+        } else {
+            if (token.kind !== "word") {
+                units.push({ kind: "item", range: range(token) });
+            }
+            i++;
+        }
+    }
+    return units;
+}
+
+/**
+ * Lines up the expanded script of a block's function with the block, item by item
+ * @param {String[]} expanded - translated lines of the expanded function
+ * @param {String[]} lines - the block, header first
+ * @throws {ResultException} - when the expansion doesn't have the same items as the block
+ * @returns {AlignedExpansion}
+ */
+function alignExpansion(expanded, lines) {
+    const units = sourceUnits(tokenize(lines, 1), lines);
+    const kinds = expanded.map((line) => line.startsWith("for ") ? "for" : line === "}" ? "end" : "item");
+    const items = (list) => list.filter((kind) => kind === "item").length;
+    if (kinds.length !== units.length || kinds.some((kind, i) => kind !== units[i].kind)) {
+        throw new ResultException(`The cargo expand output has ${items(kinds)} script items where the block has ${items(units.map((unit) => unit.kind))}, it may be out of date`);
+    }
+    return {
+        lines: [lines[0], ...expanded],
+        origins: [{ line: 0, start: 0, end: lines[0].length }, ...units.map((unit) => unit.range)]
+    };
+}
+
+module.exports = {
+    indexExpansion,
+    indexExpandedBlocks,
+    blockKey,
+    alignExpansion
+}
@@ -0,0 +1,118 @@
+const { formatElement, parseElement, equalElements, isSymbolic } = require('./scriptnum');
+const { parseOperand, equivalentOperands } = require('./symbolic');
+const { formatNamed } = require('./names');
+
+/**
+ * Assertions on the stacks written in a block, like `// expect: [A, B] [C]`. They are checked
+ * once every token up to their line has run, against the main stack and, when one is given,
+ * the alt stack of every path that is executing.
+ *
+ * An expected item matches an item with the same value, as shown in the hints, or with that
+ * name, so `[x, 5, (A+B)]` matches `[x=5, 5, (A+B)]`. Symbolic items match equivalent
+ * expressions too, `B + A` matches `(A+B)`.
+ *
+ * @typedef {import('./opcodes').State} State
+ * @typedef {import('./stack').Stack} Stack
+ *
+ * @typedef {Object} Expectation
+ * @property {String[]} main
+ * @property {String[] | null} alt - null when only the main stack is checked
+ */
+
+/**
+ * Items of a stack written like `[A, MAX(lo, hi), 5]`, commas in parentheses don't split
+ * @param {String} text - without the brackets
+ * @returns {String[]}
+ */
+function splitItems(text) {
+    const items = [];
+    let depth = 0;
+    let current = "";
+    for (const char of text) {
+        if (char === "," && depth === 0) {
+            items.push(current);
+            current = "";
+            continue;
+        }
+        depth += char === "(" ? 1 : char === ")" ? -1 : 0;
+        current += char;
+    }
+    items.push(current);
+    return items.map((item) => item.trim()).filter((item) => item !== "");
+}
+
+/**
+ * Stacks written like `[A, B] [C]` or `[A, B]`
+ * @param {String} text
+ * @returns {Expectation | null} - null when the text has no stack
+ */
+function parseExpectedStacks(text) {
+    const matched = text.match(/^\s*\[([^\]]*)\]\s*,?\s*(?:\[([^\]]*)\])?/);
+    if (matched === null) {
+        return null;
+    }
+    return { main: splitItems(matched[1]), alt: matched[2] === undefined ? null : splitItems(matched[2]) };
+}
+
+/**
+ * @param {String} line
+ * @returns {Expectation | null} - null when the line has no `// expect:` comment
+ */
+function parseExpectation(line) {
+    const matched = line.match(/\/\/\s*expect:(.*)$/);
+    return matched === null ? null : parseExpectedStacks(matched[1]);
+}
+
+/**
+ * @param {String} expected
+ * @param {import('./scriptnum').Element} elem
+ * @param {import('./opcodes').Context} context - its names and the mode numbers are shown in
+ * @returns {boolean}
+ */
+function matchesItem(expected, elem, context) {
+    const { names } = context;
+    const compact = (text) => text.replace(/\s+/g, "");
+    const shown = [names.get(elem), formatElement(elem, context), formatNamed(elem, names, context)];
+    if (shown.some((text) => text !== undefined && compact(text) === compact(expected))) {
+        return true;
+    }
+    if (isSymbolic(elem)) {
+        const operand = parseOperand(expected);
+        return operand !== null && equivalentOperands(operand, elem);
+    }
+    const value = parseElement(expected);
+    return value instanceof Uint8Array && elem instanceof Uint8Array && equalElements(value, elem);
+}
+
+/**
+ * @param {String[]} expected
+ * @param {Stack} stack
+ * @param {import('./opcodes').Context} context
+ * @returns {boolean}
+ */
+function matchesStack(expected, stack, context) {
+    return expected.length === stack.items.length && expected.every((item, i) => matchesItem(item, stack.items[i], context));
+}
+
+/**
+ * @param {Expectation} expectation
+ * @param {State} state
+ * @returns {String | null} - the expected and actual stacks side by side when they don't match
+ */
+function checkExpectation(expectation, state) {
+    const { names } = state.context;
+    const mainMatches = matchesStack(expectation.main, state.main, state.context);
+    const altMatches = expectation.alt === null || matchesStack(expectation.alt, state.alt, state.context);
+    if (mainMatches && altMatches) {
+        return null;
+    }
+    const expected = `[${expectation.main.join(", ")}]` + (expectation.alt === null ? "" : ` [${expectation.alt.join(", ")}]`);
+    const actual = state.main.print(names, state.context) + (expectation.alt === null ? "" : ` ${state.alt.print(names, state.context)}`);
+    return `expected ${expected} but got ${actual}`;
+}
+
+module.exports = {
+    parseExpectedStacks,
+    parseExpectation,
+    checkExpectation
+}
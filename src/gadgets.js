@@ -0,0 +1,131 @@
+const { collectConstants } = require('./macro');
+const { DEFAULT_MACROS, matchingBrace, findItems } = require('./scanner');
+const { scopeAt, gadgetKey } = require('./resolve');
+
+/**
+ * Index of the Script-returning functions of a workspace, the "gadgets" BitVM-style code
+ * composes with `script! { { u32_add(1, 0) } }`. Only functions whose body is a single
+ * `script!` block, or one of another script macro, are indexed, calls to them are inlined by
+ * the macro expansion. Several modules may have a gadget of the same name, src/resolve.js
+ * picks the one a call names.
+ *
+ * @typedef {Object} Gadget
+ * @property {String} name
+ * @property {String[]} params - names of the parameters, in order
+ * @property {String[]} lines - lines of the `script!` body, the first one starts after its `{`
+ * @property {import('./macro').Constants} constants - `const` items of its file and its own `let` values
+ * @property {String} file
+ * @property {Number} line - line of the `fn`
+ * @property {Number} column - column of the function name
+ * @property {String} [module] - like `bigint::add`, empty in the crate root
+ * @property {import('./resolve').Import[]} [uses] - what the calls of its body may name
+ *
+ * @typedef {Map<string, Gadget>} GadgetIndex - by gadgetKey, see src/resolve.js
+ */
+
+const GADGET = /fn\s+(\w+)\s*(?:<[^>{]*>)?\s*\(([^)]*)\)\s*->\s*Script\s*\{/y;
+
+/**
+ * @param {String} source
+ * @param {Number} offset
+ * @returns {{line: Number, column: Number}}
+ */
+function positionAt(source, offset) {
+    const before = source.slice(0, offset);
+    const line = before.split("\n").length - 1;
+    return { line, column: offset - (before.lastIndexOf("\n") + 1) };
+}
+
+/**
+ * Names of parameters like `a: u32, mut b: &[u8]`
+ * @param {String} text
+ * @returns {String[]}
+ */
+function parameterNames(text) {
+    return text.split(",")
+        .map((param) => param.split(":")[0].trim().replace(/^mut\s+/, ""))
+        .filter((name) => /^\w+$/.test(name));
+}
+
+/**
+ * Finds the gadgets defined in a Rust file
+ * @param {String} source
+ * @param {String} file
+ * @param {String[]} [macros] - the script macros, like `script!`
+ * @returns {Gadget[]}
+ */
+function indexSource(source, file, macros = DEFAULT_MACROS) {
+    const names = macros.map((macro) => macro.replace(/!$/, ""));
+    const items = findItems(source);
+    const gadgets = [];
+    for (const item of items) {
+        GADGET.lastIndex = item.start;
+        const matched = item.kind === "fn" ? GADGET.exec(source) : null;
+        const bodyOpen = item.open;
+        const bodyClose = item.close;
+        if (matched === null || item.start + matched[0].length - 1 !== bodyOpen || bodyClose === source.length) {
+            continue;
+        }
+        const body = source.slice(bodyOpen + 1, bodyClose);
+        const script = body.match(/^\s*(\w+)!\s*\{/);
+        if (script === null || !names.includes(script[1])) {
+            continue;
+        }
+        const scriptOpen = bodyOpen + 1 + script[0].length - 1;
+        const scriptClose = matchingBrace(source, scriptOpen);
+        if (scriptClose === -1 || source.slice(scriptClose + 1, bodyClose).trim() !== "") {
+            continue;
+        }
+
+        const { line, column } = positionAt(source, item.start + matched[0].indexOf(matched[1], 2));
+        const { module, uses } = scopeAt(items, scriptOpen, file);
+        gadgets.push({
+            name: matched[1],
+            params: parameterNames(matched[2]),
+            lines: source.slice(scriptOpen + 1, scriptClose).split("\n"),
+            constants: collectConstants(source, scriptOpen),
+            file,
+            line,
+            column,
+            module,
+            uses
+        });
+    }
+    return gadgets;
+}
+
+/**
+ * Replaces the gadgets of files in the index with ones found already
+ * @param {GadgetIndex} index
+ * @param {String[]} files
+ * @param {Gadget[]} found - in those files
+ */
+function replaceGadgets(index, files, found) {
+    for (const [key, gadget] of index) {
+        if (files.includes(gadget.file)) {
+            index.delete(key);
+        }
+    }
+    for (const gadget of found) {
+        index.set(gadgetKey(gadget), gadget);
+    }
+}
+
+/**
+ * Replaces the gadgets of a file in the index
+ * @param {GadgetIndex} index
+ * @param {String} file
+ * @param {String | null} source - null when the file was deleted
+ * @param {String[]} [macros] - the script macros, like `script!`
+ */
+function updateIndex(index, file, source, macros = DEFAULT_MACROS) {
+    replaceGadgets(index, [file], source === null ? [] : indexSource(source, file, macros));
+}
+
+module.exports = {
+    indexSource,
+    updateIndex,
+    replaceGadgets,
+    parameterNames,
+    positionAt
+}
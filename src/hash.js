@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+
+/**
+ * Digests used by the hash opcodes. Node's crypto is used when it provides the
+ * algorithm, RIPEMD160 falls back to a pure JS implementation since OpenSSL 3
+ * builds may leave it out.
+ */
+
+/**
+ * Whether Node can create a hash of the algorithm. OpenSSL 3 still lists ripemd160 when
+ * its legacy provider isn't loaded, but creating the hash throws
+ * @param {String} algorithm
+ * @returns {boolean}
+ */
+function isSupported(algorithm) {
+    try {
+        crypto.createHash(algorithm);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const hasNativeRipemd160 = isSupported("ripemd160");
+
+/**
+ * @param {String} algorithm
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function nodeDigest(algorithm, data) {
+    return new Uint8Array(crypto.createHash(algorithm).update(data).digest());
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function sha1(data) {
+    return nodeDigest("sha1", data);
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function sha256(data) {
+    return nodeDigest("sha256", data);
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function ripemd160(data) {
+    if (hasNativeRipemd160) {
+        return nodeDigest("ripemd160", data);
+    }
+    return ripemd160Js(data);
+}
+
+/**
+ * RIPEMD160(SHA256(x)), used for public key hashes
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function hash160(data) {
+    return ripemd160(sha256(data));
+}
+
+/**
+ * SHA256(SHA256(x))
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function hash256(data) {
+    return sha256(sha256(data));
+}
+
+// message word selection, rotation amounts and constants for the left and right lines
+const RL = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+    3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12,
+    1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+    4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13
+];
+const RR = [
+    5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12,
+    6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+    15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13,
+    8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+    12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11
+];
+const SL = [
+    11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8,
+    7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+    11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5,
+    11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+    9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6
+];
+const SR = [
+    8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6,
+    9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+    9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5,
+    15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+    8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11
+];
+const KL = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+const KR = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+/**
+ * @param {Number} j - round 0..79
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} z
+ * @returns {Number}
+ */
+function f(j, x, y, z) {
+    if (j < 16) return x ^ y ^ z;
+    if (j < 32) return (x & y) | (~x & z);
+    if (j < 48) return (x | ~y) ^ z;
+    if (j < 64) return (x & z) | (y & ~z);
+    return x ^ (y | ~z);
+}
+
+/**
+ * @param {Number} x
+ * @param {Number} n
+ * @returns {Number}
+ */
+function rotl(x, n) {
+    return (x << n) | (x >>> (32 - n));
+}
+
+/**
+ * Pure JS RIPEMD160
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function ripemd160Js(data) {
+    // pad to a multiple of 64 bytes with 0x80, zeros and the bit length in little endian
+    const paddedLength = Math.ceil((data.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    const bitLength = data.length * 8;
+    view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+    let h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    const X = new Array(16);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            X[i] = view.getUint32(offset + i * 4, true);
+        }
+
+        let [al, bl, cl, dl, el] = h;
+        let [ar, br, cr, dr, er] = h;
+
+        for (let j = 0; j < 80; j++) {
+            const round = Math.floor(j / 16);
+
+            let t = (rotl((al + f(j, bl, cl, dl) + X[RL[j]] + KL[round]) | 0, SL[j]) + el) | 0;
+            al = el; el = dl; dl = rotl(cl, 10); cl = bl; bl = t;
+
+            t = (rotl((ar + f(79 - j, br, cr, dr) + X[RR[j]] + KR[round]) | 0, SR[j]) + er) | 0;
+            ar = er; er = dr; dr = rotl(cr, 10); cr = br; br = t;
+        }
+
+        const t = (h[1] + cl + dr) | 0;
+        h[1] = (h[2] + dl + er) | 0;
+        h[2] = (h[3] + el + ar) | 0;
+        h[3] = (h[4] + al + br) | 0;
+        h[4] = (h[0] + bl + cr) | 0;
+        h[0] = t;
+    }
+
+    const out = new Uint8Array(20);
+    const outView = new DataView(out.buffer);
+    h.forEach((word, i) => outView.setUint32(i * 4, word >>> 0, true));
+    return out;
+}
+
+module.exports = {
+    sha1,
+    sha256,
+    ripemd160,
+    ripemd160Js,
+    hash160,
+    hash256,
+    isSupported
+}
@@ -0,0 +1,1140 @@
+const { Stack } = require('./stack');
+const { convertOpcode: processOpcode } = require('./converter');
+const { opcodeList, customOpcodeList, conditionalOpcodes, isExecuting, isExperimentalEnabled, disabledOpcode, cloneState } = require('./opcodes');
+const { Ok, Err, CancelledException } = require('./utils');
+const { parseElement } = require('./scriptnum');
+const { assemble, opcodeBytes, isOpSuccess } = require('./assembler');
+const { parseTransaction } = require('./transaction');
+const { createUsage, recordStacks, recordOpcode, recordMultisigKeys, recordScriptSize, summarizeUsage } = require('./limits');
+const { tokenize } = require('./tokenizer');
+const { expandMacro } = require('./macro');
+const { alignExpansion } = require('./expand');
+const { snapshot, deriveNames, nameTop, parseNameAnnotation } = require('./names');
+const { parseExpectedStacks, parseExpectation, checkExpectation } = require('./expect');
+
+/**
+ * @typedef {import('./opcodes').State} State
+ *
+ * @typedef {Object} GlobalState
+ * @property {State} innerState
+ */
+
+/**
+ * @typedef {Object} Hint
+ * @property {Number} index - line index relative to the header line of the block
+ * @property {String} text
+ * @property {Boolean} isError
+ * @property {Number} [column] - shown after this column instead of at the end of the line
+ * @property {Problem} [problem] - where on its line the error is, for the Problems panel. A hint that
+ *   isn't an error but has one is a warning
+ */
+
+/**
+ * @typedef {"script-error" | "unknown-opcode" | "invalid-push" | "unbalanced-conditional" | "invalid-header" | "invalid-inputs"
+ *   | "unknown-directive" | "unknown-vector" | "limit-exceeded" | "too-many-paths" | "evaluation-truncated"
+ *   | "expectation-failed" | "invalid-name" | "vector-failed" | "expansion-failed" | "op-success"
+ *   | "evaluation-failed" | "ambiguous-gadget"} ProblemCode
+ *
+ * @typedef {Object} Problem
+ * @property {ProblemCode} code - stable, the README lists them
+ * @property {Number} start - column of its first character
+ * @property {Number} end - column after its last character
+ */
+
+/**
+ * @param {ProblemCode} code
+ * @param {import('./tokenizer').Token} token
+ * @returns {Problem}
+ */
+function tokenProblem(code, token) {
+	return { code, start: token.start, end: token.end };
+}
+
+/**
+ * A problem with a whole line, without its indentation
+ * @param {ProblemCode} code
+ * @param {String} lineText
+ * @returns {Problem}
+ */
+function lineProblem(code, lineText) {
+	let end = lineText.trimEnd().length;
+	return { code, start: Math.min(lineText.search(/\S|$/), end), end };
+}
+
+/**
+ * What failed when a token fails on a path
+ * @param {import('./tokenizer').Token} token
+ * @param {State} state - before the token
+ * @returns {ProblemCode}
+ */
+function failureCode(token, state) {
+	if ((token.kind === "opcode" && opcodeBytes[token.text] === undefined) || token.kind === "word") {
+		return "unknown-opcode";
+	}
+	if (token.kind === "data") {
+		try {
+			processOpcode(token.text);
+		} catch {
+			return "invalid-push";
+		}
+	}
+	if ((token.text === "OP_ELSE" || token.text === "OP_ENDIF") && state.exec.length === 0) {
+		return "unbalanced-conditional";
+	}
+	return "script-error";
+}
+
+/**
+ * Script items of the token texts seen lately, every evaluation of a block serializes it again
+ * @type {Map<string, import('./assembler').ScriptItem | null>}
+ */
+const scriptItems = new Map();
+
+/**
+ * Most token texts whose script items are kept
+ */
+const MAX_SCRIPT_ITEMS = 10000;
+
+/**
+ * What a token serializes to in the script
+ * @param {import('./tokenizer').Token} token
+ * @returns {import('./assembler').ScriptItem | null} - null for words, placeholders and malformed pushes
+ */
+function scriptItem(token) {
+	let key = `${token.kind} ${token.text}`;
+	if (!scriptItems.has(key)) {
+		if (scriptItems.size >= MAX_SCRIPT_ITEMS) {
+			scriptItems.clear();
+		}
+		scriptItems.set(key, convertItem(token));
+	}
+	return scriptItems.get(key);
+}
+
+/**
+ * @param {import('./tokenizer').Token} token
+ * @returns {import('./assembler').ScriptItem | null}
+ */
+function convertItem(token) {
+	if (token.kind === "word") {
+		return null;
+	}
+	let converted;
+	try {
+		converted = processOpcode(token.text);
+	} catch {
+		// malformed pushes are reported when the token runs
+		return null;
+	}
+	if (converted.op === "OP_PUSHDATA") {
+		// a placeholder like <pubkey> has no bytes to serialize
+		return converted.val instanceof Uint8Array ? { data: converted.val, pushOp: converted.pushOp } : null;
+	}
+	if (token.kind === "opcode") {
+		return { op: token.text };
+	}
+	return { num: converted.val };
+}
+
+/**
+ * Serialize the tokens of a block, signatures commit to these bytes
+ * @param {import('./tokenizer').Token[]} tokens
+ * @returns {Uint8Array}
+ */
+function assembleTokens(tokens) {
+	return assemble(tokens.map(scriptItem).filter((item) => item !== null));
+}
+
+/**
+ * Runs one opcode, number or push on a path
+ * @param {import('./tokenizer').Token} token
+ * @param {GlobalState} globalState
+ * @throws {import('./utils').ResultException}
+ * @returns {import('./utils').Result} - the processed opcode
+ */
+function processToken(token, globalState) {
+	// a misspelled opcode, or a bare word like DUP, fails the script instead of being skipped
+	if ((token.kind === "opcode" && opcodeBytes[token.text] === undefined) || token.kind === "word") {
+		Err(`${token.text} is not an opcode`);
+	}
+	let convertedOpcode = processOpcode(token.text);
+	let state = globalState.innerState;
+	let isConditional = conditionalOpcodes.includes(convertedOpcode.op);
+
+	// disabled opcodes fail the script wherever they appear
+	let disabled = disabledOpcode(convertedOpcode.op, state.context);
+	if (disabled !== null) {
+		Err(disabled);
+	}
+
+	// inside a branch that is not taken only the conditionals are looked at, to keep track of nesting
+	if (!isConditional && !isExecuting(state)) {
+		return Ok(convertedOpcode.op);
+	}
+
+	// results are named after their operands once items have names
+	let names = state.context.names;
+	let before = names.size > 0 ? snapshot(state.main, state.alt) : null;
+	let newState;
+	let opcodeFn;
+	if (convertedOpcode.val !== undefined && convertedOpcode.val !== null) {
+		if ((opcodeFn = customOpcodeList[convertedOpcode.op]) !== undefined) {
+			newState = opcodeFn(convertedOpcode.val, convertedOpcode.pushOp)(state);
+		}
+	} else if ((opcodeFn = opcodeList[convertedOpcode.op]) !== undefined) {
+		newState = opcodeFn(state);
+	}
+
+	if (newState === undefined) {
+		return Ok(convertedOpcode.op);
+	}
+
+	if ("error" in newState) {
+		let message = newState.error instanceof Error ? newState.error.message : newState.error;
+		Err(String(message));
+	}
+
+	if (before !== null) {
+		deriveNames(names, convertedOpcode.op, before, newState.main);
+	}
+	globalState.innerState = newState;
+	return Ok(convertedOpcode.op);
+}
+
+/**
+ * @typedef {Object} Options
+ * @property {"toy" | "real"} [mode]
+ * @property {"legacy" | "segwitv0" | "tapscript"} [sigversion] - used unless the transaction or the block picks one
+ * @property {any} [transaction] - JSON description of the spending transaction, see src/transaction.js
+ * @property {String} [transactionError] - why the transaction file couldn't be read
+ * @property {boolean} [experimental] - enables the experimental opcodes profile
+ * @property {String[]} [flags] - script verification flags, see policyFlags
+ * @property {boolean} [tokenHints] - also show the stacks after every token of a line with several
+ * @property {import('./macro').Constants} [constants] - `let`/`const` values the macro's loops and braces may use
+ * @property {import('./gadgets').GadgetIndex} [gadgets] - Script-returning functions that `{ name(args) }` calls inline
+ * @property {import('./resolve').Scope} [scope] - where the block is, for the calls naming a gadget several modules have
+ * @property {String[]} [expansion] - the `cargo expand` output of the block's function, run in place of the block
+ * @property {boolean} [skipWords] - words that aren't script, like the Rust of a `script!` body, are skipped
+ *   instead of failing as unknown opcodes. The words of inlined gadgets always are
+ * @property {Map<string, RunCache>} [cache] - what the last evaluation of the block left to resume from, by input vector.
+ *   Keep one per block and pass it again on every evaluation
+ * @property {Budget} [budget]
+ * @property {Number} [headerLine] - line of the header in its file, for the hints naming a line
+ */
+
+/**
+ * @typedef {Object} Budget - how far a run may go, beyond that it stops with a hint saying where
+ * @property {Number} [steps] - opcodes run on every path together
+ * @property {Number} [deadline] - `Date.now()` by which the run has to be done
+ * @property {Number} [timeout] - milliseconds the deadline gave, for the hint
+ * @property {() => boolean} [isCancelled] - a newer evaluation replaces this one, it is dropped with a CancelledException
+ */
+
+/**
+ * @typedef {Object} Directive
+ * @property {String} value
+ * @property {Number} index - line index relative to the header line
+ */
+
+/**
+ * Policy flags that can be turned on, on top of the consensus rules
+ */
+const policyFlags = ["DISCOURAGE_UPGRADABLE_NOPS", "MINIMALDATA"];
+
+/**
+ * Values accepted by the directives of a block
+ * @type {Object<string, String[]>}
+ */
+const directiveValues = {
+	mode: ["toy", "real"],
+	sigversion: ["legacy", "segwitv0", "tapscript"],
+	experimental: ["on", "off"],
+	// a comma separated list, e.g. `// @flags DISCOURAGE_UPGRADABLE_NOPS`, or none
+	flags: [...policyFlags, "none"]
+};
+
+/**
+ * Reads the `// @name value` lines of a block, e.g. `// @mode real`
+ * @param {String[]} lines
+ * @returns {Object<string, Directive>}
+ */
+function parseDirectives(lines) {
+	/** @type {Object<string, Directive>} */
+	let directives = {};
+	lines.forEach((lineText, index) => {
+		let matched = lineText.match(/^\s*\/\/\s*@(\w+)\s+(\S+)/);
+		if (matched) {
+			directives[matched[1]] = { value: matched[2], index };
+		}
+	});
+	return directives;
+}
+
+/**
+ * @param {import('./tokenizer').Token[]} tokens
+ * @param {Options} options
+ * @returns {import('./opcodes').Context}
+ */
+function createContext(tokens, options) {
+	/** @type {import('./opcodes').Context} */
+	let context = {
+		mode: options.mode || "toy",
+		sigversion: options.sigversion || "tapscript",
+		script: assembleTokens(tokens),
+		codeSeparatorPos: 0xffffffff,
+		scriptCodeStart: 0,
+		opcodePos: 0,
+		opcodeEnd: 0,
+		flags: options.flags || [],
+		txError: options.transactionError,
+		experimental: options.experimental === true,
+		names: new Map()
+	};
+
+	if (options.transaction !== undefined) {
+		try {
+			context.tx = parseTransaction(options.transaction);
+			context.sigversion = context.tx.sigversion || context.sigversion;
+		} catch (err) {
+			context.txError = err.message;
+		}
+	}
+	return context;
+}
+
+/**
+ * Most paths followed through symbolic conditionals of one block
+ */
+const MAX_PATHS = 32;
+
+/**
+ * @typedef {Object} PathOutcome - the result of one line on one path
+ * @property {State} state
+ * @property {String} [error]
+ * @property {Problem} [problem] - where the error is
+ */
+
+/**
+ * Hint of a line or token. With several paths every stack is labelled with the constraints of its path
+ * @param {Number} index
+ * @param {String} mode
+ * @param {PathOutcome[]} outcomes
+ * @param {boolean} labelled
+ * @returns {Hint}
+ */
+function renderOutcomes(index, mode, outcomes, labelled) {
+	let isError = outcomes.some((outcome) => outcome.error !== undefined);
+	/** @type {Hint} */
+	let hint;
+	if (!labelled) {
+		let { state, error } = outcomes[0];
+		let text = isError ? ` ${mode} => ${error} ` : ` ${mode} =>  ${state.main.print(state.context.names, state.context)} ${state.alt.print(state.context.names, state.context)}`;
+		hint = { index, text, isError };
+	} else {
+		let parts = outcomes.map(({ state, error }) => {
+			let label = state.constraints.map(String).join(" && ");
+			return `${label}: ` + (error !== undefined ? error : `${state.main.print(state.context.names, state.context)} ${state.alt.print(state.context.names, state.context)}`);
+		});
+		hint = { index, text: ` ${mode} =>  ${parts.join(" | ")}`, isError };
+	}
+	let failed = outcomes.find((outcome) => outcome.problem !== undefined);
+	if (failed !== undefined) {
+		hint.problem = failed.problem;
+	}
+	return hint;
+}
+
+/**
+ * @typedef {Object} InputVector - initial stacks a block runs with
+ * @property {String} label - the name of its `// inputs` line, or its position like `#2`
+ * @property {Number} index - its line
+ * @property {String} main
+ * @property {String} alt
+ * @property {import('./expect').Expectation | null} expected - the stacks it should end with
+ *
+ * @typedef {Object} VectorRun - the outcome of running a block with one input vector
+ * @property {Hint[]} hints
+ * @property {import('./opcodes').Context} context
+ * @property {import('./limits').Usage} usage
+ * @property {String | null} failure - why the vector fails, null when it passes
+ */
+
+const INPUTS_LINE = /^\s*\/\/\s*inputs(?:\s+([^:]*?))?\s*:(.*)$/;
+
+/**
+ * Reads the input vectors of a block: the stacks of its header, then one per
+ * `// inputs [name]: [main] [alt] => [expected main] [expected alt]` line
+ * @param {String[]} lines
+ * @returns {{vectors: InputVector[], hints: Hint[]}} - hints for a malformed header or `// inputs` lines
+ */
+function parseVectors(lines) {
+	/** @type {InputVector[]} */
+	let vectors = [];
+	/** @type {Hint[]} */
+	let hints = [];
+	lines.forEach((line, index) => {
+		let matched = line.match(INPUTS_LINE);
+		if (matched === null) {
+			let stacks = index === 0 ? parseCommentForStacks(line) : null;
+			if (stacks !== null) {
+				vectors.push({ label: "#1", index, ...stacks, expected: null });
+			} else if (index === 0 && line.includes("[")) {
+				hints.push({ index, text: ` => The header is written [main] [alt], the alt stack is optional `, isError: true, problem: lineProblem("invalid-header", line) });
+			}
+			return;
+		}
+		let [given, result] = matched[2].split("=>");
+		let stacks = parseCommentForStacks(given);
+		let expected = result === undefined ? null : parseExpectedStacks(result);
+		if (stacks === null || (result !== undefined && expected === null)) {
+			hints.push({ index, text: ` => Inputs are written [main] [alt] => [expected main] [expected alt], the expected stacks are optional `, isError: true, problem: lineProblem("invalid-inputs", line) });
+			return;
+		}
+		vectors.push({ label: matched[1] || `#${vectors.length + 1}`, index, ...stacks, expected });
+	});
+	return { vectors, hints };
+}
+
+/**
+ * Why a run fails: its first error, or a mismatch with the stacks its vector should end with
+ * @param {InputVector} vector
+ * @param {Hint[]} hints
+ * @param {GlobalState[]} paths - the paths that made it to the end
+ * @param {String[]} lines
+ * @returns {String | null}
+ */
+function vectorFailure(vector, hints, paths, lines) {
+	let error = hints.filter((hint) => hint.isError).sort((a, b) => a.index - b.index)[0];
+	if (error !== undefined) {
+		let code = lines[error.index].replace(/\/\/.*$/, "").trim();
+		let message = error.text.trim().replace(/^\w* ?=>\s*/, "");
+		return code === "" || error.index === 0 ? `fails: ${message}` : `fails at ${code}: ${message}`;
+	}
+	if (vector.expected === null) {
+		return null;
+	}
+	if (paths.length === 0) {
+		return "fails: the script stops before its end";
+	}
+	for (const path of paths) {
+		let mismatch = checkExpectation(vector.expected, path.innerState);
+		if (mismatch !== null) {
+			return `fails: ${mismatch} at the end`;
+		}
+	}
+	return null;
+}
+
+/**
+ * Runs a script block. The first line is the header holding the initial stacks
+ * and the remaining lines are the script itself. A block with `// inputs` lines runs
+ * once per input vector, the hints of its lines are the ones of the vector picked
+ * with `// @vector`, the first one by default
+ * @param {String[]} lines
+ * @param {Options} [options]
+ * @returns {Hint[] | null} - null if the block has no stacks to start with
+ */
+function evaluateBlock(lines, options = {}) {
+	let { vectors, hints } = parseVectors(lines);
+
+	if (vectors.length === 0) {
+		return hints.length === 0 ? null : hints;
+	}
+
+	// a block can pick its own mode, sigversion and opcode profile, overriding the settings and the transaction
+	let directives = parseDirectives(lines);
+	for (const [name, values] of Object.entries(directiveValues)) {
+		let directive = directives[name];
+		if (directive === undefined) {
+			continue;
+		}
+		let given = name === "flags" ? directive.value.split(",") : [directive.value];
+		let unknown = given.find((value) => !values.includes(value));
+		if (unknown !== undefined) {
+			let problem = wordProblem("unknown-directive", lines[directive.index], unknown);
+			hints.push({ index: directive.index, text: ` => Unknown ${name} ${unknown}, expected ${values.join(" or ")} `, isError: true, problem });
+			return hints;
+		}
+	}
+	if (directives.mode !== undefined) {
+		options = { ...options, mode: directives.mode.value };
+	}
+	// `// @vector 2` picks by position, `// @vector name` by name
+	let shown = 0;
+	if (directives.vector !== undefined) {
+		let { value, index } = directives.vector;
+		shown = /^\d+$/.test(value) ? Number(value) - 1 : vectors.findIndex((vector) => vector.label === value);
+		if (vectors[shown] === undefined) {
+			let problem = wordProblem("unknown-vector", lines[index], value);
+			hints.push({ index, text: ` => Unknown vector ${value}, expected ${vectors.map((vector) => vector.label).join(" or ")} `, isError: true, problem });
+			return hints;
+		}
+	}
+
+	// loops are unrolled, `{ expr }` replaced by its value and gadget calls by their body before anything runs
+	let { tokens, notes } = expandBlock(lines, options);
+	let annotations = lines.map((line) => ({ names: parseNameAnnotation(line), expectation: parseExpectation(line), comment: commentRange(line) }));
+	let runs = vectors.map((vector) => runVector(vector, tokens, notes, lines, options, directives, annotations));
+	if (options.cache !== undefined) {
+		let labels = new Set(vectors.map((vector) => vector.label));
+		[...options.cache.keys()].filter((label) => !labels.has(label)).forEach((label) => options.cache.delete(label));
+	}
+
+	let { context, usage } = runs[shown];
+	hints.push(...runs[shown].hints);
+	hints.push({ index: 0, text: ` ${context.mode} => ${context.sigversion} limits: ${summarizeUsage(usage, context.sigversion)}`, isError: false });
+	if (vectors.length === 1 && vectors[0].expected === null) {
+		return hints;
+	}
+
+	vectors.forEach((vector, i) => {
+		let { failure } = runs[i];
+		let status = failure === null ? `✓ ${vector.label} passes` : `✗ ${vector.label} ${failure}`;
+		let text = vectors.length > 1 && i === shown ? `${status}, shown` : status;
+		let hint = { index: vector.index, text: ` ${context.mode} => ${text} `, isError: failure !== null };
+		hints.push(failure === null ? hint : { ...hint, problem: lineProblem("vector-failed", lines[vector.index]) });
+	});
+	if (vectors.length > 1) {
+		let passing = runs.filter((run) => run.failure === null).length;
+		hints.push({ index: 0, text: ` ${context.mode} => ${passing} of ${vectors.length} input vectors pass, showing ${vectors[shown].label} `, isError: passing < vectors.length });
+	}
+	return hints;
+}
+
+/**
+ * Runs the expanded tokens of a block with the initial stacks of one input vector
+ * @param {InputVector} vector
+ * @param {import('./tokenizer').Token[]} tokens
+ * @param {import('./macro').Note[]} notes
+ * @param {String[]} lines
+ * @param {Options} options
+ * @param {Object<string, Directive>} directives
+ * @param {LineAnnotations[]} annotations
+ * @returns {VectorRun}
+ */
+function runVector(vector, tokens, notes, lines, options, directives, annotations) {
+	let context = createContext(tokens, options);
+	/** @type {GlobalState} */
+	let globalState = {
+		innerState: {
+			main: processStack(vector.main, context.names),
+			alt: processStack(vector.alt, context.names),
+			exec: [],
+			context,
+			constraints: [],
+			forks: []
+		}
+	};
+	if (directives.sigversion !== undefined) {
+		context.sigversion = directives.sigversion.value;
+	}
+	if (directives.experimental !== undefined) {
+		context.experimental = directives.experimental.value === "on";
+	}
+	if (directives.flags !== undefined) {
+		context.flags = directives.flags.value.split(",").filter((flag) => flag !== "none");
+	}
+	let usage = createUsage();
+	let cache;
+	if (options.cache !== undefined) {
+		// signatures commit to the whole script, a run checking them only resumes the same script
+		let script = context.tx === undefined ? "" : Buffer.from(context.script).toString("hex");
+		let { mode, sigversion, flags, experimental, txError } = context;
+		let key = JSON.stringify([vector.main, vector.alt, mode, sigversion, flags, experimental, txError, options.tokenHints === true, options.transaction, script]);
+		cache = options.cache.get(vector.label);
+		if (cache === undefined || cache.key !== key) {
+			cache = { key, tokens: [], annotations: [], snapshots: [], hints: [] };
+			options.cache.set(vector.label, cache);
+		}
+	}
+	let { hints, paths } = runTokens(tokens, lines, globalState, usage, annotations, options, cache);
+	hints = addNotes(keepLastIterations(hints), notes, lines, context.mode);
+	return { hints, context, usage, failure: vectorFailure(vector, hints, paths, lines) };
+}
+
+/**
+ * The tokens a block runs, from its own lines or from its `cargo expand` output placed on its lines
+ * @param {String[]} lines
+ * @param {Options} options
+ * @returns {{tokens: import('./tokenizer').Token[], notes: import('./macro').Note[]}}
+ */
+function expandBlock(lines, options) {
+	if (options.expansion !== undefined) {
+		try {
+			let { lines: expandedLines, origins } = alignExpansion(options.expansion, lines);
+			let { tokens, notes } = expandMacro(tokenize(expandedLines, 1), expandedLines, options.constants, options.gadgets, [], options.scope);
+			return {
+				tokens: tokens.map((token) => ({ ...token, ...origins[token.line] })),
+				notes: notes.map((note) => ({ ...note, line: origins[note.line].line }))
+			};
+		} catch (err) {
+			let expanded = expandMacro(tokenize(lines, 1), lines, options.constants, options.gadgets, [], options.scope);
+			return { tokens: expanded.tokens, notes: [{ line: 0, text: err.message, isError: true }, ...expanded.notes] };
+		}
+	}
+	return expandMacro(tokenize(lines, 1), lines, options.constants, options.gadgets, [], options.scope);
+}
+
+/**
+ * A line in an unrolled loop runs once per iteration, only the hint of the last one is kept
+ * @param {Hint[]} hints
+ * @returns {Hint[]}
+ */
+function keepLastIterations(hints) {
+	let seen = new Set();
+	return hints.reduceRight((kept, hint) => {
+		let place = `${hint.index}:${hint.column}`;
+		if (!seen.has(place)) {
+			seen.add(place);
+			kept.unshift(hint);
+		}
+		return kept;
+	}, []);
+}
+
+/**
+ * Adds the notes of the macro expansion, like the iterations of a loop, to the hints of their lines
+ * @param {Hint[]} hints
+ * @param {import('./macro').Note[]} notes
+ * @param {String[]} lines
+ * @param {String} mode
+ * @returns {Hint[]}
+ */
+function addNotes(hints, notes, lines, mode) {
+	let added = new Set();
+	for (const note of notes) {
+		// a note inside a loop is made once per iteration
+		if (added.has(`${note.line}:${note.text}`)) {
+			continue;
+		}
+		added.add(`${note.line}:${note.text}`);
+		let hint = hints.find((candidate) => candidate.index === note.line && candidate.column === undefined);
+		let problem = note.isError ? lineProblem(note.code || "expansion-failed", lines[note.line]) : undefined;
+		if (hint === undefined) {
+			hints.push(problem === undefined ? { index: note.line, text: ` ${mode} => ${note.text} `, isError: note.isError } : { index: note.line, text: ` ${mode} => ${note.text} `, isError: true, problem });
+		} else {
+			hint.text = `${hint.text.trimEnd()} (${note.text}) `;
+			hint.isError = hint.isError || note.isError;
+			if (hint.problem === undefined && problem !== undefined) {
+				hint.problem = problem;
+			}
+		}
+	}
+	return hints;
+}
+
+/**
+ * Where an unrolled or inlined token comes from, like `in u32_add, in iteration i=3`
+ * @param {import('./tokenizer').Token} token
+ * @returns {String} - empty for a token of the block itself
+ */
+function origin(token) {
+	let parts = [];
+	if (token.call !== undefined) {
+		parts.push(`in ${token.call.name}`);
+	}
+	if (token.loops !== undefined) {
+		parts.push(`in iteration ${token.loops.map((loop) => `${loop.variable}=${loop.value}`).join(", ")}`);
+	}
+	return parts.join(", ");
+}
+
+/**
+ * @typedef {Object} LineAnnotations - what the comment of a line says about the stacks after it
+ * @property {String[]} names - names its `// @name` comment gives to the top items
+ * @property {import('./expect').Expectation | null} expectation - its `// expect:` assertion
+ * @property {{start: Number, end: Number} | null} comment - columns of its `//` comment
+ */
+
+/**
+ * @param {String} lineText
+ * @returns {{start: Number, end: Number} | null}
+ */
+function commentRange(lineText) {
+	let start = lineText.indexOf("//");
+	return start === -1 ? null : { start, end: lineText.trimEnd().length };
+}
+
+/**
+ * The first place a word appears on a line after its `//`, like the value of a directive
+ * @param {ProblemCode} code
+ * @param {String} lineText
+ * @param {String} word
+ * @returns {Problem}
+ */
+function wordProblem(code, lineText, word) {
+	let start = lineText.indexOf(word, Math.max(lineText.indexOf("//"), 0));
+	return start === -1 ? lineProblem(code, lineText) : { code, start, end: start + word.length };
+}
+
+/**
+ * Names the top items and checks the assertion of a line on the paths that ran it,
+ * a problem becomes the error of the path without stopping it
+ * @param {LineAnnotations} annotation
+ * @param {PathOutcome[]} outcomes
+ */
+function annotateOutcomes(annotation, outcomes) {
+	for (const outcome of outcomes.filter((outcome) => outcome.error === undefined)) {
+		let { main, alt, context } = outcome.state;
+		let problem = annotation.names.length > 0 ? nameTop(context.names, main, alt, annotation.names) : null;
+		let code = problem === null ? "expectation-failed" : "invalid-name";
+		if (problem === null && annotation.expectation !== null) {
+			problem = checkExpectation(annotation.expectation, outcome.state);
+		}
+		if (problem !== null) {
+			outcome.error = problem;
+			outcome.problem = { code, ...annotation.comment };
+		}
+	}
+}
+
+/**
+ * Checks an `// expect:` line that has no tokens of its own
+ * @param {Number} index
+ * @param {LineAnnotations} annotation
+ * @param {GlobalState[]} paths
+ * @param {String} mode
+ * @param {boolean} labelled
+ * @returns {Hint | null} - null when no path is executing there
+ */
+function checkExpectationLine(index, annotation, paths, mode, labelled) {
+	let executing = paths.filter((path) => isExecuting(path.innerState));
+	if (executing.length === 0) {
+		return null;
+	}
+	let failures = executing
+		.map((path) => ({ state: path.innerState, error: checkExpectation(annotation.expectation, path.innerState), problem: { code: "expectation-failed", ...annotation.comment } }))
+		.filter((outcome) => outcome.error !== null);
+	if (failures.length === 0) {
+		return { index, text: ` ${mode} => as expected `, isError: false };
+	}
+	return renderOutcomes(index, mode, failures, labelled);
+}
+
+/**
+ * Most snapshots kept of one run, a longer script gets one every few lines
+ */
+const MAX_SNAPSHOTS = 1000;
+
+/**
+ * @typedef {Object} Snapshot - a run of a block at the start of a line
+ * @property {Number} position - index in the script of the first token of the line, its length for the end
+ * @property {State[]} states - every path
+ * @property {Number} hintCount - hints made before the line
+ * @property {import('./limits').Usage} usage
+ * @property {boolean} hasForked
+ * @property {import('./tokenizer').Token[]} openConditionals
+ * @property {Number} opcodePos
+ * @property {Number} opcodeEnd
+ * @property {Number} steps - opcodes run before the line, the step budget counts from the start
+ *
+ * @typedef {Object} RunCache - the last run of a block with one input vector
+ * @property {String} key - what the run depends on besides the tokens and annotations
+ * @property {String[]} tokens - see tokenKey
+ * @property {String[]} annotations - of every line
+ * @property {Snapshot[]} snapshots - in script order
+ * @property {Hint[]} hints - made by the run, before the unbalanced conditionals were flagged
+ */
+
+/**
+ * Where a token comes from and what it is, two runs agree up to the first token whose key differs
+ * @param {import('./tokenizer').Token} token
+ * @returns {String}
+ */
+function tokenKey(token) {
+	let call = token.call === undefined ? "" : token.call.name;
+	return `${token.line}:${token.start}:${token.end}:${token.text}:${call}:${origin(token)}`;
+}
+
+/**
+ * A copy of a snapshot that can run on, the paths keep sharing the names of their items
+ * @param {Snapshot} snapshot
+ * @returns {Snapshot}
+ */
+function copySnapshot(snapshot) {
+	let names = new Map(snapshot.states[0].context.names);
+	let states = snapshot.states.map((state) => {
+		let copy = cloneState(state);
+		copy.context.names = names;
+		return copy;
+	});
+	return { ...snapshot, states, usage: { ...snapshot.usage }, openConditionals: [...snapshot.openConditionals] };
+}
+
+/**
+ * The last snapshot of the previous run before the first token that changed, or that comes from
+ * a line whose annotations changed or that checks the assertions of such a line
+ * @param {RunCache} cache
+ * @param {import('./tokenizer').Token[]} script
+ * @param {String[]} tokenKeys
+ * @param {String[]} annotationKeys
+ * @returns {Snapshot | null} - null when the run has to start over
+ */
+function resumePoint(cache, script, tokenKeys, annotationKeys) {
+	let firstChange = 0;
+	while (firstChange < tokenKeys.length && tokenKeys[firstChange] === cache.tokens[firstChange]) {
+		firstChange++;
+	}
+
+	let changedLine = 0;
+	while (changedLine < Math.max(annotationKeys.length, cache.annotations.length) && annotationKeys[changedLine] === cache.annotations[changedLine]) {
+		changedLine++;
+	}
+	if (changedLine < Math.max(annotationKeys.length, cache.annotations.length)) {
+		// a line without tokens has its assertion checked after the closest line above with some
+		let anchor = script.reduce((closest, token) => token.line <= changedLine ? Math.max(closest, token.line) : closest, 0);
+		if (anchor === 0) {
+			return null;
+		}
+		let affected = script.findIndex((token) => token.line >= anchor);
+		firstChange = Math.min(firstChange, affected === -1 ? script.length : affected);
+	}
+
+	// the token before a snapshot has to end its line in this script too
+	let startsLine = (position) => position === 0 || position === script.length || script[position - 1].line !== script[position].line;
+	let usable = cache.snapshots.filter((snapshot) => snapshot.position <= firstChange && startsLine(snapshot.position));
+	return usable.length === 0 ? null : usable[usable.length - 1];
+}
+
+/**
+ * Why a run has to stop before its next opcode
+ * @param {Budget} budget
+ * @param {Number} steps - opcodes run with the next one
+ * @throws {CancelledException}
+ * @returns {String | null} - null while it may go on
+ */
+function exhaustedBudget(budget, steps) {
+	if (budget.isCancelled !== undefined && budget.isCancelled()) {
+		throw new CancelledException();
+	}
+	if (budget.steps !== undefined && steps > budget.steps) {
+		return `more than ${budget.steps} steps`;
+	}
+	if (budget.deadline !== undefined && Date.now() > budget.deadline) {
+		return budget.timeout === undefined ? "out of time" : `it took more than ${budget.timeout} ms`;
+	}
+	return null;
+}
+
+/**
+ * Runs the tokens of a block on every path, checking the resource limits on the way.
+ * Every line gets the stacks after its last token
+ * @param {import('./tokenizer').Token[]} tokens
+ * @param {String[]} lines
+ * @param {GlobalState} globalState
+ * @param {import('./limits').Usage} usage
+ * @param {LineAnnotations[]} annotations - by line
+ * @param {Options} options - for the token hints, the budget and the header line
+ * @param {RunCache} [cache] - resumed from when it has a snapshot before the first change, then updated
+ * @throws {CancelledException} - when the budget says a newer evaluation replaces this one
+ * @returns {{hints: Hint[], paths: GlobalState[]}} - the paths that made it to the end, none if the script stopped
+ */
+function runTokens(tokens, lines, globalState, usage, annotations, options, cache) {
+	let context = globalState.innerState.context;
+	let { mode, sigversion } = context;
+	let tokenHints = options.tokenHints === true;
+	let budget = options.budget || {};
+	/** @type {Hint[]} */
+	let hints = [];
+	let script = tokens.filter((token) => token.kind !== "word" || (options.skipWords !== true && token.call === undefined));
+	let items = script.map(scriptItem);
+	let sizes = items.map((item) => item === null ? 0 : assemble([item]).length);
+
+	// the serialized script and the witness stack are checked before anything runs
+	for (const [position, token] of script.entries()) {
+		try {
+			recordScriptSize(usage, sizes[position], sigversion);
+		} catch (err) {
+			hints.push({ index: token.line, text: ` ${mode} => ${err.message} `, isError: true, problem: tokenProblem("limit-exceeded", token) });
+			return { hints, paths: [] };
+		}
+	}
+	try {
+		recordStacks(usage, globalState.innerState);
+	} catch (err) {
+		hints.push({ index: 0, text: ` ${mode} => ${err.message} `, isError: true, problem: lineProblem("limit-exceeded", lines[0]) });
+		return { hints, paths: [] };
+	}
+
+	// an OP_SUCCESSx anywhere in a tapscript makes it succeed without running, unless
+	// the experimental profile gives it a meaning. Using a disabled opcode by accident is flagged
+	if (sigversion === "tapscript") {
+		for (const token of script) {
+			let byte = token.kind === "opcode" ? opcodeBytes[token.text] : undefined;
+			if (byte !== undefined && isOpSuccess(byte) && !isExperimentalEnabled(token.text, context)) {
+				let isExperimental = disabledOpcode(token.text, context) !== null;
+				let hint = isExperimental ? ", enable the experimental opcodes profile to run it" : "";
+				hints.push({ index: token.line, text: ` ${mode} => ${token.text} is OP_SUCCESS${byte} in tapscript, the script succeeds unconditionally${hint} `, isError: isExperimental, problem: tokenProblem("op-success", token) });
+				return { hints, paths: [] };
+			}
+		}
+	}
+
+	// `// expect:` lines without tokens are checked after the closest line above them that has some
+	let tokenLines = new Set(script.map((token) => token.line));
+	/** @type {Map<Number, Number[]>} */
+	let anchoredChecks = new Map();
+	let anchor = 0;
+	annotations.forEach((annotation, line) => {
+		if (tokenLines.has(line)) {
+			anchor = line;
+		} else if (line > 0 && annotation.expectation !== null) {
+			anchoredChecks.set(anchor, [...(anchoredChecks.get(anchor) || []), line]);
+		}
+	});
+	let checkAnchored = (line, paths, labelled) => {
+		for (const index of anchoredChecks.get(line) || []) {
+			let hint = checkExpectationLine(index, annotations[index], paths, mode, labelled);
+			if (hint !== null) {
+				hints.push(hint);
+			}
+		}
+	};
+
+	// every path through the symbolic OP_IFs seen so far, once split the stacks are labelled
+	let paths = [globalState];
+	let hasForked = false;
+	// every OP_IF/OP_NOTIF that is still open
+	/** @type {import('./tokenizer').Token[]} */
+	let openConditionals = [];
+	// where the current opcode sits in the serialized script
+	let opcodePos = 0;
+	let opcodeEnd = 0;
+	// errors of the paths that failed earlier on the current line
+	/** @type {PathOutcome[]} */
+	let lineErrors = [];
+	// opcodes run so far on every path together
+	let steps = 0;
+
+	// the run picks up from the last snapshot of the previous one that nothing changed before
+	let tokenKeys = script.map(tokenKey);
+	let annotationKeys = annotations.map((annotation) => JSON.stringify(annotation));
+	let start = 0;
+	/** @type {Snapshot[]} */
+	let snapshots = [];
+	let snapshot = cache === undefined ? null : resumePoint(cache, script, tokenKeys, annotationKeys);
+	if (snapshot === null) {
+		checkAnchored(0, paths, false);
+	} else {
+		let resumed = copySnapshot(snapshot);
+		paths = resumed.states.map((state) => {
+			state.context.script = context.script;
+			return { innerState: state };
+		});
+		hints = cache.hints.slice(0, resumed.hintCount).map((hint) => ({ ...hint }));
+		// the script size is the one of the new script
+		Object.assign(usage, resumed.usage, { scriptSize: usage.scriptSize });
+		({ hasForked, openConditionals, opcodePos, opcodeEnd, steps, position: start } = resumed);
+		snapshots = cache.snapshots.filter((kept) => kept.position <= start);
+	}
+	let stride = Math.max(1, Math.ceil(script.length / MAX_SNAPSHOTS));
+	let takeSnapshot = (position) => {
+		let last = snapshots[snapshots.length - 1];
+		let isDue = last === undefined || (position > last.position && (position - last.position >= stride || position === script.length));
+		if (cache !== undefined && isDue) {
+			let states = paths.map((path) => path.innerState);
+			snapshots.push(copySnapshot({ position, states, hintCount: hints.length, usage, hasForked, openConditionals, opcodePos, opcodeEnd, steps }));
+		}
+	};
+	let finish = (finalPaths) => {
+		if (cache !== undefined) {
+			Object.assign(cache, { tokens: tokenKeys, annotations: annotationKeys, snapshots, hints: hints.map((hint) => ({ ...hint })) });
+		}
+		return { hints, paths: finalPaths };
+	};
+
+	for (let position = start; position < script.length; position++) {
+		let token = script[position];
+		if (position === 0 || script[position - 1].line !== token.line) {
+			takeSnapshot(position);
+		}
+		steps += paths.length;
+		let exhausted = exhaustedBudget(budget, steps);
+		if (exhausted !== null) {
+			let text = ` ${mode} => Evaluation truncated at line ${(options.headerLine || 0) + token.line + 1}: ${exhausted} `;
+			hints.push({ index: 0, text, isError: true, problem: lineProblem("evaluation-truncated", lines[0]) });
+			return finish([]);
+		}
+		let item = items[position];
+		let isLastOnLine = position === script.length - 1 || script[position + 1].line !== token.line;
+		try {
+			recordOpcode(usage, item === null ? null : item.op, sigversion);
+		} catch (err) {
+			hints.push({ index: token.line, text: ` ${mode} => ${err.message} `, isError: true, problem: tokenProblem("limit-exceeded", token) });
+			return finish([]);
+		}
+		opcodeEnd += sizes[position];
+		for (const path of paths) {
+			Object.assign(path.innerState.context, { opcodePos, opcodeEnd });
+		}
+		if (item !== null) {
+			opcodePos++;
+		}
+
+		/** @type {PathOutcome[]} */
+		let outcomes = [];
+		let survivors = [];
+		let opName = null;
+		// the keys of an OP_CHECKMULTISIG count once for the token, as much as on the path with the most
+		let multisigKeys = 0;
+		for (const path of paths) {
+			let wasExecuting = isExecuting(path.innerState);
+			let current = [path];
+			try {
+				opName = processToken(token, path).value;
+				current.push(...path.innerState.forks.splice(0).map((fork) => ({ innerState: fork })));
+			} catch (err) {
+				outcomes.push({ state: path.innerState, error: err.message, problem: tokenProblem(failureCode(token, path.innerState), token) });
+				continue;
+			}
+			if (path.innerState.multisigKeys !== undefined) {
+				multisigKeys = Math.max(multisigKeys, path.innerState.multisigKeys);
+				delete path.innerState.multisigKeys;
+			}
+
+			for (const branch of current) {
+				try {
+					recordStacks(usage, branch.innerState);
+				} catch (err) {
+					outcomes.push({ state: branch.innerState, error: err.message, problem: tokenProblem("limit-exceeded", token) });
+					continue;
+				}
+				survivors.push(branch);
+				if (wasExecuting || isExecuting(branch.innerState)) {
+					outcomes.push({ state: branch.innerState });
+				}
+			}
+		}
+
+		try {
+			recordMultisigKeys(usage, multisigKeys, sigversion);
+		} catch (err) {
+			hints.push({ index: token.line, text: ` ${mode} => ${err.message} `, isError: true, problem: tokenProblem("limit-exceeded", token) });
+			return finish([]);
+		}
+
+		if (survivors.length > MAX_PATHS) {
+			hints.push({ index: token.line, text: ` ${mode} => More than ${MAX_PATHS} execution paths, stopping here `, isError: true, problem: tokenProblem("too-many-paths", token) });
+			return finish([]);
+		}
+		hasForked = hasForked || survivors.length > 1;
+		if (isLastOnLine && annotations[token.line] !== undefined) {
+			annotateOutcomes(annotations[token.line], outcomes);
+		}
+		if (isLastOnLine || survivors.length === 0) {
+			outcomes = [...lineErrors, ...outcomes];
+			lineErrors = [];
+			if (outcomes.length > 0) {
+				let hint = renderOutcomes(token.line, mode, outcomes, hasForked);
+				if (hint.isError && origin(token) !== "") {
+					hint.text = `${hint.text.trimEnd()} (${origin(token)}) `;
+				}
+				hints.push(hint);
+			}
+		} else {
+			lineErrors.push(...outcomes.filter((outcome) => outcome.error !== undefined));
+			// the stacks after a gadget call are shown even when it shares the line with others,
+			// once the next token is somewhere else than the next iteration of the same call
+			let next = script[position + 1];
+			let endsCall = token.call !== undefined && next.call !== token.call && next.start !== token.start;
+			if ((tokenHints || endsCall) && outcomes.length > 0) {
+				let hint = renderOutcomes(token.line, mode, outcomes, hasForked);
+				// the error is a problem once, with the hint of the line
+				delete hint.problem;
+				hints.push({ ...hint, column: token.end });
+			}
+		}
+		if (survivors.length === 0) {
+			return finish([]);
+		}
+		paths = survivors;
+		if (isLastOnLine) {
+			checkAnchored(token.line, paths, hasForked);
+		}
+
+		switch (opName) {
+			case "OP_IF":
+			case "OP_NOTIF":
+				openConditionals.push(token);
+				break;
+			case "OP_ENDIF":
+				openConditionals.pop();
+				break;
+		}
+	}
+
+	takeSnapshot(script.length);
+	let result = finish(paths);
+	for (const token of openConditionals) {
+		result.hints = result.hints.filter((hint) => hint.index !== token.line);
+		result.hints.push({ index: token.line, text: ` ${mode} => Unbalanced conditional: missing OP_ENDIF `, isError: true, problem: tokenProblem("unbalanced-conditional", token) });
+	}
+	return result;
+}
+
+/**
+ * parses comment string to give main and alt stacks
+ * @param {String} comment
+ */
+function parseCommentForStacks(comment) {
+	// we have main stack and alt stack. so they will be represented in format
+	// TwoStacks = [A, B] [C]
+	// SingleStack = [A, B]
+	let twoStacks = comment.match(/\s*(\[[^\]]*])(?:,)?\s*(\[[^\]]*])/);
+	let mainStack, altStack;
+
+	if (twoStacks) {
+		mainStack = twoStacks[1];
+		altStack = twoStacks[2];
+	}else {
+		// there is a single stack
+		let singleStack = comment.match(/\s*(\[[^\]]*])/);
+
+		if(singleStack) {
+			mainStack = singleStack[1];
+			altStack = "[]";
+		}else {
+			return null;
+		}
+	}
+
+	return {
+		main: mainStack,
+		alt:  altStack
+	}
+}
+
+
+/**
+* convert string stacks to Stack type
+* @param {string} stackStr
+* @param {import('./names').Names} [names] - gets the names of items written `x=5`
+* @returns {Stack}
+*/
+function processStack(stackStr, names) {
+	const items = new Stack();
+    const contentMatch = stackStr.match(/\[([^\]]*)\]/);
+    if (contentMatch && contentMatch[1].trim().length > 0) {
+      // Split by commas, ignoring whitespace
+      contentMatch[1].split(/\s*,\s*/).forEach((item) => {
+        if (item.trim().length > 0) {
+          let named = item.trim().match(/^(\w+)\s*=\s*(.+)$/);
+          items.push(parseElement(named ? named[2] : item.trim()));
+          if (named && names !== undefined) {
+            names.set(items.peek(), named[1]);
+          }
+        }
+      });
+    }
+    return items;
+}
+
+module.exports = {
+	evaluateBlock,
+	parseDirectives,
+	parseVectors,
+	processToken,
+	parseCommentForStacks,
+	processStack,
+	lineProblem
+}
@@ -0,0 +1,143 @@
+const { opcodeBytes } = require('./assembler');
+const { isSymbolic } = require('./scriptnum');
+const { ResultException } = require('./utils');
+
+/**
+ * Bitcoin's resource limits on scripts. The stack and element limits apply to every
+ * sigversion, the opcode and script size limits only to legacy and segwit v0 scripts
+ * (BIP-342 dropped them for tapscript). The 4 byte operand limit is enforced by to_number.
+ *
+ * @typedef {import('./opcodes').State} State
+ */
+
+const MAX_STACK_SIZE = 1000;
+const MAX_SCRIPT_ELEMENT_SIZE = 520;
+const MAX_OPS_PER_SCRIPT = 201;
+const MAX_SCRIPT_SIZE = 10000;
+
+/**
+ * Highest values reached while running a block
+ * @typedef {Object} Usage
+ * @property {Number} stackSize - main and alt stack elements together
+ * @property {Number} elementSize - largest concrete element in bytes
+ * @property {Number} opCount - non-push opcodes, executed or not
+ * @property {Number} scriptSize - serialized script in bytes
+ */
+
+/**
+ * @returns {Usage}
+ */
+function createUsage() {
+    return { stackSize: 0, elementSize: 0, opCount: 0, scriptSize: 0 };
+}
+
+/**
+ * Do the opcode and script size limits apply
+ * @param {String} sigversion
+ * @returns {boolean}
+ */
+function hasScriptLimits(sigversion) {
+    return sigversion !== "tapscript";
+}
+
+/**
+ * Check the stacks of a path after an opcode ran
+ * @param {Usage} usage
+ * @param {State} state
+ * @throws {ResultException}
+ */
+function recordStacks(usage, state) {
+    const stackSize = state.main.size() + state.alt.size();
+    usage.stackSize = Math.max(usage.stackSize, stackSize);
+    if (stackSize > MAX_STACK_SIZE) {
+        throw new ResultException(`Stack size limit exceeded: ${stackSize} elements, at most ${MAX_STACK_SIZE}`);
+    }
+
+    for (const elem of [...state.main.items, ...state.alt.items]) {
+        if (isSymbolic(elem)) {
+            continue;
+        }
+        usage.elementSize = Math.max(usage.elementSize, elem.length);
+        if (elem.length > MAX_SCRIPT_ELEMENT_SIZE) {
+            throw new ResultException(`Element size limit exceeded: ${elem.length} bytes, at most ${MAX_SCRIPT_ELEMENT_SIZE}`);
+        }
+    }
+}
+
+/**
+ * Count an opcode of the script. Everything above OP_16 counts, even in a branch that is not taken
+ * @param {Usage} usage
+ * @param {String} opName
+ * @param {String} sigversion
+ * @throws {ResultException}
+ */
+function recordOpcode(usage, opName, sigversion) {
+    const byte = opcodeBytes[opName];
+    if (byte === undefined || byte <= opcodeBytes["OP_16"]) {
+        return;
+    }
+    usage.opCount++;
+    if (hasScriptLimits(sigversion) && usage.opCount > MAX_OPS_PER_SCRIPT) {
+        throw new ResultException(`Opcode limit exceeded: more than ${MAX_OPS_PER_SCRIPT} non-push opcodes`);
+    }
+}
+
+/**
+ * Count the public keys of an executed OP_CHECKMULTISIG as opcodes, like Bitcoin Core does
+ * @param {Usage} usage
+ * @param {Number} keys
+ * @param {String} sigversion
+ * @throws {ResultException}
+ */
+function recordMultisigKeys(usage, keys, sigversion) {
+    usage.opCount += keys;
+    if (hasScriptLimits(sigversion) && usage.opCount > MAX_OPS_PER_SCRIPT) {
+        throw new ResultException(`Opcode limit exceeded: more than ${MAX_OPS_PER_SCRIPT} non-push opcodes, counting the ${keys} keys of OP_CHECKMULTISIG`);
+    }
+}
+
+/**
+ * Add the serialized size of a script item
+ * @param {Usage} usage
+ * @param {Number} size
+ * @param {String} sigversion
+ * @throws {ResultException}
+ */
+function recordScriptSize(usage, size, sigversion) {
+    usage.scriptSize += size;
+    if (hasScriptLimits(sigversion) && usage.scriptSize > MAX_SCRIPT_SIZE) {
+        throw new ResultException(`Script size limit exceeded: ${usage.scriptSize} bytes, at most ${MAX_SCRIPT_SIZE}`);
+    }
+}
+
+/**
+ * How close a block came to each limit, e.g. `stack 3/1000, element 32/520 bytes, ...`
+ * @param {Usage} usage
+ * @param {String} sigversion
+ * @returns {String}
+ */
+function summarizeUsage(usage, sigversion) {
+    const parts = [
+        `stack ${usage.stackSize}/${MAX_STACK_SIZE}`,
+        `element ${usage.elementSize}/${MAX_SCRIPT_ELEMENT_SIZE} bytes`
+    ];
+    if (hasScriptLimits(sigversion)) {
+        parts.push(`opcodes ${usage.opCount}/${MAX_OPS_PER_SCRIPT}`, `script ${usage.scriptSize}/${MAX_SCRIPT_SIZE} bytes`);
+    } else {
+        parts.push(`opcodes ${usage.opCount}`, `script ${usage.scriptSize} bytes`);
+    }
+    return parts.join(", ");
+}
+
+module.exports = {
+    MAX_STACK_SIZE,
+    MAX_SCRIPT_ELEMENT_SIZE,
+    MAX_OPS_PER_SCRIPT,
+    MAX_SCRIPT_SIZE,
+    createUsage,
+    recordStacks,
+    recordOpcode,
+    recordMultisigKeys,
+    recordScriptSize,
+    summarizeUsage
+}
@@ -0,0 +1,430 @@
+const { tokenize } = require('./tokenizer');
+const { ResultException } = require('./utils');
+const { gadgetKey, qualifiedName, resolveGadget } = require('./resolve');
+
+/**
+ * The subset of the `script!` macro DSL that can be known without compiling the Rust code:
+ * `for i in 0..8 { ... }` loops are unrolled and `{ expr }` interpolations of integer
+ * arithmetic are replaced by the number they evaluate to. Expressions may use integer
+ * literals, loop variables and the `let`/`const` values collected from the Rust source,
+ * other expressions are skipped with a note.
+ * `{ name(args) }` and `{ path::name(args) }` calls to an indexed gadget are replaced by its
+ * body, with the literal arguments bound to its parameters.
+ *
+ * @typedef {import('./tokenizer').Token} Token
+ *
+ * @typedef {Object} Loop - an iteration of an unrolled loop
+ * @property {String} variable
+ * @property {Number} value
+ * @property {Number} count - iterations of the whole loop
+ *
+ * @typedef {Object} Call - an inlined call to a gadget, every token of its body shares it
+ * @property {String} name
+ *
+ * @typedef {Object} Note - a hint about the macro itself, like the iterations of a loop
+ * @property {Number} line
+ * @property {String} text
+ * @property {boolean} isError
+ * @property {import('./interpreter').ProblemCode} [code] - of an error, `expansion-failed` unless it says otherwise
+ *
+ * @typedef {Object<string, bigint>} Constants
+ */
+
+/**
+ * Unrolling stops beyond this many tokens
+ */
+const MAX_UNROLLED_TOKENS = 100000;
+
+const EXPRESSION_TOKEN = /\s*(0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*)(?:[iu](?:8|16|32|64|128|size))?|\s*([A-Za-z_]\w*(?:::\w+)*)|\s*(<<|>>|[-+*/%()])|\s*(\S)/y;
+
+/**
+ * Reads the tokens of an integer expression
+ * @param {String} text
+ * @throws {ResultException}
+ * @returns {Array<{kind: "number" | "name" | "operator", value: any}>}
+ */
+function lexExpression(text) {
+    const lexed = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+    let matched;
+    while (EXPRESSION_TOKEN.lastIndex < text.length && (matched = EXPRESSION_TOKEN.exec(text)) !== null) {
+        if (matched[1] !== undefined) {
+            const digits = matched[1].replace(/_/g, "");
+            lexed.push({ kind: "number", value: BigInt(digits) });
+        } else if (matched[2] !== undefined) {
+            lexed.push({ kind: "name", value: matched[2] });
+        } else if (matched[3] !== undefined) {
+            lexed.push({ kind: "operator", value: matched[3] });
+        } else if (matched[4] !== undefined) {
+            throw new ResultException(`Unexpected ${matched[4]} in ${text.trim()}`);
+        }
+    }
+    return lexed;
+}
+
+/**
+ * Division truncates towards zero like Rust integer division
+ * @param {String} op
+ * @param {bigint} left
+ * @param {bigint} right
+ * @returns {bigint}
+ */
+function applyOperator(op, left, right) {
+    switch (op) {
+        case "<<": return left << right;
+        case ">>": return left >> right;
+        case "+": return left + right;
+        case "-": return left - right;
+        case "*": return left * right;
+        case "/": return left / right;
+        default: return left % right;
+    }
+}
+
+/**
+ * Evaluates integer arithmetic like `N * 2 + 1` or `(i as u32) << 3`
+ * @param {String} text
+ * @param {Constants} constants
+ * @throws {ResultException} - when the expression isn't plain integer arithmetic on known values
+ * @returns {bigint}
+ */
+function evaluateExpression(text, constants) {
+    const lexed = lexExpression(text);
+    let pos = 0;
+    const peek = () => lexed[pos];
+    const isOperator = (...ops) => peek() !== undefined && peek().kind === "operator" && ops.includes(peek().value);
+
+    function primary() {
+        const next = lexed[pos++];
+        if (next === undefined) {
+            throw new ResultException(`Incomplete expression ${text.trim()}`);
+        }
+        if (next.kind === "number") {
+            return next.value;
+        }
+        if (next.kind === "name") {
+            if (!(next.value in constants)) {
+                throw new ResultException(`Unknown value ${next.value}`);
+            }
+            return constants[next.value];
+        }
+        if (next.value === "(") {
+            const value = binary(0);
+            if (!isOperator(")")) {
+                throw new ResultException(`Missing ) in ${text.trim()}`);
+            }
+            pos++;
+            return value;
+        }
+        throw new ResultException(`Unexpected ${next.value} in ${text.trim()}`);
+    }
+
+    function unary() {
+        if (isOperator("-")) {
+            pos++;
+            return -unary();
+        }
+        let value = primary();
+        // casts like `i as u32` don't change small integers
+        while (peek() !== undefined && peek().kind === "name" && peek().value === "as") {
+            pos += 2;
+        }
+        return value;
+    }
+
+    const precedence = [["<<", ">>"], ["+", "-"], ["*", "/", "%"]];
+    function binary(level) {
+        if (level === precedence.length) {
+            return unary();
+        }
+        let value = binary(level + 1);
+        while (isOperator(...precedence[level])) {
+            const op = lexed[pos++].value;
+            const right = binary(level + 1);
+            if ((op === "/" || op === "%") && right === 0n) {
+                throw new ResultException(`Division by zero in ${text.trim()}`);
+            }
+            if (op === "<<" && right > 1024n) {
+                throw new ResultException(`Shift by ${right} is too large in ${text.trim()}`);
+            }
+            value = applyOperator(op, value, right);
+        }
+        return value;
+    }
+
+    const value = binary(0);
+    if (pos !== lexed.length) {
+        throw new ResultException(`Unexpected ${lexed[pos].value} in ${text.trim()}`);
+    }
+    return value;
+}
+
+/**
+ * Integer `const` items of a Rust file and the `let` bindings of the function a script block
+ * is in, as far as they can be evaluated
+ * @param {String} source - the whole Rust file
+ * @param {Number} blockOffset - where the `script!` block starts
+ * @returns {Constants}
+ */
+function collectConstants(source, blockOffset) {
+    /** @type {Constants} */
+    const constants = {};
+    const define = (name, expression) => {
+        try {
+            constants[name] = evaluateExpression(expression, constants);
+        } catch {
+            // not an integer we can know, like a function call
+        }
+    };
+
+    for (const matched of source.matchAll(/\bconst\s+(\w+)\s*:[^=;]*=\s*([^;]+);/g)) {
+        define(matched[1], matched[2]);
+    }
+    const before = source.slice(0, blockOffset);
+    const functions = [...before.matchAll(/\bfn\s+\w+/g)];
+    const body = functions.length === 0 ? "" : before.slice(functions[functions.length - 1].index);
+    for (const matched of body.matchAll(/\blet\s+(?:mut\s+)?(\w+)\s*(?::[^=;]*)?=\s*([^;]+);/g)) {
+        define(matched[1], matched[2]);
+    }
+    return constants;
+}
+
+/**
+ * Index of the brace closing the one at `open`
+ * @param {Token[]} tokens
+ * @param {Number} open
+ * @returns {Number} - -1 when it isn't closed
+ */
+function closingBrace(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+        if (tokens[i].text === "{") {
+            depth++;
+        } else if (tokens[i].text === "}" && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * The source text between two tokens
+ * @param {String[]} lines
+ * @param {Token} from
+ * @param {Token} to
+ * @returns {String}
+ */
+function textBetween(lines, from, to) {
+    if (from.line === to.line) {
+        return lines[from.line].slice(from.end, to.start);
+    }
+    const middle = lines.slice(from.line + 1, to.line);
+    return [lines[from.line].slice(from.end), ...middle, lines[to.line].slice(0, to.start)].join("\n");
+}
+
+/**
+ * Values of a loop range like `0..8`, `1..=N` or `(0..8).rev()`
+ * @param {String} text
+ * @param {Constants} constants
+ * @throws {ResultException}
+ * @returns {bigint[]}
+ */
+function rangeValues(text, constants) {
+    let range = text.trim();
+    const reversed = /\.rev\(\)$/.test(range);
+    range = range.replace(/\.rev\(\)$/, "").replace(/^\((.*)\)$/, "$1");
+    const matched = range.match(/^(.+?)\.\.(=?)(.+)$/);
+    if (!matched) {
+        throw new ResultException("not a range");
+    }
+    const start = evaluateExpression(matched[1], constants);
+    const end = evaluateExpression(matched[3], constants) + (matched[2] === "=" ? 1n : 0n);
+    if (end - start > MAX_UNROLLED_TOKENS) {
+        throw new ResultException(`The loop range ${text.trim()} is too long to unroll`);
+    }
+    const values = [];
+    for (let value = start; value < end; value++) {
+        values.push(value);
+    }
+    return reversed ? values.reverse() : values;
+}
+
+/**
+ * Splits the arguments of a call at the commas that aren't nested in brackets
+ * @param {String} text
+ * @returns {String[]}
+ */
+function splitArguments(text) {
+    if (text.trim() === "") {
+        return [];
+    }
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if ("([".includes(text[i])) {
+            depth++;
+        } else if (")]".includes(text[i])) {
+            depth--;
+        } else if (text[i] === "," && depth === 0) {
+            args.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    args.push(text.slice(start));
+    return args;
+}
+
+/**
+ * Values of the arguments of a call that can be evaluated, by parameter name
+ * @param {import('./gadgets').Gadget} gadget
+ * @param {String} argsText
+ * @param {Constants} bindings
+ * @returns {Constants}
+ */
+function bindArguments(gadget, argsText, bindings) {
+    const bound = {};
+    splitArguments(argsText).forEach((arg, position) => {
+        const param = gadget.params[position];
+        try {
+            if (param !== undefined) {
+                bound[param] = evaluateExpression(arg, bindings);
+            }
+        } catch {
+            // left unbound, braces using it run as they are
+        }
+    });
+    return bound;
+}
+
+/**
+ * Unrolls the loops, evaluates the interpolations and inlines the gadget calls of a block's tokens
+ * @param {Token[]} tokens
+ * @param {String[]} lines - lines of the block, for the source text of expressions
+ * @param {Constants} [constants]
+ * @param {import('./gadgets').GadgetIndex} [gadgets]
+ * @param {String[]} [callers] - keys of the gadgets being inlined, to stop recursion
+ * @param {import('./resolve').Scope} [scope] - where the block is, its calls name the gadgets seen from there
+ * @returns {{tokens: Token[], notes: Note[]}}
+ */
+function expandMacro(tokens, lines, constants = {}, gadgets = new Map(), callers = [], scope = {}) {
+    /** @type {Token[]} */
+    const expanded = [];
+    /** @type {Note[]} */
+    const notes = [];
+
+    /**
+     * @param {Token} token
+     */
+    function emit(token) {
+        if (expanded.length >= MAX_UNROLLED_TOKENS) {
+            throw new ResultException(`The script unrolls to more than ${MAX_UNROLLED_TOKENS} tokens`);
+        }
+        expanded.push(token);
+    }
+
+    /**
+     * Inlines the body of a gadget, its tokens take the place of the braces around the call
+     * @param {import('./gadgets').Gadget} gadget
+     * @param {String} argsText
+     * @param {Constants} bindings
+     * @param {Loop[]} loops
+     * @param {Token} open
+     * @param {Token} close
+     */
+    function inline(gadget, argsText, bindings, loops, open, close) {
+        if (callers.includes(gadgetKey(gadget))) {
+            notes.push({ line: open.line, text: `${gadget.name} calls itself, it can't be inlined`, isError: true });
+            return;
+        }
+        const params = { ...gadget.constants, ...bindArguments(gadget, argsText, bindings) };
+        const body = expandMacro(tokenize(gadget.lines), gadget.lines, params, gadgets, [...callers, gadgetKey(gadget)], gadget);
+        for (const note of body.notes.filter((note) => note.isError)) {
+            notes.push({ ...note, line: open.line, text: `${gadget.name}: ${note.text}` });
+        }
+        /** @type {Call} */
+        const call = { name: gadget.name };
+        for (const token of body.tokens) {
+            const placed = { ...token, line: open.line, start: open.start, end: close.end, call };
+            delete placed.loops;
+            emit(loops.length > 0 ? { ...placed, loops } : placed);
+        }
+    }
+
+    /**
+     * @param {Number} from
+     * @param {Number} to
+     * @param {Constants} bindings
+     * @param {Loop[]} loops
+     */
+    function expand(from, to, bindings, loops) {
+        let i = from;
+        while (i < to) {
+            const token = tokens[i];
+            const isLoop = token.text === "for" && tokens[i + 2] !== undefined && tokens[i + 2].text === "in";
+            const open = isLoop ? tokens.findIndex((candidate, j) => j > i && candidate.text === "{") : i;
+            const close = tokens[open] !== undefined && tokens[open].text === "{" ? closingBrace(tokens, open) : -1;
+            if (close === -1 || close > to) {
+                emit(loops.length > 0 ? { ...token, loops } : token);
+                i++;
+                continue;
+            }
+
+            if (isLoop) {
+                const variable = tokens[i + 1].text;
+                const rangeText = textBetween(lines, tokens[i + 2], tokens[open]);
+                let values;
+                try {
+                    values = rangeValues(rangeText, bindings);
+                } catch (err) {
+                    notes.push({ line: token.line, text: `Can't unroll for ${variable} in ${rangeText.trim()}: ${err.message}, running the body once`, isError: true });
+                    expand(open + 1, close, bindings, loops);
+                    i = close + 1;
+                    continue;
+                }
+                notes.push({ line: token.line, text: `for ${variable} in ${rangeText.trim()}: ${values.length} iterations`, isError: false });
+                for (const value of values) {
+                    const loop = { variable, value: Number(value), count: values.length };
+                    expand(open + 1, close, { ...bindings, [variable]: value }, [...loops, loop]);
+                }
+            } else {
+                const inner = textBetween(lines, token, tokens[close]);
+                const call = inner.match(/^\s*((?:\w+::)*)(\w+)\s*\(([^]*)\)\s*$/);
+                const called = call === null ? [] : resolveGadget(gadgets, call[2], scope, call[1].slice(0, -2));
+                if (called.length === 1) {
+                    inline(called[0], call[3], bindings, loops, token, tokens[close]);
+                } else if (called.length > 1) {
+                    const text = `${call[2]} may be ${called.map(qualifiedName).join(" or ")}, a use item picks the one to inline`;
+                    notes.push({ line: token.line, text, isError: true, code: "ambiguous-gadget" });
+                } else {
+                    let value = null;
+                    try {
+                        value = evaluateExpression(inner, bindings);
+                    } catch (err) {
+                        // a Rust expression that can't be known here, like a call to an unknown function
+                        notes.push({ line: token.line, text: `{ ${inner.trim()} } is skipped: ${err.message}`, isError: false });
+                    }
+                    if (value !== null) {
+                        const number = { text: String(value), kind: "number", line: token.line, start: token.start, end: tokens[close].end };
+                        emit(loops.length > 0 ? { ...number, loops } : number);
+                    }
+                }
+            }
+            i = close + 1;
+        }
+    }
+
+    try {
+        expand(0, tokens.length, constants, []);
+    } catch (err) {
+        notes.push({ line: expanded.length > 0 ? expanded[expanded.length - 1].line : 0, text: err.message, isError: true });
+        return { tokens: [], notes };
+    }
+    return { tokens: expanded, notes };
+}
+
+module.exports = {
+    evaluateExpression,
+    collectConstants,
+    expandMacro
+}
@@ -0,0 +1,163 @@
+const { formatElement } = require('./scriptnum');
+
+/**
+ * Names of stack items, like `x` for an item pushed by `5 // @name x`. Elements are never
+ * mutated, so a name follows its element by identity through OP_ROLL, OP_SWAP, the alt stack
+ * and every other opcode that only moves items around. Opcodes that compute a new item give it
+ * a name derived from the names of their operands, like `x+y` for OP_ADD.
+ *
+ * @typedef {import('./scriptnum').Element} Element
+ * @typedef {import('./stack').Stack} Stack
+ *
+ * @typedef {Map<Element, String>} Names
+ *
+ * @typedef {Object} Snapshot - the items of both stacks before an opcode ran
+ * @property {Element[]} main
+ * @property {Element[]} alt
+ */
+
+/**
+ * Infix operators of the opcodes that combine two numbers
+ */
+const infixOperators = {
+    "OP_ADD": "+",
+    "OP_SUB": "-",
+    "OP_MUL": "*",
+    "OP_DIV": "/",
+    "OP_MOD": "%",
+    "OP_LSHIFT": "<<",
+    "OP_RSHIFT": ">>",
+    "OP_AND": "&",
+    "OP_OR": "|",
+    "OP_XOR": "^",
+    "OP_BOOLAND": "&&",
+    "OP_BOOLOR": "||",
+    "OP_EQUAL": "==",
+    "OP_NUMEQUAL": "==",
+    "OP_NUMNOTEQUAL": "!=",
+    "OP_LESSTHAN": "<",
+    "OP_GREATERTHAN": ">",
+    "OP_LESSTHANOREQUAL": "<=",
+    "OP_GREATERTHANOREQUAL": ">="
+};
+
+/**
+ * Names of the results of opcodes with one operand
+ */
+const unaryNames = {
+    "OP_1ADD": (a) => `${a}+1`,
+    "OP_1SUB": (a) => `${a}-1`,
+    "OP_NEGATE": (a) => `-${a}`,
+    "OP_ABS": (a) => `|${a}|`,
+    "OP_NOT": (a) => `!${a}`,
+    "OP_0NOTEQUAL": (a) => `${a}!=0`
+};
+
+/**
+ * @param {String} name
+ * @returns {String} - the name, in parentheses when it is an expression
+ */
+function operand(name) {
+    return /^[\w.]+$/.test(name) ? name : `(${name})`;
+}
+
+/**
+ * @param {Stack} main
+ * @param {Stack} alt
+ * @returns {Snapshot}
+ */
+function snapshot(main, alt) {
+    return { main: [...main.items], alt: [...alt.items] };
+}
+
+/**
+ * Names the results of an opcode after its operands, when one of them has a name.
+ * The operands are the items the opcode took off the main stack, the results the
+ * items it pushed that weren't on either stack before
+ * @param {Names} names
+ * @param {String} op
+ * @param {Snapshot} before
+ * @param {Stack} main - after the opcode
+ */
+function deriveNames(names, op, before, main) {
+    let kept = 0;
+    while (kept < before.main.length && kept < main.items.length && before.main[kept] === main.items[kept]) {
+        kept++;
+    }
+    const known = new Set([...before.main, ...before.alt]);
+    const results = main.items.slice(kept).filter((elem) => !known.has(elem));
+    // OP_SIZE leaves its operand in place
+    const operands = op === "OP_SIZE" ? before.main.slice(-1) : before.main.slice(kept);
+    if (results.length === 0 || !operands.some((elem) => names.has(elem))) {
+        return;
+    }
+
+    const labels = operands.map((elem) => names.get(elem) || formatElement(elem));
+    let name;
+    if (infixOperators[op] !== undefined && labels.length === 2) {
+        name = `${operand(labels[0])}${infixOperators[op]}${operand(labels[1])}`;
+    } else if (unaryNames[op] !== undefined && labels.length === 1) {
+        name = unaryNames[op](operand(labels[0]));
+    } else {
+        name = `${op.replace(/^OP_/, "")}(${labels.join(", ")})`;
+    }
+    results.forEach((elem, i) => names.set(elem, results.length === 1 ? name : `${name}[${i}]`));
+}
+
+/**
+ * Names the top items of a stack, the last name goes to the top item. An item that is also
+ * somewhere else, like after OP_DUP, is replaced by a copy so that only this one is renamed
+ * @param {Names} names
+ * @param {Stack} main
+ * @param {Stack} alt
+ * @param {String[]} list
+ * @returns {String | null} - why not every name could be given
+ */
+function nameTop(names, main, alt, list) {
+    if (list.length > main.items.length) {
+        return `@name needs ${list.length} items on the stack, it has ${main.items.length}`;
+    }
+    const first = main.items.length - list.length;
+    list.forEach((name, i) => {
+        const position = first + i;
+        let elem = main.items[position];
+        const isShared = [...main.items, ...alt.items].filter((other) => other === elem).length > 1;
+        if (isShared) {
+            elem = elem instanceof Uint8Array ? elem.slice() : Object.assign(Object.create(Object.getPrototypeOf(elem)), elem);
+            main.items[position] = elem;
+        }
+        names.set(elem, name);
+    });
+    return null;
+}
+
+/**
+ * An item as shown in the hints, `name=value` when it has a name
+ * @param {Element} elem
+ * @param {Names} [names]
+ * @param {{mode: String}} [context] - see formatElement
+ * @returns {String}
+ */
+function formatNamed(elem, names, context) {
+    const value = formatElement(elem, context);
+    const name = names && names.get(elem);
+    return name === undefined || name === value ? value : `${name}=${value}`;
+}
+
+/**
+ * Names given by a `// @name x` or `// @name x, y` comment of a line
+ * @param {String} line
+ * @returns {String[]}
+ */
+function parseNameAnnotation(line) {
+    const matched = line.match(/\/\/.*@name\s+([^/]+?)\s*$/);
+    return matched === null ? [] : matched[1].split(/\s*,\s*|\s+/).filter((name) => name !== "");
+}
+
+module.exports = {
+    snapshot,
+    deriveNames,
+    nameTop,
+    formatNamed,
+    parseNameAnnotation
+}
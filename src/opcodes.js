@@ -1,5 +1,10 @@
-let {Stack} = require('./stack');
-let {to_number, ResultException} = require('./utils');
+let {to_number, to_operand, cast_to_bool, equalElements, formatElement, isSymbolic, minimallyEncode, toHex} = require('./scriptnum');
+let symbolic = require('./symbolic');
+let {sha1, sha256, ripemd160, hash160, hash256} = require('./hash');
+let {checkSignature} = require('./signature');
+let {LOCKTIME_NUM_SIZE, checkLockTime, checkSequence} = require('./timelock');
+let {ResultException} = require('./utils');
+let {MAX_SCRIPT_ELEMENT_SIZE} = require('./limits');
 
 
 /**
@@ -20,10 +25,479 @@ function error(message, state) {
  * @typedef {Object} State
  * @property {Stack} main
  * @property {Stack} alt
- * @property {boolean} [if_result]
+ * @property {boolean[]} exec - condition stack (vfExec), one entry per open OP_IF/OP_NOTIF
+ * @property {Context} context
+ * @property {import('./symbolic').Operand[]} constraints - symbolic conditions assumed on this path
+ * @property {State[]} forks - paths split off by the last opcode, picked up by the interpreter
+ * @property {Number} [multisigKeys] - public keys the last OP_CHECKMULTISIG popped, picked up by the
+ * interpreter for the opcode count
  * 
  */
 
+/**
+ * @typedef {Object} Context
+ * @property {"toy" | "real"} mode - toy mode keeps hashes symbolic, signatures valid and numbers loose,
+ * real mode follows Bitcoin's rules
+ * @property {"legacy" | "segwitv0" | "tapscript"} sigversion
+ * @property {Uint8Array} script - the serialized script, committed to by signatures
+ * @property {Number} codeSeparatorPos - opcode position of the last executed OP_CODESEPARATOR, 0xffffffff if none
+ * @property {Number} scriptCodeStart - byte offset of the script legacy and segwit v0 signatures commit to,
+ * just after the last executed OP_CODESEPARATOR
+ * @property {Number} opcodePos - position of the opcode being run in the script, pushes included
+ * @property {Number} opcodeEnd - byte offset just after the opcode being run
+ * @property {String[]} flags - script verification flags in effect, e.g. DISCOURAGE_UPGRADABLE_NOPS
+ * @property {import('./transaction').Transaction} [tx] - transaction signatures are checked against
+ * @property {String} [txError] - why the transaction couldn't be read
+ * @property {boolean} [experimental] - enables OP_CAT and the splice and bitwise opcodes, see experimentalOpcodes
+ * @property {import('./names').Names} names - names of stack items, shared by every path
+ */
+
+/**
+ * Returns true when every enclosing conditional branch is taken
+ * @param {State} state 
+ * @returns {boolean}
+ */
+function isExecuting(state) {
+    return state.exec.every((cond) => cond);
+}
+
+/**
+ * Opcodes Satoshi disabled in 2010. They fail a script even inside a branch that is not taken
+ */
+const disabledOpcodes = [
+    "OP_CAT", "OP_SUBSTR", "OP_LEFT", "OP_RIGHT", "OP_INVERT", "OP_AND", "OP_OR", "OP_XOR",
+    "OP_2MUL", "OP_2DIV", "OP_MUL", "OP_DIV", "OP_MOD", "OP_LSHIFT", "OP_RSHIFT"
+];
+
+/**
+ * Opcodes of the experimental profile: OP_CAT as in BIP-347 and the splice and bitwise
+ * opcodes with the semantics Bitcoin Cash and Elements gave them
+ */
+const experimentalOpcodes = [
+    "OP_CAT", "OP_SPLIT", "OP_NUM2BIN", "OP_BIN2NUM", "OP_INVERT", "OP_AND", "OP_OR", "OP_XOR",
+    "OP_MUL", "OP_DIV", "OP_MOD", "OP_LSHIFT", "OP_RSHIFT"
+];
+
+/**
+ * Is an opcode of the experimental profile usable in this context
+ * @param {String} op
+ * @param {Context} context
+ * @returns {boolean}
+ */
+function isExperimentalEnabled(op, context) {
+    if (!context.experimental || !experimentalOpcodes.includes(op)) {
+        return false;
+    }
+    // BIP-347 only redefines OP_SUCCESS126, legacy scripts keep OP_CAT disabled
+    return op !== "OP_CAT" || context.sigversion === "tapscript";
+}
+
+/**
+ * Opcodes that fail a script wherever they appear, OP_VERIF and OP_VERNOTIF are looked at
+ * like the other conditionals even in a branch that is not taken
+ */
+const invalidOpcodes = ["OP_VERIF", "OP_VERNOTIF"];
+
+/**
+ * Why an opcode can't be used in this context, if it can't
+ * @param {String} op
+ * @param {Context} context
+ * @returns {String | null}
+ */
+function disabledOpcode(op, context) {
+    if (invalidOpcodes.includes(op)) {
+      return `${op} is an invalid opcode, even in a branch that is not taken`;
+    }
+    if (!experimentalOpcodes.includes(op) && !disabledOpcodes.includes(op)) {
+        return null;
+    }
+    if (isExperimentalEnabled(op, context)) {
+        return null;
+    }
+    if (op === "OP_CAT" && context.experimental) {
+        return "OP_CAT is disabled outside tapscript (BIP-347)";
+    }
+    if (!experimentalOpcodes.includes(op)) {
+        return `${op} is a disabled opcode`;
+    }
+    return `${op} is a disabled opcode, enable the experimental opcodes profile (btc-script.experimentalOpcodes or // @experimental on)`;
+}
+
+/**
+ * The push Bitcoin Core's CheckMinimalPush expects for some data, if the written one isn't it
+ * @param {Uint8Array} data
+ * @param {String} [pushOp] - explicit OP_PUSHDATA1/2/4, a direct push otherwise
+ * @returns {String | null}
+ */
+function minimalPush(data, pushOp) {
+    if (data.length === 0) {
+      return "OP_0";
+    }
+    if (data.length === 1 && data[0] >= 1 && data[0] <= 16) {
+      return `OP_${data[0]}`;
+    }
+    if (data.length === 1 && data[0] === 0x81) {
+      return "OP_1NEGATE";
+    }
+    let expected;
+    if (data.length <= 75) {
+      expected = undefined;
+    } else if (data.length <= 0xff) {
+      expected = "OP_PUSHDATA1";
+    } else if (data.length <= 0xffff) {
+      expected = "OP_PUSHDATA2";
+    } else {
+      expected = "OP_PUSHDATA4";
+    }
+    if (pushOp === expected) {
+      return null;
+    }
+    return expected === undefined ? "a direct push" : expected;
+}
+
+/**
+ * Builds an opcode that fails the script when it is executed
+ * @param {String} op
+ * @returns {OpcodeFunction}
+ */
+function reservedOpcode(op) {
+    return function(state) {
+      return error(`${op} is a reserved opcode, executing it fails the script`, state);
+    };
+}
+
+/**
+ * Builds one of the NOPs kept for soft fork upgrades
+ * @param {String} op
+ * @returns {OpcodeFunction}
+ */
+function upgradableNop(op) {
+    return function(state) {
+      if (state.context.flags.includes("DISCOURAGE_UPGRADABLE_NOPS")) {
+        return error(`${op} is reserved for soft fork upgrades (DISCOURAGE_UPGRADABLE_NOPS)`, state);
+      }
+      return state;
+    };
+}
+
+/**
+ * Builds a hash opcode. In real mode the digest of concrete bytes is pushed,
+ * in toy mode or for symbolic values the result is rendered as Hash(el)
+ * @param {function(Uint8Array): Uint8Array} digest
+ * @returns {OpcodeFunction}
+ */
+function hashOpcode(digest) {
+    return function(state) {
+      if (state.main.size() < 1) {
+        return error("Insufficient stack items", state);
+      }
+      
+      try {
+        const val = state.main.pop();
+        if (state.context.mode === "real" && !isSymbolic(val)) {
+          state.main.push(digest(val));
+        } else {
+          state.main.push(symbolic.Sym.atom(`Hash(${formatElement(val, state.context)})`));
+        }
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    };
+}
+
+/**
+ * Bytes of an element for the opcodes that work on raw bytes
+ * @param {import('./scriptnum').Element} elem
+ * @param {String} name - opcode name without OP_
+ * @throws {ResultException}
+ * @returns {Uint8Array}
+ */
+function concreteBytes(elem, name) {
+    if (isSymbolic(elem)) {
+      throw new ResultException(`${name} needs concrete bytes, ${formatElement(elem)} is symbolic`);
+    }
+    return elem;
+}
+
+/**
+ * Builds OP_AND, OP_OR or OP_XOR, which combine two elements of the same size byte by byte
+ * @param {String} name - opcode name without OP_
+ * @param {function(number, number): number} combine
+ * @returns {OpcodeFunction}
+ */
+function bitwiseOpcode(name, combine) {
+    return function(state) {
+      if (state.main.size() < 2) {
+        return error(`${name} requires two items in stack`, state);
+      }
+      
+      try {
+        const x2 = concreteBytes(state.main.pop(), name);
+        const x1 = concreteBytes(state.main.pop(), name);
+        if (x1.length !== x2.length) {
+          return error(`${name} operands must have the same size, got ${x1.length} and ${x2.length} bytes`, state);
+        }
+        state.main.push(x1.map((byte, i) => combine(byte, x2[i])));
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    };
+}
+
+/**
+ * Builds OP_LSHIFT or OP_RSHIFT. The magnitude is shifted and the sign kept, so right shifts
+ * round towards zero
+ * @param {String} name - opcode name without OP_
+ * @param {function(bigint, bigint): bigint} shift - shifts a non negative magnitude
+ * @param {function(import('./symbolic').Sym, number): import('./symbolic').Operand} shiftSymbolic
+ * @returns {OpcodeFunction}
+ */
+function shiftOpcode(name, shift, shiftSymbolic) {
+    return function(state) {
+      if (state.main.size() < 2) {
+        return error(`${name} requires two items in stack`, state);
+      }
+      
+      try {
+        const n = to_number(state.main.pop(), state.context);
+        const a = to_operand(state.main.pop(), state.context);
+        // anything shifted further than the element size limit fails anyway
+        if (n < 0 || n > MAX_SCRIPT_ELEMENT_SIZE * 8) {
+          return error(`Invalid ${name} shift of ${n} bits`, state);
+        }
+    
+        if (typeof a === "number") {
+          const magnitude = shift(BigInt(Math.abs(a)), BigInt(n));
+          state.main.push(a < 0 ? -magnitude : magnitude);
+        } else {
+          state.main.push(shiftSymbolic(a, n));
+        }
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    };
+}
+
+/**
+ * Check a signature in real mode. Toy mode and symbolic operands always pass
+ * @param {import('./scriptnum').Element} sig
+ * @param {import('./scriptnum').Element} pubkey
+ * @param {State} state
+ * @returns {boolean}
+ */
+function verifySignature(sig, pubkey, state) {
+    if (state.context.mode !== "real" || isSymbolic(sig) || isSymbolic(pubkey)) {
+        return true;
+    }
+    return checkSignature(sig, pubkey, state.context);
+}
+
+/**
+ * Byte equality of OP_EQUAL. Elements that differ only because one of them is symbolic
+ * give an expression like (A==B)
+ * @param {import('./scriptnum').Element} a
+ * @param {import('./scriptnum').Element} b
+ * @returns {import('./symbolic').Operand}
+ */
+function equalOperands(a, b) {
+    if (equalElements(a, b)) {
+      return 1;
+    }
+    if (!isSymbolic(a) && !isSymbolic(b)) {
+      return 0;
+    }
+    const asSym = (elem) => isSymbolic(elem) ? elem : symbolic.Sym.atom(formatElement(elem));
+    return symbolic.compare("==", asSym(a), asSym(b));
+}
+
+/**
+ * Copy of a state that can be evaluated independently
+ * @param {State} state
+ * @returns {State}
+ */
+function cloneState(state) {
+    return {
+      main: state.main.clone(),
+      alt: state.alt.clone(),
+      exec: [...state.exec],
+      context: { ...state.context },
+      constraints: [...state.constraints],
+      forks: []
+    };
+}
+
+/**
+ * The comparison that holds exactly when another one doesn't
+ */
+const NEGATED_COMPARISONS = { "<": ">=", ">=": "<", ">": "<=", "<=": ">", "==": "!=", "!=": "==" };
+
+/**
+ * What the constraints of the path say about a symbolic condition. `!(A<B)` and `(A>=B)`
+ * both negate `(A<B)`
+ * @param {State} state
+ * @param {import('./symbolic').Sym} condition
+ * @returns {boolean | undefined} - undefined when nothing is known
+ */
+function assumedTruth(state, condition) {
+    const text = String(condition);
+    const negations = [String(symbolic.not(condition))];
+    const opposite = NEGATED_COMPARISONS[condition.op];
+    if (opposite !== undefined) {
+      negations.push(String(new symbolic.Sym(opposite, condition.args)));
+    }
+    for (const constraint of state.constraints) {
+      if (String(constraint) === text) {
+        return true;
+      }
+      if (negations.includes(String(constraint))) {
+        return false;
+      }
+    }
+    return undefined;
+}
+
+/**
+ * Condition of the VERIFY opcodes. A symbolic condition can't be decided, unless the
+ * path already assumed it, so it becomes a constraint of the path
+ * @param {import('./scriptnum').Element | import('./symbolic').Operand} condition
+ * @param {State} state
+ * @returns {boolean}
+ */
+function holds(condition, state) {
+    if (isSymbolic(condition)) {
+      const known = assumedTruth(state, condition);
+      if (known === undefined) {
+        state.constraints.push(condition);
+      }
+      return known !== false;
+    }
+    return typeof condition === "number" ? condition !== 0 : cast_to_bool(condition);
+}
+
+/**
+ * Push the branch taken by OP_IF or OP_NOTIF. When the path constraints don't decide a
+ * symbolic condition the path splits: this state assumes the condition holds and a copy
+ * in state.forks assumes it doesn't
+ * @param {State} state
+ * @param {import('./scriptnum').Element} condition
+ * @param {boolean} negate - OP_NOTIF
+ */
+function enterBranch(state, condition, negate) {
+    // MINIMALIF is a consensus rule in tapscript: only the empty array and 0x01 are allowed
+    if (state.context.sigversion === "tapscript" && !isSymbolic(condition) &&
+      !(condition.length === 0 || (condition.length === 1 && condition[0] === 1))) {
+      throw new ResultException(`${negate ? "OP_NOTIF" : "OP_IF"} argument must be empty or 0x01 in tapscript (MINIMALIF)`);
+    }
+    let truth;
+    if (!isSymbolic(condition)) {
+      truth = cast_to_bool(condition);
+    } else if ((truth = assumedTruth(state, condition)) === undefined) {
+      const fork = cloneState(state);
+      fork.constraints.push(symbolic.not(condition));
+      fork.exec.push(negate);
+      state.forks.push(fork);
+      state.constraints.push(condition);
+      truth = true;
+    }
+    state.exec.push(negate ? !truth : truth);
+}
+
+/**
+ * Failing non-empty signatures fail the script (NULLFAIL) so the reason shows up
+ * @param {import('./scriptnum').Element} pubkey
+ * @returns {String}
+ */
+function signatureMismatch(pubkey) {
+    return `Signature does not match public key ${formatElement(pubkey)} for this transaction`;
+}
+
+/**
+ * Shared part of OP_CHECKMULTISIG and OP_CHECKMULTISIGVERIFY. Every signature is tried
+ * against the remaining public keys in order, like Bitcoin Core does
+ * @param {State} state
+ * @returns {boolean | StateError}
+ */
+function checkMultisig(state) {
+    if (state.context.sigversion === "tapscript") {
+      return error("OP_CHECKMULTISIG is disabled in tapscript, use OP_CHECKSIGADD", state);
+    }
+    if (state.main.size() < 1) {
+      return error("Need number of pubkeys for CHECKMULTISIG", state);
+    }
+    
+    try {
+      const num_pubkeys = to_number(state.main.pop(), state.context);
+      if (num_pubkeys < 0 || num_pubkeys > 20) {
+        return error(`Invalid number of pubkeys: ${num_pubkeys}`, state);
+      }
+      if (state.main.size() < num_pubkeys) {
+        return error("Insufficient stack items: not enough pubkeys", state);
+      }
+      const pubkeys = [];
+      for (let i = 0; i < num_pubkeys; i++) {
+        pubkeys.push(state.main.pop());
+      }
+      state.multisigKeys = num_pubkeys;
+      
+      if (state.main.size() < 1) {
+        return error("Need number of signatures", state);
+      }
+      const num_sigs = to_number(state.main.pop(), state.context);
+      if (num_sigs < 0 || num_sigs > num_pubkeys) {
+        return error(`Invalid number of signatures: ${num_sigs} for ${num_pubkeys} pubkeys`, state);
+      }
+      if (state.main.size() < num_sigs) {
+        return error("Insufficient stack items: not enough signatures", state);
+      }
+      const sigs = [];
+      for (let i = 0; i < num_sigs; i++) {
+        sigs.push(state.main.pop());
+      }
+      
+      // Remove the extra dummy element that Bitcoin requires
+      if (state.main.size() < 1) {
+        return error("Need dummy element", state);
+      }
+      const dummy = state.main.pop();
+      // a symbolic dummy may be empty, it has no length to check
+      if (state.context.mode === "real" && !isSymbolic(dummy) && dummy.length !== 0) {
+        return error("Dummy element of CHECKMULTISIG must be empty (NULLDUMMY)", state);
+      }
+      
+      // pubkeys and sigs were popped top first, the first pushed comes last
+      pubkeys.reverse();
+      sigs.reverse();
+      let isig = 0;
+      let ikey = 0;
+      while (isig < sigs.length) {
+        if (sigs.length - isig > pubkeys.length - ikey) {
+          break;
+        }
+        if (verifySignature(sigs[isig], pubkeys[ikey], state)) {
+          isig++;
+        }
+        ikey++;
+      }
+      
+      const success = isig === sigs.length;
+      if (!success && sigs.some((sig) => sig.length > 0)) {
+        return error("Signatures do not match the public keys in order", state);
+      }
+      return success;
+    } catch(err) {
+      return error(err, state);
+    }
+}
+
+/**
+ * Opcodes that must be evaluated even inside a branch that is not taken
+ * so that nesting is tracked
+ */
+const conditionalOpcodes = ["OP_IF", "OP_NOTIF", "OP_ELSE", "OP_ENDIF"];
+
 /**
  * @typedef {Object} OpcodeFunction
  * @type {function(State): State | StateError}
@@ -51,8 +525,8 @@ function error(message, state) {
       
       try {
         const val = state.main.pop();
-        const newVal = to_number(val);
-        state.main.push(newVal !== 0 ? 1 : 0);
+        const newVal = to_operand(val, state.context);
+        state.main.push(symbolic.notZero(newVal));
         return state;
       } catch(err_val) {
         return error(err_val, state);
@@ -70,8 +544,8 @@ function error(message, state) {
       
       try {
         const a = state.main.pop();
-        let num = to_number(a);
-        state.main.push(num + 1);
+        let num = to_operand(a, state.context);
+        state.main.push(symbolic.add(num, 1));
         return state;
       } catch(err) {
         return error(err, state);
@@ -91,8 +565,8 @@ function error(message, state) {
     try{
       const a = state.main.pop();
   
-      const num_a = to_number(a);
-      state.main.push(num_a - 1);
+      const num_a = to_operand(a, state.context);
+      state.main.push(symbolic.sub(num_a, 1));
       return state;
     } catch (err) {
         return error(err, state);
@@ -303,8 +777,8 @@ function error(message, state) {
       
       try {
         const val = state.main.pop();
-        const newVal = to_number(val);
-        state.main.push(Math.abs(newVal));
+        const newVal = to_operand(val, state.context);
+        state.main.push(symbolic.abs(newVal));
         return state;
       } catch(err) {
         return error(err, state);
@@ -330,10 +804,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b + num_a);
+        state.main.push(symbolic.add(num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -341,6 +815,44 @@ function error(message, state) {
       
     },
   
+    /** 
+    * OP_AND
+    * Bitwise AND of two elements of the same size, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => x2
+    * pop [main] => x1 
+    * push (x1 & x2) => [main]
+    */
+    "OP_AND": bitwiseOpcode("AND", (x, y) => x & y),
+  
+    /** 
+    * OP_BIN2NUM
+    * Converts bytes into a minimally encoded number, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => x
+    * push minimal(x) => [main]
+    */
+    "OP_BIN2NUM": function(state) {
+      if (state.main.size() < 1) {
+        return error("Need one item for BIN2NUM", state);
+      }
+      
+      try {
+        const x = concreteBytes(state.main.pop(), "BIN2NUM");
+        const num = minimallyEncode(x);
+        // the result has to be a valid number operand
+        to_number(num, state.context);
+        state.main.push(num);
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
     /** 
     * OP_BOOLAND
     * Pop two items from stack. Pushes 1 if both are not zero; otherwise pushes 0 
@@ -361,10 +873,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_a !== 0 && num_b !== 0 ? 1 : 0);
+        state.main.push(symbolic.boolAnd(num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -391,10 +903,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_a !== 0 || num_b !== 0 ? 1 : 0);
+        state.main.push(symbolic.boolOr(num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -403,13 +915,13 @@ function error(message, state) {
   
     /** 
     * OP_CAT
-    * Concats two strings, disabled 
+    * Concatenates two elements (BIP-347, tapscript only), part of the experimental profile
     * @param {State} state
     * @returns {State | StateError} 
     * 
-    * pop [main] => a
-    * pop [main] => b 
-    * push (a || b) => [main]
+    * pop [main] => x2
+    * pop [main] => x1 
+    * push (x1 || x2) => [main]
     */
     "OP_CAT": function(state) {
       if (state.main.size() < 2) {
@@ -417,10 +929,39 @@ function error(message, state) {
       }
       
       try {
-        const a = state.main.pop();
-        const b = state.main.pop();
+        const x2 = state.main.pop();
+        const x1 = state.main.pop();
     
-        state.main.push(`${String(a)}||${String(b)}`);
+        if (isSymbolic(x1) || isSymbolic(x2)) {
+          state.main.push(symbolic.Sym.atom(`(${formatElement(x1, state.context)}||${formatElement(x2, state.context)})`));
+        } else {
+          state.main.push(Uint8Array.from([...x1, ...x2]));
+        }
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
+    /** 
+    * OP_CHECKLOCKTIMEVERIFY
+    * Absolute timelock (BIP-65), checked against the nLockTime of the transaction
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * peek [main] => locktime
+    * if locktime is not satisfied by the transaction { script fails }
+    */
+    "OP_CHECKLOCKTIMEVERIFY": function(state) {
+      if (state.main.size() < 1) {
+        return error("Need one item for CHECKLOCKTIMEVERIFY", state);
+      }
+      
+      try {
+        const locktime = to_operand(state.main.peek(), state.context, LOCKTIME_NUM_SIZE);
+        if (!holds(checkLockTime(locktime, state.context), state)) {
+          return error("CHECKLOCKTIMEVERIFY fails: the path assumes the opposite", state);
+        }
         return state;
       } catch(err) {
         return error(err, state);
@@ -430,75 +971,33 @@ function error(message, state) {
     /** 
     * OP_CHECKMULTISIG
     * verifies multiple signatures against a set of public keys. 
-    * Requires 'm', then we pop 'm' number of pubkeys then 
-    * Requires 'n', then we pop 'n' number of signatures. 
+    * Requires 'n', then we pop 'n' number of pubkeys then 
+    * Requires 'm', then we pop 'm' number of signatures. 
     * There is also a dummy element at the end according to https://en.bitcoin.it/wiki/Script#Crypto
+    * Signatures have to be in the same order as their public keys.
     * 
     * @param {State} state
     * @returns {State | StateError} 
     * 
-    * pop [main] => m
-    * for i to m {
+    * pop [main] => n
+    * for i to n {
     *   pop [main]  => pubkeys[i]
     * }
-    * pop [main] => n
+    * pop [main] => m
     * for i to m {
     *   pop [main] => signatures[i]
     * }
-    * push 1 for now to simulate succesful verification
+    * pop [main] => dummy
+    * push 1 if every signature matches a pubkey, in order, else 0
     * 
     */
     "OP_CHECKMULTISIG": function(state) {
-      if (state.main.size() < 1) {
-        return error("Need number of pubkeys for CHECKMULTISIG", state);
-      }
-      
-  
-      
-    //Get number of pubkeys
-    try {
-      const n_pubkeys = state.main.pop();
-      const num_pubkeys = to_number(n_pubkeys);
-
-    // Check if we have enough items for pubkeys
-      if (state.main.size() < num_pubkeys) {
-        return error("Insufficient stack items: not enough pubkeys", state);
-      }
-     
-    // Remove pubkeys
-      for (let i = 0; i < num_pubkeys; i++) {
-        state.main.pop();
-      }
-   
-     // Get number of signatures
-      if (state.main.size() < 1) {
-        return error("Need number of signatures", state);
-      }
-      const n_sigs = state.main.pop();
-      const num_sigs = to_number(n_sigs);
-      
-     // Check if we have enough items for signatures
-      if (state.main.size() < num_sigs) {
-        return error("Insufficient stack items: not enough signatures", state);
-      }
-  
-     // Remove signatures
-      for (let i = 0; i < num_sigs; i++) {
-        state.main.pop();
-      }
-       
-      // Remove the extra dummy element that Bitcoin requires
-      if (state.main.size() < 1) {
-        return error("Need dummy element", state);
+      const result = checkMultisig(state);
+      if (typeof result !== "boolean") {
+        return result;
       }
-      state.main.pop();
-  
-      // Always push 1 to simulate successful verification
-      state.main.push(1);
+      state.main.push(result ? 1 : 0);
       return state;
-      } catch(err) {
-        return error(err, state);
-      }
     },
   
     /**
@@ -508,71 +1007,48 @@ function error(message, state) {
     * @param {State} state
     * @returns {State | StateError} 
     * 
-    * pop [main] => m
-    * for i to m {
+    * pop [main] => n
+    * for i to n {
     *   pop [main]  => pubkeys[i]
     * }
-    * pop [main] => n
+    * pop [main] => m
     * for i to m {
     *   pop [main] => signatures[i]
     * }
-    * push 1 for now to simulate succesful verification
+    * pop [main] => dummy
+    * script fails unless every signature matches a pubkey, in order
     * 
     */
     "OP_CHECKMULTISIGVERIFY": function(state) {
-      if (state.main.size() < 1) {
-        return error("Need number of pubkeys for CHECKMULTISIGVERIFY", state);
+      const result = checkMultisig(state);
+      if (typeof result !== "boolean") {
+        return result;
       }
-      
-      try {
-        // Get number of pubkeys
-        const n_pubkeys = state.main.pop();
-        const num_pubkeys = to_number(n_pubkeys);
-    
-        // Check if we have enough items for pubkeys
-        if (state.main.size() < num_pubkeys) {
-            return error("Insufficient stack items: not enough pubkeys", state);
-        }
-    
-        // Remove pubkeys
-        for (let i = 0; i < num_pubkeys; i++) {
-            state.main.pop();
-        }
-    
-        // Get number of signatures
-        if (state.main.size() < 1) {
-            return error("Need number of signatures", state);
-        }
-        const n_sigs = state.main.pop();
-        const num_sigs = to_number(n_sigs);
-    
-        // Check if we have enough items for signatures
-        if (state.main.size() < num_sigs) {
-            return error("Insufficient stack items: not enough signatures", state);
-        }
-    
-        // Remove signatures
-        for (let i = 0; i < num_sigs; i++) {
-            state.main.pop();
-        }
-    
-        // Remove the extra dummy element that Bitcoin requires
-        if (state.main.size() < 1) {
-            return error("Need dummy element", state);
-        }
-        state.main.pop();
-    
-        // Always push 1 to simulate successful verification
-        state.main.push(1);
-    
-        // Verify the result
-        const val = state.main.pop();
-        const newVal = to_number(val);
-    
-        if (newVal === 0) {
-            return error("Verification failed", state);
+      if (!result) {
+        return error("Verification failed: no signatures given", state);
+      }
+      return state;
+    },
+  
+    /** 
+    * OP_CHECKSEQUENCEVERIFY
+    * Relative timelock (BIP-112), checked against the nSequence of the input
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * peek [main] => sequence
+    * if sequence is not satisfied by the transaction { script fails }
+    */
+    "OP_CHECKSEQUENCEVERIFY": function(state) {
+      if (state.main.size() < 1) {
+        return error("Need one item for CHECKSEQUENCEVERIFY", state);
+      }
+      
+      try {
+        const sequence = to_operand(state.main.peek(), state.context, LOCKTIME_NUM_SIZE);
+        if (!holds(checkSequence(sequence, state.context), state)) {
+          return error("CHECKSEQUENCEVERIFY fails: the path assumes the opposite", state);
         }
-    
         return state;
       } catch(err) {
         return error(err, state);
@@ -582,12 +1058,13 @@ function error(message, state) {
     /** 
     * OP_CHECKSIG
     * Verifies if the provided signature matches the public key for the tx hash.  
+    * In toy mode every signature is valid
     * @param {State} state
     * @returns {State | StateError} 
     * 
     * POP [main] => pubkey
     * POP [main] => signature
-    * verify and always simulate successful verification 
+    * push 1 if valid, 0 if the signature is empty
     */
     "OP_CHECKSIG": function(state) {
       if (state.main.size() < 2) {
@@ -595,12 +1072,15 @@ function error(message, state) {
       }
       
       try {
-      state.main.pop(); // pubkey
-      state.main.pop(); // signature
+        const pubkey = state.main.pop();
+        const sig = state.main.pop();
   
-      // Always push 1 to simulate successful verification
-      state.main.push(1);
-      return state;
+        const valid = verifySignature(sig, pubkey, state);
+        if (!valid && sig.length > 0) {
+          return error(signatureMismatch(pubkey), state);
+        }
+        state.main.push(valid ? 1 : 0);
+        return state;
       } catch(err) {
         return error(err, state);
       }
@@ -613,25 +1093,31 @@ function error(message, state) {
     * @returns {State | StateError} 
     * 
     * POP [main] => pubkey
-    * POP [main] => signature
     * POP [main] => count
+    * POP [main] => signature
     * verify and add count to it 
     * PUSH (1 or 0) + count => [main]
     */
     "OP_CHECKSIGADD": function(state) {
+      if (state.context.sigversion !== "tapscript") {
+        return error(`OP_CHECKSIGADD is only available in tapscript, not in ${state.context.sigversion} scripts`, state);
+      }
       if (state.main.size() < 3) {
         return error("Need number, pubkey, and signature for CHECKSIGADD", state);
       }
       
       try {
-        state.main.pop(); // pubkey
-        state.main.pop(); // signature
+        const pubkey = state.main.pop();
         const n = state.main.pop(); // current count
+        const sig = state.main.pop();
     
-        const num_n = to_number(n);
+        const num_n = to_operand(n, state.context);
+        const valid = verifySignature(sig, pubkey, state);
+        if (!valid && sig.length > 0) {
+          return error(signatureMismatch(pubkey), state);
+        }
     
-        // Always add 1 to simulate successful signature check
-        state.main.push(num_n + 1);
+        state.main.push(symbolic.add(num_n, valid ? 1 : 0));
         return state;
       } catch(err) {
         return error(err, state);
@@ -654,25 +1140,35 @@ function error(message, state) {
       }
       
       try {
-      state.main.pop(); // pubkey
-      state.main.pop(); // signature
-  
-      // Always push 1 to simulate successful verification
-      state.main.push(1);
-  
-      // Verify the result
-      const val = state.main.pop();
-      const newVal = to_number(val);
-      if (newVal === 0) {
-        return error("Verification failed", state);
-      }
+        const pubkey = state.main.pop();
+        const sig = state.main.pop();
   
-      return state;
+        const valid = verifySignature(sig, pubkey, state);
+        if (!valid && sig.length > 0) {
+          return error(signatureMismatch(pubkey), state);
+        }
+        if (!valid) {
+          return error("Verification failed: empty signature", state);
+        }
+        return state;
       } catch(err) {
         return error(err, state);
       }
     },
   
+    /** 
+    * OP_CODESEPARATOR
+    * Marks where the script signed by the following signature checks begins
+    * @param {State} state
+    * @returns {State | StateError} 
+    */
+    "OP_CODESEPARATOR": function(state) {
+      // tapscript signatures commit to the opcode position, older ones to the script after it
+      state.context.codeSeparatorPos = state.context.opcodePos;
+      state.context.scriptCodeStart = state.context.opcodeEnd;
+      return state;
+    },
+  
     /** 
     * OP_DEPTH
     * pushes the current number of stack items onto stack
@@ -688,6 +1184,35 @@ function error(message, state) {
       return state;
     },
   
+    /** 
+    * OP_DIV
+    * Divides the second item by the top item, rounding towards zero. Part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => b
+    * pop [main] => a 
+    * push (a / b) => [main]
+    */
+    "OP_DIV": function(state) {
+      if (state.main.size() < 2) {
+        return error("DIV requires two items in stack", state);
+      }
+      
+      try {
+        const num_b = to_operand(state.main.pop(), state.context);
+        const num_a = to_operand(state.main.pop(), state.context);
+        if (num_b === 0) {
+          return error("Division by zero", state);
+        }
+    
+        state.main.push(symbolic.div(num_a, num_b));
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
     /** 
     * OP_DROP
     * Drops the first element in the stack 
@@ -734,28 +1259,31 @@ function error(message, state) {
   
     /** 
     * OP_ELSE
-    * else conditional branch
+    * else conditional branch, toggles the innermost condition. Can appear multiple times
     * @param {State} state
     * @returns {State | StateError} 
     */
     "OP_ELSE": function(state) {
-      if (state.if_result === undefined) {
-        return error("ELSE without matching IF", state);
+      if (state.exec.length === 0) {
+        return error("OP_ELSE without matching OP_IF", state);
       }
       
-      state.if_result = !state.if_result;
+      state.exec[state.exec.length - 1] = !state.exec[state.exec.length - 1];
       return state;
     },
   
     /** 
     * OP_ENDIF
-    * ends the conditional 
+    * ends the innermost conditional 
     * @param {State} state
     * @returns {State | StateError} 
     */
     "OP_ENDIF": function(state) {
+      if (state.exec.length === 0) {
+        return error("OP_ENDIF without matching OP_IF", state);
+      }
       
-      delete state.if_result;
+      state.exec.pop();
       return state;
     },
   
@@ -778,7 +1306,7 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        state.main.push(a === b ? 1 : 0);
+        state.main.push(equalOperands(b, a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -804,12 +1332,7 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        state.main.push(a === b ? 1 : 0);
-    
-        const val = state.main.pop();
-        const newVal = to_number(val);
-    
-        if (newVal === 0) {
+        if (!holds(equalOperands(b, a), state)) {
             return error("Verification failed", state);
         }
     
@@ -862,10 +1385,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b > num_a ? 1 : 0);
+        state.main.push(symbolic.compare(">", num_b, num_a));
         return state;
       }catch(err) {
         return error(err, state);
@@ -891,10 +1414,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b >= num_a ? 1 : 0);
+        state.main.push(symbolic.compare(">=", num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -902,44 +1425,48 @@ function error(message, state) {
     },
   
     /** 
-    * OP_HASH
-    * stuff like OP_SHA1, OP_SHA256, OP_HASH256, OP_RIPEMD160 
+    * OP_HASH160
+    * RIPEMD160(SHA256(el)), the hash used for public key hashes
     * @param {State} state
     * @returns {State | StateError} 
     * 
     * pop [main] => el
     * push Hash(el) => [main]
     */
-    "OP_HASH": function(state) {
-      if (state.main.size() < 1) {
-        return error("Insufficient stack items", state);
-      }
-      
-      try {
-        const val = state.main.pop();
-        state.main.push(`Hash(${String(val)})`);
-        return state;
-      }catch(err) {
-        return error(err, state);
-      }
-    },
+    "OP_HASH160": hashOpcode(hash160),
+  
+    /** 
+    * OP_HASH256
+    * SHA256(SHA256(el))
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => el
+    * push Hash(el) => [main]
+    */
+    "OP_HASH256": hashOpcode(hash256),
   
     /** 
     * OP_IF
-    * runs if condition if the top stack element is 1 
+    * runs if branch if the top stack element is not 0. Inside a skipped branch nothing is popped
+    * and the nested branch is skipped as well
     * @param {State} state
     * @returns {State | StateError} 
     */
     "OP_IF": function(state) {
+      if (!isExecuting(state)) {
+        state.exec.push(false);
+        return state;
+      }
+
       if (state.main.size() < 1) {
         return error("Need one item for IF", state);
       }
       
       try {
         const condition = state.main.pop();
-        const num_condition = to_number(condition);
     
-        state.if_result = num_condition !== 0;
+        enterBranch(state, condition, false);
         return state;
       } catch(err) {
         return error(err, state);
@@ -964,9 +1491,8 @@ function error(message, state) {
 
       try {
         const val = state.main.peek();
-        const num_condition = to_number(val);
     
-        if (num_condition !== 0) {
+        if (cast_to_bool(val)) {
             state.main.push(val);
         }
     
@@ -976,6 +1502,29 @@ function error(message, state) {
       }
     },
   
+    /** 
+    * OP_INVERT
+    * Flips every bit of the top item, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => x
+    * push ~x => [main]
+    */
+    "OP_INVERT": function(state) {
+      if (state.main.size() < 1) {
+        return error("Need one item for INVERT", state);
+      }
+      
+      try {
+        const x = concreteBytes(state.main.pop(), "INVERT");
+        state.main.push(x.map((byte) => ~byte & 0xff));
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
     /** 
     * OP_LESSTHAN
     * returns 1 if first element is less than  b 
@@ -995,10 +1544,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b < num_a ? 1 : 0);
+        state.main.push(symbolic.compare("<", num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -1024,16 +1573,29 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b <= num_a ? 1 : 0);
+        state.main.push(symbolic.compare("<=", num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
       }
     },
   
+    /** 
+    * OP_LSHIFT
+    * Shifts the magnitude of a number left, keeping its sign like the original implementation.
+    * Part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => n
+    * pop [main] => a 
+    * push (a << n) => [main]
+    */
+    "OP_LSHIFT": shiftOpcode("LSHIFT", (a, n) => a << n, (a, n) => symbolic.mul(a, 2 ** n)),
+  
     /** 
     * OP_MAX
     * pushes the max value
@@ -1053,10 +1615,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(Math.max(num_a, num_b));
+        state.main.push(symbolic.max(num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -1082,10 +1644,71 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
+    
+        state.main.push(symbolic.min(num_b, num_a));
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
+    /** 
+    * OP_MOD
+    * Remainder of dividing the second item by the top item, with the sign of the dividend.
+    * Part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => b
+    * pop [main] => a 
+    * push (a % b) => [main]
+    */
+    "OP_MOD": function(state) {
+      if (state.main.size() < 2) {
+        return error("MOD requires two items in stack", state);
+      }
+      
+      try {
+        const num_b = to_operand(state.main.pop(), state.context);
+        const num_a = to_operand(state.main.pop(), state.context);
+        if (num_b === 0) {
+          return error("Modulo by zero", state);
+        }
+    
+        state.main.push(symbolic.mod(num_a, num_b));
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
+    /** 
+    * OP_MUL
+    * Multiplies the top two items, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => b
+    * pop [main] => a 
+    * push (a * b) => [main]
+    */
+    "OP_MUL": function(state) {
+      if (state.main.size() < 2) {
+        return error("MUL requires two items in stack", state);
+      }
+      
+      try {
+        const num_b = to_operand(state.main.pop(), state.context);
+        const num_a = to_operand(state.main.pop(), state.context);
     
-        state.main.push(Math.min(num_a, num_b));
+        if (typeof num_a === "number" && typeof num_b === "number") {
+          // the product of two 4 byte numbers doesn't always fit in a JS number
+          state.main.push(BigInt(num_a) * BigInt(num_b));
+        } else {
+          state.main.push(symbolic.mul(num_a, num_b));
+        }
         return state;
       } catch(err) {
         return error(err, state);
@@ -1109,8 +1732,8 @@ function error(message, state) {
       try {
         const val = state.main.pop();
     
-        const  newVal = to_number(val);
-        state.main.push(-newVal);
+        const  newVal = to_operand(val, state.context);
+        state.main.push(symbolic.negate(newVal));
         return state;
       }catch(err) {
         return error(err, state);
@@ -1152,6 +1775,22 @@ function error(message, state) {
       return state;
     },
   
+    /** 
+    * OP_NOP1, OP_NOP4 ... OP_NOP10
+    * Do nothing today but are reserved for soft fork upgrades, like OP_NOP2 became
+    * OP_CHECKLOCKTIMEVERIFY. The DISCOURAGE_UPGRADABLE_NOPS policy flag rejects them
+    * @param {State} state
+    * @returns {State | StateError} 
+    */
+    "OP_NOP1": upgradableNop("OP_NOP1"),
+    "OP_NOP4": upgradableNop("OP_NOP4"),
+    "OP_NOP5": upgradableNop("OP_NOP5"),
+    "OP_NOP6": upgradableNop("OP_NOP6"),
+    "OP_NOP7": upgradableNop("OP_NOP7"),
+    "OP_NOP8": upgradableNop("OP_NOP8"),
+    "OP_NOP9": upgradableNop("OP_NOP9"),
+    "OP_NOP10": upgradableNop("OP_NOP10"),
+  
     /** 
     * OP_NOT
     * if the top stack item is 0, it becomes 1 else it becomes 0
@@ -1168,8 +1807,8 @@ function error(message, state) {
       try {
       const val = state.main.pop();
   
-      const newVal = to_number(val);
-      state.main.push(newVal === 0 ? 1 : 0);
+      const newVal = to_operand(val, state.context);
+      state.main.push(symbolic.not(newVal));
       return state;
       } catch(err) {
         return error(err, state);
@@ -1184,16 +1823,59 @@ function error(message, state) {
     * 
     */
     "OP_NOTIF": function(state) {
-    try {
+      if (!isExecuting(state)) {
+        state.exec.push(false);
+        return state;
+      }
+
+      try {
         if (state.main.size() < 1) {
             return error("Need one item for NOTIF", state);
         }
         
         const condition = state.main.pop();
     
-        const  num_condition  = to_number(condition);
+        enterBranch(state, condition, true);
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
+    /** 
+    * OP_NUM2BIN
+    * Pads a number to the given size in bytes, moving the sign bit to the last byte.
+    * Part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => size
+    * pop [main] => x 
+    * push x padded to size bytes => [main]
+    */
+    "OP_NUM2BIN": function(state) {
+      if (state.main.size() < 2) {
+        return error("NUM2BIN requires two items in stack", state);
+      }
+      
+      try {
+        const size = to_number(state.main.pop(), state.context);
+        const x = minimallyEncode(concreteBytes(state.main.pop(), "NUM2BIN"));
+        if (size < 0 || size > MAX_SCRIPT_ELEMENT_SIZE) {
+          return error(`Invalid NUM2BIN size ${size}`, state);
+        }
+        if (x.length > size) {
+          return error(`Impossible encoding: ${formatElement(x)} needs more than ${size} bytes`, state);
+        }
     
-        state.if_result = num_condition === 0;
+        const padded = new Uint8Array(size);
+        padded.set(x);
+        if (x.length > 0 && x.length < size) {
+          // the sign bit moves from the last byte of x to the last byte of the result
+          padded[size - 1] = x[x.length - 1] & 0x80;
+          padded[x.length - 1] &= 0x7f;
+        }
+        state.main.push(padded);
         return state;
       } catch(err) {
         return error(err, state);
@@ -1220,10 +1902,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b === num_a ? 1 : 0);
+        state.main.push(symbolic.compare("==", num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -1249,15 +1931,10 @@ function error(message, state) {
       const a = state.main.pop();
       const b = state.main.pop();
   
-      const num_a = to_number(a);
-      const num_b = to_number(b);
-  
-      state.main.push(num_b === num_a ? 1 : 0);
+      const num_a = to_operand(a, state.context);
+      const num_b = to_operand(b, state.context);
   
-      const val = state.main.pop();
-      const newVal  = to_number(val);
-  
-      if (newVal === 0) {
+      if (!holds(symbolic.compare("==", num_b, num_a), state)) {
         return error("Verification failed", state);
       }
   
@@ -1286,16 +1963,28 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b !== num_a ? 1 : 0);
+        state.main.push(symbolic.compare("!=", num_b, num_a));
         return state;
       }catch(err) {
         return error(err, state);
       }
     },
   
+    /** 
+    * OP_OR
+    * Bitwise OR of two elements of the same size, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => x2
+    * pop [main] => x1 
+    * push (x1 | x2) => [main]
+    */
+    "OP_OR": bitwiseOpcode("OR", (x, y) => x | y),
+  
     /** 
     * OP_OVER
     * duplicates the 2nd element in the stack and places it on top of the stack 
@@ -1336,7 +2025,7 @@ function error(message, state) {
       try {
         const n = state.main.pop();
     
-        const  num_n = to_number(n);
+        const  num_n = to_number(n, state.context);
         if (state.main.size() < num_n + 1) {
             return error("Stack too small for PICK", state);
         }
@@ -1349,6 +2038,36 @@ function error(message, state) {
       }
     },
   
+    /** 
+    * OP_RESERVED, OP_RESERVED1 and OP_RESERVED2
+    * Fail the script when executed, a branch that is not taken may contain them
+    * @param {State} state
+    * @returns {State | StateError} 
+    */
+    "OP_RESERVED": reservedOpcode("OP_RESERVED"),
+    "OP_RESERVED1": reservedOpcode("OP_RESERVED1"),
+    "OP_RESERVED2": reservedOpcode("OP_RESERVED2"),
+  
+    /** 
+    * OP_RETURN
+    * Marks the script as failed right away, used for provably unspendable outputs
+    * @param {State} state
+    * @returns {State | StateError} 
+    */
+    "OP_RETURN": function(state) {
+      return error("OP_RETURN ends the script as failed", state);
+    },
+  
+    /** 
+    * OP_RIPEMD160
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => el
+    * push Hash(el) => [main]
+    */
+    "OP_RIPEMD160": hashOpcode(ripemd160),
+  
     /** 
     * OP_ROLL
     * selects the stack item and moves it to top . 0th index based
@@ -1373,7 +2092,7 @@ function error(message, state) {
       try {
       const n = state.main.pop();
   
-      const num_n = to_number(n);
+      const num_n = to_number(n, state.context);
   
       if (state.main.size() < num_n + 1) {
         return error("Stack too small for ROLL", state);
@@ -1431,6 +2150,39 @@ function error(message, state) {
       }
     },
   
+    /** 
+    * OP_RSHIFT
+    * Shifts the magnitude of a number right, keeping its sign like the original implementation.
+    * Part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => n
+    * pop [main] => a 
+    * push (a >> n) => [main]
+    */
+    "OP_RSHIFT": shiftOpcode("RSHIFT", (a, n) => a >> n, (a, n) => symbolic.div(a, 2 ** n)),
+  
+    /** 
+    * OP_SHA1
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => el
+    * push Hash(el) => [main]
+    */
+    "OP_SHA1": hashOpcode(sha1),
+  
+    /** 
+    * OP_SHA256
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => el
+    * push Hash(el) => [main]
+    */
+    "OP_SHA256": hashOpcode(sha256),
+  
     /** 
     * OP_SIZE
     * pushes the length in bytes of the top stack item's data into stack 
@@ -1447,7 +2199,10 @@ function error(message, state) {
         }
         
         try {
-            const val = String(state.main.peek());
+            const val = state.main.peek();
+            if (isSymbolic(val)) {
+                return error(`SIZE of symbolic value ${val} is unknown`, state);
+            }
             state.main.push(val.length);
             return state;
         } catch(err) {
@@ -1455,6 +2210,37 @@ function error(message, state) {
         }
     },
   
+    /** 
+    * OP_SPLIT
+    * Splits an element at a position, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => n
+    * pop [main] => x 
+    * push x[0..n] => [main]
+    * push x[n..] => [main]
+    */
+    "OP_SPLIT": function(state) {
+      if (state.main.size() < 2) {
+        return error("SPLIT requires two items in stack", state);
+      }
+      
+      try {
+        const n = to_number(state.main.pop(), state.context);
+        const x = concreteBytes(state.main.pop(), "SPLIT");
+        if (n < 0 || n > x.length) {
+          return error(`Invalid SPLIT position ${n} for ${x.length} bytes`, state);
+        }
+    
+        state.main.push(x.slice(0, n));
+        state.main.push(x.slice(n));
+        return state;
+      } catch(err) {
+        return error(err, state);
+      }
+    },
+  
     /** 
     * OP_SUB
     * Pops the first two elements in main stack and then subtracts it and pushes result to stack 
@@ -1474,10 +2260,10 @@ function error(message, state) {
         const a = state.main.pop();
         const b = state.main.pop();
     
-        const num_a = to_number(a);
-        const num_b = to_number(b);
+        const num_a = to_operand(a, state.context);
+        const num_b = to_operand(b, state.context);
     
-        state.main.push(num_b - num_a);
+        state.main.push(symbolic.sub(num_b, num_a));
         return state;
       } catch(err) {
         return error(err, state);
@@ -1563,6 +2349,14 @@ function error(message, state) {
       }
     },
   
+    /** 
+    * OP_VER
+    * Fails the script when executed, a branch that is not taken may contain it
+    * @param {State} state
+    * @returns {State | StateError} 
+    */
+    "OP_VER": reservedOpcode("OP_VER"),
+  
     /** 
     * OP_VERIFY
     * checks if the top stack item is non zero. Removes if it's true otherwise script fails 
@@ -1579,9 +2373,8 @@ function error(message, state) {
       try {
         
         const val = state.main.pop();
-        const newVal  = to_number(val);
     
-        if (newVal === 0) {
+        if (!holds(val, state)) {
             return error("Verification failed", state);
         }
         return state;
@@ -1614,16 +2407,28 @@ function error(message, state) {
       const min = state.main.pop();
       const x = state.main.pop();
   
-      const  num_max = to_number(max);
-      const  num_min = to_number(min);
-      const num_x = to_number(x);
+      const  num_max = to_operand(max, state.context);
+      const  num_min = to_operand(min, state.context);
+      const num_x = to_operand(x, state.context);
   
-      state.main.push(num_x >= num_min && num_x < num_max ? 1 : 0);
+      state.main.push(symbolic.within(num_x, num_min, num_max));
       return state;
       } catch(err) {
         return error(err, state);
       }
     },
+  
+    /** 
+    * OP_XOR
+    * Bitwise XOR of two elements of the same size, part of the experimental profile
+    * @param {State} state
+    * @returns {State | StateError} 
+    * 
+    * pop [main] => x2
+    * pop [main] => x1 
+    * push (x1 ^ x2) => [main]
+    */
+    "OP_XOR": bitwiseOpcode("XOR", (x, y) => x ^ y),
   };
 
 /**
@@ -1653,9 +2458,32 @@ function error(message, state) {
         return state;
       };
     },
-    "OP_PUSHDATA": function(val) {
+    /** 
+    * OP_PUSHBYTES
+    * Literal numbers written in the script like 256 or 0xff 
+    * @param {Number} num
+    * @returns {(state: State) => State} 
+    */
+    "OP_PUSHBYTES": function(num) {
       return function(state) {
-        state.main.push(val);
+        state.main.push(num);
+        return state;
+      };
+    },
+    /** 
+    * OP_PUSHDATA
+    * Data pushes like <0x0102>, 0x0102, "text", OP_PUSHDATA1 0x0102 or <pubkey>
+    * @param {import('./scriptnum').Element} data
+    * @param {String} [pushOp] - the push opcode when written explicitly
+    * @returns {(state: State) => State | StateError} 
+    */
+    "OP_PUSHDATA": function(data, pushOp) {
+      return function(state) {
+        const minimal = isSymbolic(data) ? null : minimalPush(data, pushOp);
+        if (minimal !== null && state.context.flags.includes("MINIMALDATA")) {
+          return error(`Push of 0x${toHex(data)} is not minimal, use ${minimal} (MINIMALDATA)`, state);
+        }
+        state.main.push(data);
         return state;
       }
     }
@@ -1663,5 +2491,10 @@ function error(message, state) {
 
   module.exports = {
     opcodeList,
-    customOpcodeList
+    customOpcodeList,
+    conditionalOpcodes,
+    isExecuting,
+    isExperimentalEnabled,
+    disabledOpcode,
+    cloneState
   }
\ No newline at end of file
@@ -0,0 +1,205 @@
+const { enclosingItems } = require('./scanner');
+
+/**
+ * How a call finds the gadget it names when several modules of a workspace have one of that
+ * name, the way Rust resolves it: the gadget of its own module comes first, then the one its
+ * `use` items import. Modules are found from the paths of the files and their `mod` items.
+ *
+ * @typedef {import('./gadgets').Gadget} Gadget
+ * @typedef {import('./gadgets').GadgetIndex} GadgetIndex
+ *
+ * @typedef {Object} Import - a name a `use` item brings in, `use a::{b, c}` brings in two
+ * @property {String} module - like `bigint::add`, from the crate root or from another crate
+ * @property {String} name - or `*`
+ *
+ * @typedef {Object} Scope - where a call is, a gadget is the scope of the calls of its body
+ * @property {String} [file]
+ * @property {String} [module]
+ * @property {Import[]} [uses]
+ */
+
+/**
+ * The module of a file of a crate, from its path under `src/`
+ * @param {String} file - like `/crate/src/bigint/add.rs`
+ * @returns {String} - like `bigint::add`, empty for `lib.rs` and `main.rs`
+ */
+function fileModule(file) {
+    const normalized = file.replace(/\\/g, "/");
+    const root = normalized.lastIndexOf("/src/");
+    const segments = normalized.slice(root === -1 ? normalized.lastIndexOf("/") + 1 : root + "/src/".length).replace(/\.rs$/, "").split("/");
+    if (segments.length > 1 && segments[segments.length - 1] === "mod") {
+        segments.pop();
+    }
+    return segments.length === 1 && ["lib", "main"].includes(segments[0]) ? "" : segments.join("::");
+}
+
+/**
+ * @param {String} text - like `a, b::{c, d}`
+ * @returns {String[]}
+ */
+function splitList(text) {
+    const parts = [""];
+    let depth = 0;
+    for (const char of text) {
+        depth += char === "{" ? 1 : char === "}" ? -1 : 0;
+        if (char === "," && depth === 0) {
+            parts.push("");
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+    return parts.filter((part) => part !== "");
+}
+
+/**
+ * The names a `use` path brings in. Renamed ones are left out, a call names them by another name
+ * @param {String} path - like `crate::a::{b,c::*}`, spaces only around `as`
+ * @param {String} module - where the `use` item is, for `self` and `super`
+ * @returns {Import[]}
+ */
+function parseUse(path, module) {
+    const group = path.match(/^([^{]*)\{(.*)\}$/);
+    if (group !== null) {
+        return splitList(group[2]).flatMap((inner) => parseUse(group[1] + inner, module));
+    }
+    const segments = path.split("::").filter((segment) => segment !== "");
+    const name = segments.pop();
+    if (name === undefined || name === "self" || /\bas\b/.test(path)) {
+        return [];
+    }
+    let parent = module === "" ? [] : module.split("::");
+    if (segments[0] === "crate") {
+        segments.shift();
+        parent = [];
+    } else if (segments[0] === "self" || segments[0] === "super") {
+        if (segments.shift() === "super") {
+            parent.pop();
+        }
+        while (segments[0] === "super") {
+            segments.shift();
+            parent.pop();
+        }
+    } else {
+        // another crate, or a module of the crate root
+        parent = [];
+    }
+    return [{ module: [...parent, ...segments].join("::"), name }];
+}
+
+/**
+ * @param {import('./scanner').RustItem[]} items - of the file
+ * @param {Number} offset
+ * @param {String} base - module of the file
+ * @returns {String}
+ */
+function moduleAt(items, offset, base) {
+    const modules = enclosingItems(items, offset).filter((item) => item.kind === "mod").map((item) => item.name);
+    return [base, ...modules].filter((segment) => segment !== "").join("::");
+}
+
+/**
+ * Where a position of a Rust file is, for the calls written there
+ * @param {import('./scanner').RustItem[]} items - of the file
+ * @param {Number} offset
+ * @param {String} file
+ * @param {String} [base] - module of the file, from its path unless given
+ * @returns {Scope}
+ */
+function scopeAt(items, offset, file, base = fileModule(file)) {
+    const around = enclosingItems(items, offset);
+    // a `use` item is seen in the body it is written in
+    const uses = items.filter((item) => {
+        if (item.kind !== "use") {
+            return false;
+        }
+        const within = enclosingItems(items, item.start);
+        return within.length === 0 || around.includes(within[within.length - 1]);
+    });
+    return { file, module: moduleAt(items, offset, base), uses: uses.flatMap((item) => parseUse(item.name, moduleAt(items, item.start, base))) };
+}
+
+/**
+ * @param {Gadget} gadget
+ * @returns {String} - like `bigint::add::add`
+ */
+function qualifiedName(gadget) {
+    return gadget.module ? `${gadget.module}::${gadget.name}` : gadget.name;
+}
+
+/**
+ * @param {Gadget} gadget
+ * @returns {String} - what the index has it by, unique to the function
+ */
+function gadgetKey(gadget) {
+    return `${gadget.file || ""}#${qualifiedName(gadget)}`;
+}
+
+/**
+ * Whether a module a path names is a module of a gadget, the path may start with the crate
+ * @param {String} path - like `bitvm::bigint`
+ * @param {String} [module] - like `bigint`
+ * @returns {boolean}
+ */
+function namesModule(path, module = "") {
+    return path === module || (module !== "" && path.endsWith(`::${module}`));
+}
+
+/**
+ * The gadgets a call may be. The one of the module or file of the call comes first, then the
+ * one its `use` items import, then the only one of that name
+ * @param {GadgetIndex} index
+ * @param {String} name
+ * @param {Scope} [scope] - where the call is
+ * @param {String} [path] - of a call like `bigint::add(1)`, `bigint`
+ * @returns {Gadget[]} - several when the call is ambiguous, none when it isn't a gadget
+ */
+function resolveGadget(index, name, scope = {}, path = "") {
+    const candidates = [...index.values()].filter((gadget) => gadget.name === name);
+    if (path !== "") {
+        const imports = parseUse(`${path}::${name}`, scope.module || "");
+        return candidates.filter((gadget) => imports.some((imported) => namesModule(imported.module, gadget.module)));
+    }
+    const uses = (scope.uses || []).filter((imported) => imported.name === name || imported.name === "*");
+    const picks = [
+        (/** @type {Gadget} */ gadget) => scope.module !== undefined && gadget.module === scope.module,
+        (/** @type {Gadget} */ gadget) => gadget.file === scope.file,
+        (/** @type {Gadget} */ gadget) => uses.some((imported) => namesModule(imported.module, gadget.module))
+    ];
+    for (const pick of picks) {
+        const picked = candidates.filter(pick);
+        if (picked.length === 1) {
+            return picked;
+        }
+    }
+    return candidates;
+}
+
+/**
+ * The gadgets of a workspace, with the ones of the `cargo expand` output in place of the
+ * functions they expand
+ * @param {GadgetIndex} index
+ * @param {GadgetIndex} expanded
+ * @returns {GadgetIndex}
+ */
+function mergeGadgets(index, expanded) {
+    const merged = new Map(index);
+    const expansions = [...expanded.values()];
+    for (const [key, gadget] of index) {
+        if (expansions.some((expansion) => expansion.name === gadget.name && namesModule(gadget.module, expansion.module))) {
+            merged.delete(key);
+        }
+    }
+    for (const [key, gadget] of expanded) {
+        merged.set(key, gadget);
+    }
+    return merged;
+}
+
+module.exports = {
+    fileModule,
+    scopeAt,
+    qualifiedName,
+    gadgetKey,
+    resolveGadget,
+    mergeGadgets
+}
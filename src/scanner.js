@@ -0,0 +1,269 @@
+/**
+ * Finds the script blocks of a Rust file: the bodies of script macros like `script! { ... }`,
+ * regions between `// btc-script` and `// end-btc-script` comments, and block comments opened
+ * with `/* btc-script`. Braces are matched like the Rust lexer would, skipping strings, raw
+ * strings, char literals and comments, so `{ expr }` and loops inside a macro don't end it.
+ *
+ * @typedef {Object} ScriptBlock
+ * @property {"macro" | "comment"} kind
+ * @property {String} name - the macro, like `script!`, or the marker of the comment
+ * @property {Number} start - index where the block starts, its header is on the next line
+ * @property {Number} end - index of the closing `}`, of the end comment or of the `*\/`
+ *
+ * @typedef {Object} RustItem - a function, a module or a `use` item, found like the blocks are
+ * @property {"fn" | "mod" | "use"} kind
+ * @property {String} name - of the function or module, the path of a `use` like `a::{b,c as d}`
+ * @property {Number} start - index of its keyword
+ * @property {Number} open - index of the `{` of its body, -1 without one
+ * @property {Number} close - index of the `}` closing its body or of the `;` ending it
+ */
+
+/**
+ * Macros whose body is a script, unless the btc-script.macroNames setting says otherwise
+ */
+const DEFAULT_MACROS = ["script!", "bitcoin_script!", "scripts!"];
+
+const MARKER = "(?:start-|end-)?(?:bscript|btc-script|btcscript)(?:-start|-end)?\\b";
+const LINE_MARKER = new RegExp(`^//\\s*${MARKER}`);
+const BLOCK_MARKER = new RegExp(`^/\\*\\s*${MARKER}`);
+const RAW_STRING = /b?r(#*)"/y;
+const ITEM = /(fn|mod)\s+(\w+)|use\s+([^;]*);/y;
+
+/**
+ * @param {String} char
+ * @returns {boolean}
+ */
+function isIdentifierChar(char) {
+    return char !== undefined && /\w/.test(char);
+}
+
+/**
+ * Skips the comment, string or char literal starting at an index
+ * @param {String} text
+ * @param {Number} i
+ * @returns {Number} - the index after it, `i` itself when nothing starts there
+ */
+function skipLiteral(text, i) {
+    if (text.startsWith("//", i)) {
+        const newline = text.indexOf("\n", i);
+        return newline === -1 ? text.length : newline;
+    }
+    if (text.startsWith("/*", i)) {
+        // block comments nest in Rust
+        let depth = 0;
+        for (let j = i; j < text.length - 1; j++) {
+            if (text.startsWith("/*", j)) {
+                depth++;
+                j++;
+            } else if (text.startsWith("*/", j)) {
+                j++;
+                if (--depth === 0) {
+                    return j + 1;
+                }
+            }
+        }
+        return text.length;
+    }
+    if (text[i] === '"') {
+        for (let j = i + 1; j < text.length; j++) {
+            if (text[j] === "\\") {
+                j++;
+            } else if (text[j] === '"') {
+                return j + 1;
+            }
+        }
+        return text.length;
+    }
+    if ((text[i] === "r" || text[i] === "b") && !isIdentifierChar(text[i - 1])) {
+        RAW_STRING.lastIndex = i;
+        const raw = RAW_STRING.exec(text);
+        if (raw !== null) {
+            const close = text.indexOf(`"${raw[1]}`, i + raw[0].length);
+            return close === -1 ? text.length : close + 1 + raw[1].length;
+        }
+    }
+    if (text[i] === "'") {
+        // '\n', '\'' and '\u{1F600}' are chars, 'a' too but 'a alone is a lifetime
+        if (text[i + 1] === "\\") {
+            const close = text.indexOf("'", i + 3);
+            return close === -1 ? text.length : close + 1;
+        }
+        const char = text.codePointAt(i + 1);
+        const width = char !== undefined && char > 0xffff ? 2 : 1;
+        if (text[i + 1 + width] === "'") {
+            return i + 2 + width;
+        }
+    }
+    return i;
+}
+
+/**
+ * Where the brace opened at `open` is closed in some Rust source
+ * @param {String} text
+ * @param {Number} open - index of the `{`
+ * @returns {Number} - index of the `}`, -1 when it isn't closed
+ */
+function matchingBrace(text, open) {
+    let depth = 0;
+    let i = open;
+    while (i < text.length) {
+        const after = skipLiteral(text, i);
+        if (after !== i) {
+            i = after;
+            continue;
+        }
+        if (text[i] === "{") {
+            depth++;
+        } else if (text[i] === "}" && --depth === 0) {
+            return i;
+        }
+        i++;
+    }
+    return -1;
+}
+
+/**
+ * @param {String} text
+ * @param {String[]} [macros] - like `script!`
+ * @returns {ScriptBlock[]}
+ */
+function findScriptBlocks(text, macros = DEFAULT_MACROS) {
+    const names = macros.map((macro) => macro.replace(/!$/, ""));
+    /** @type {ScriptBlock[]} */
+    const blocks = [];
+    // the start comment of a block waiting for its end comment
+    let opened = null;
+    let i = 0;
+    while (i < text.length) {
+        if (text.startsWith("//", i)) {
+            const lineEnd = skipLiteral(text, i);
+            const marker = text.slice(i, lineEnd).match(LINE_MARKER);
+            if (marker !== null && opened !== null) {
+                blocks.push({ kind: "comment", name: opened.name, start: opened.start, end: i });
+                opened = null;
+            } else if (marker !== null && !/end/.test(marker[0])) {
+                opened = { name: marker[0].replace(/^\/\/\s*/, ""), start: i };
+            }
+            i = lineEnd;
+            continue;
+        }
+        if (opened !== null) {
+            // the script between the comments isn't Rust
+            i++;
+            continue;
+        }
+
+        const after = skipLiteral(text, i);
+        if (after !== i) {
+            const marker = text.slice(i, after).match(BLOCK_MARKER);
+            if (marker !== null && text.startsWith("*/", after - 2)) {
+                blocks.push({ kind: "comment", name: marker[0].replace(/^\/\*\s*/, ""), start: i, end: after - 2 });
+            }
+            i = after;
+            continue;
+        }
+
+        const word = isIdentifierChar(text[i - 1]) ? null : text.slice(i).match(/^\w+/);
+        if (word === null) {
+            i++;
+            continue;
+        }
+        const invocation = text.slice(i + word[0].length).match(/^!\s*\{/);
+        if (invocation !== null && names.includes(word[0])) {
+            const open = i + word[0].length + invocation[0].length - 1;
+            const close = matchingBrace(text, open);
+            if (close !== -1) {
+                blocks.push({ kind: "macro", name: `${word[0]}!`, start: i, end: close });
+                i = close + 1;
+                continue;
+            }
+        }
+        i += word[0].length;
+    }
+    return blocks;
+}
+
+/**
+ * Where the body of a function or module starts, after its name
+ * @param {String} text
+ * @param {Number} from
+ * @returns {Number} - index of the `{`, or of the `;` of an item without a body, -1 when there is neither
+ */
+function bodyStart(text, from) {
+    // the `;` of an array type like `[u8; 32]` doesn't end a signature
+    let depth = 0;
+    let i = from;
+    while (i < text.length) {
+        const after = skipLiteral(text, i);
+        if (after !== i) {
+            i = after;
+            continue;
+        }
+        if (text[i] === "(" || text[i] === "[") {
+            depth++;
+        } else if (text[i] === ")" || text[i] === "]") {
+            depth--;
+        } else if (text[i] === "{" || text[i] === "}" || (text[i] === ";" && depth <= 0)) {
+            return text[i] === "}" ? -1 : i;
+        }
+        i++;
+    }
+    return -1;
+}
+
+/**
+ * Finds the functions, modules and `use` items of a Rust file, the ones nested in others too
+ * @param {String} text
+ * @returns {RustItem[]} - in the order they start
+ */
+function findItems(text) {
+    /** @type {RustItem[]} */
+    const items = [];
+    let i = 0;
+    while (i < text.length) {
+        const after = skipLiteral(text, i);
+        if (after !== i) {
+            i = after;
+            continue;
+        }
+        ITEM.lastIndex = i;
+        const item = isIdentifierChar(text[i - 1]) ? null : ITEM.exec(text);
+        if (item === null) {
+            i++;
+            continue;
+        }
+        if (item[3] !== undefined) {
+            items.push({ kind: "use", name: item[3].replace(/\s+/g, " ").replace(/ ?([:{},]) ?/g, "$1").trim(), start: i, open: -1, close: i + item[0].length - 1 });
+            i += item[0].length;
+            continue;
+        }
+        const end = bodyStart(text, i + item[0].length);
+        if (end !== -1) {
+            const open = text[end] === "{" ? end : -1;
+            const close = open === -1 ? end : matchingBrace(text, open);
+            // the items of its body are found as the scan goes on
+            items.push({ kind: /** @type {"fn" | "mod"} */ (item[1]), name: item[2], start: i, open, close: close === -1 ? text.length : close });
+        }
+        i += item[0].length;
+    }
+    return items;
+}
+
+/**
+ * The functions and modules whose body a position is in
+ * @param {RustItem[]} items
+ * @param {Number} offset
+ * @returns {RustItem[]} - the outermost first
+ */
+function enclosingItems(items, offset) {
+    return items.filter((item) => item.open !== -1 && item.open < offset && offset <= item.close);
+}
+
+module.exports = {
+    DEFAULT_MACROS,
+    skipLiteral,
+    matchingBrace,
+    findScriptBlocks,
+    findItems,
+    enclosingItems
+}
@@ -0,0 +1,291 @@
+const { ResultException } = require('./utils');
+const { Sym, isSym } = require('./symbolic');
+
+/**
+ * Stack elements are byte arrays, exactly like in Bitcoin. Numbers use the
+ * minimal little-endian sign-magnitude encoding (CScriptNum), so 0 is the empty
+ * array, -1 is 0x81 and 128 is 0x8000.
+ *
+ * Items of the `[A, B]` header that are not numbers stay symbolic, see ./symbolic.
+ *
+ * @typedef {Uint8Array | Sym} Element
+ */
+
+/**
+ * Largest operand in bytes the arithmetic opcodes accept
+ */
+const MAX_NUM_SIZE = 4;
+
+/**
+ * Toy mode lets numbers grow as long as they stay exact JS integers
+ */
+const TOY_MAX_NUM_SIZE = 6;
+
+/**
+ * Is the element a symbolic placeholder instead of concrete bytes
+ * @param {any} elem
+ * @returns {boolean}
+ */
+function isSymbolic(elem) {
+    return isSym(elem);
+}
+
+/**
+ * Encode a number with the minimal CScriptNum encoding. Results of OP_MUL and the shifts
+ * can be larger than a JS number holds exactly, so bigints are accepted as well
+ * @param {Number | bigint} num
+ * @returns {Uint8Array}
+ */
+function encodeNum(num) {
+    if (num == 0) {
+        return new Uint8Array(0);
+    }
+
+    const negative = num < 0;
+    let abs = BigInt(negative ? -num : num);
+    const bytes = [];
+    while (abs > 0n) {
+        bytes.push(Number(abs & 0xffn));
+        abs >>= 8n;
+    }
+
+    // the most significant bit carries the sign, so add a byte when it is already used
+    if (bytes[bytes.length - 1] & 0x80) {
+        bytes.push(negative ? 0x80 : 0x00);
+    } else if (negative) {
+        bytes[bytes.length - 1] |= 0x80;
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Is the byte array a minimally encoded CScriptNum
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isMinimalNum(bytes) {
+    if (bytes.length === 0) {
+        return true;
+    }
+    // the last byte may only be 0x00 or 0x80 if the byte before needs its sign bit
+    if ((bytes[bytes.length - 1] & 0x7f) === 0) {
+        return bytes.length > 1 && (bytes[bytes.length - 2] & 0x80) !== 0;
+    }
+    return true;
+}
+
+/**
+ * Strip the padding of a number of any length, keeping its sign (MinimallyEncode of Bitcoin Cash)
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function minimallyEncode(bytes) {
+    if (isMinimalNum(bytes)) {
+        return bytes;
+    }
+    const last = bytes[bytes.length - 1];
+    for (let i = bytes.length - 1; i > 0; i--) {
+        if (bytes[i - 1] !== 0) {
+            // a byte with its sign bit set needs one more byte for the sign
+            if (bytes[i - 1] & 0x80) {
+                return Uint8Array.from([...bytes.subarray(0, i), last]);
+            }
+            return Uint8Array.from([...bytes.subarray(0, i - 1), bytes[i - 1] | last]);
+        }
+    }
+    return new Uint8Array(0);
+}
+
+/**
+ * Decode a CScriptNum. Negative zero decodes to 0.
+ * @param {Uint8Array} bytes
+ * @param {Number} [maxSize] - operand limit in bytes, 4 for arithmetic opcodes
+ * @param {boolean} [requireMinimal]
+ * @throws {ResultException}
+ * @returns {Number}
+ */
+function decodeNum(bytes, maxSize = MAX_NUM_SIZE, requireMinimal = false) {
+    if (bytes.length > maxSize) {
+        throw new ResultException(`Script number overflow: ${bytes.length} bytes is more than ${maxSize}`);
+    }
+    if (requireMinimal && !isMinimalNum(bytes)) {
+        throw new ResultException("Non-minimally encoded script number");
+    }
+    if (bytes.length === 0) {
+        return 0;
+    }
+
+    let result = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result += bytes[i] * Math.pow(256, i);
+    }
+
+    const last = bytes[bytes.length - 1];
+    if (last & 0x80) {
+        result -= 0x80 * Math.pow(256, bytes.length - 1);
+        return result === 0 ? 0 : -result;
+    }
+    return result;
+}
+
+/**
+ * Interpret a stack element as a number operand. Real mode applies the 4 byte limit and
+ * requires minimal encoding, toy mode accepts any encoding of up to 6 bytes
+ * @param {any} value
+ * @param {{mode: String}} [context]
+ * @param {Number} [maxNumSize] - real mode limit, the timelock opcodes accept 5 bytes
+ * @throws {ResultException}
+ * @returns {Number}
+ */
+function to_number(value, context, maxNumSize = MAX_NUM_SIZE) {
+    if (value instanceof Uint8Array) {
+        if (context && context.mode === "toy") {
+            return decodeNum(value, TOY_MAX_NUM_SIZE);
+        }
+        return decodeNum(value, maxNumSize, true);
+    }
+    if (typeof value === "number") {
+        return value;
+    }
+    throw new ResultException(`Invalid number: ${formatElement(value)} is symbolic`);
+}
+
+/**
+ * Interpret a stack element as a number operand that may be symbolic, for the
+ * opcodes that can build expressions
+ * @param {any} value
+ * @param {{mode: String}} [context]
+ * @param {Number} [maxNumSize]
+ * @throws {ResultException}
+ * @returns {import('./symbolic').Operand}
+ */
+function to_operand(value, context, maxNumSize = MAX_NUM_SIZE) {
+    return isSymbolic(value) ? value : to_number(value, context, maxNumSize);
+}
+
+/**
+ * Interpret a stack element as a boolean. Any non zero byte is true,
+ * except for negative zero
+ * @param {any} value
+ * @throws {ResultException}
+ * @returns {boolean}
+ */
+function cast_to_bool(value) {
+    if (!(value instanceof Uint8Array)) {
+        return to_number(value) !== 0;
+    }
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] !== 0) {
+            return !(i === value.length - 1 && value[i] === 0x80);
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+function toHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * @param {String} hex - without the 0x prefix
+ * @returns {Uint8Array}
+ */
+function fromHex(hex) {
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new ResultException(`Invalid hex: ${hex}`);
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Convert whatever is pushed to the stack into an element. JS numbers are encoded as
+ * script numbers, byte arrays and symbols are kept as is.
+ * @param {any} val
+ * @returns {Element}
+ */
+function toElement(val) {
+    if (typeof val === "number" || typeof val === "bigint") {
+        return encodeNum(val);
+    }
+    if (typeof val === "boolean") {
+        return encodeNum(val ? 1 : 0);
+    }
+    return val;
+}
+
+/**
+ * Parse an item written in the `[A, B]` header. Numbers become script numbers, hex
+ * becomes raw bytes and everything else is a symbol
+ * @param {String} item
+ * @returns {Element}
+ */
+function parseElement(item) {
+    if (/^-?\d+$/.test(item)) {
+        return encodeNum(BigInt(item));
+    }
+    // hex is taken as the bytes of a witness item, e.g. a pubkey or a preimage
+    if (/^0[xX]([0-9a-fA-F]{2})+$/.test(item)) {
+        return fromHex(item.slice(2));
+    }
+    return Sym.atom(item);
+}
+
+/**
+ * Readable form of an element. Minimally encoded numbers are shown as decimals while
+ * they fit a number operand, 4 bytes or 6 in toy mode, any other bytes as hex
+ * @param {any} elem
+ * @param {{mode: String}} [context]
+ * @returns {String}
+ */
+function formatElement(elem, context) {
+    const maxNumSize = context && context.mode === "toy" ? TOY_MAX_NUM_SIZE : MAX_NUM_SIZE;
+    if (elem instanceof Uint8Array) {
+        if (elem.length <= maxNumSize && isMinimalNum(elem)) {
+            return String(decodeNum(elem, maxNumSize));
+        }
+        return `0x${toHex(elem)}`;
+    }
+    return String(elem);
+}
+
+/**
+ * Byte-wise equality, symbols are equal only to the same expression
+ * @param {Element} a
+ * @param {Element} b
+ * @returns {boolean}
+ */
+function equalElements(a, b) {
+    if (a instanceof Uint8Array && b instanceof Uint8Array) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+    if (isSymbolic(a) && isSymbolic(b)) {
+        return String(a) === String(b);
+    }
+    return false;
+}
+
+module.exports = {
+    MAX_NUM_SIZE,
+    isSymbolic,
+    encodeNum,
+    decodeNum,
+    isMinimalNum,
+    minimallyEncode,
+    to_number,
+    to_operand,
+    cast_to_bool,
+    toHex,
+    fromHex,
+    toElement,
+    parseElement,
+    formatElement,
+    equalElements
+}
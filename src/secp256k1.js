@@ -0,0 +1,369 @@
+const { sha256 } = require('./hash');
+
+/**
+ * Minimal secp256k1 for signature verification: ECDSA as used by legacy and
+ * segwit v0 scripts and BIP-340 Schnorr as used by tapscript. Only verification
+ * is needed, so nothing here has to be constant time.
+ */
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+/**
+ * @typedef {Object} Point - affine point, null is the point at infinity
+ * @property {bigint} x
+ * @property {bigint} y
+ *
+ * @typedef {Object} JacobianPoint
+ * @property {bigint} X
+ * @property {bigint} Y
+ * @property {bigint} Z - 0 for the point at infinity
+ */
+
+/**
+ * @param {bigint} a
+ * @param {bigint} [m]
+ * @returns {bigint}
+ */
+function mod(a, m = P) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+}
+
+/**
+ * @param {bigint} base
+ * @param {bigint} exp
+ * @param {bigint} [m]
+ * @returns {bigint}
+ */
+function modPow(base, exp, m = P) {
+    let result = 1n;
+    base = mod(base, m);
+    while (exp > 0n) {
+        if (exp & 1n) {
+            result = (result * base) % m;
+        }
+        base = (base * base) % m;
+        exp >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * Modular inverse with the extended euclidean algorithm
+ * @param {bigint} a
+ * @param {bigint} [m]
+ * @returns {bigint}
+ */
+function invert(a, m = P) {
+    let [oldR, r] = [mod(a, m), m];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+        const q = oldR / r;
+        [oldR, r] = [r, oldR - q * r];
+        [oldS, s] = [s, oldS - q * s];
+    }
+    return mod(oldS, m);
+}
+
+/**
+ * @param {Uint8Array} bytes - big endian
+ * @returns {bigint}
+ */
+function bytesToBigInt(bytes) {
+    let result = 0n;
+    for (const byte of bytes) {
+        result = (result << 8n) | BigInt(byte);
+    }
+    return result;
+}
+
+/**
+ * @param {bigint} num
+ * @returns {Uint8Array} - 32 bytes big endian
+ */
+function bigIntToBytes(num) {
+    const bytes = new Uint8Array(32);
+    for (let i = 31; i >= 0; i--) {
+        bytes[i] = Number(num & 0xffn);
+        num >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * @param {JacobianPoint} p
+ * @returns {JacobianPoint}
+ */
+function jacobianDouble(p) {
+    if (p.Z === 0n || p.Y === 0n) {
+        return { X: 0n, Y: 1n, Z: 0n };
+    }
+    const A = mod(p.X * p.X);
+    const B = mod(p.Y * p.Y);
+    const C = mod(B * B);
+    const D = mod(2n * (mod((p.X + B) * (p.X + B)) - A - C));
+    const E = mod(3n * A);
+    const F = mod(E * E);
+    const X3 = mod(F - 2n * D);
+    const Y3 = mod(E * (D - X3) - 8n * C);
+    const Z3 = mod(2n * p.Y * p.Z);
+    return { X: X3, Y: Y3, Z: Z3 };
+}
+
+/**
+ * @param {JacobianPoint} p
+ * @param {JacobianPoint} q
+ * @returns {JacobianPoint}
+ */
+function jacobianAdd(p, q) {
+    if (p.Z === 0n) return q;
+    if (q.Z === 0n) return p;
+
+    const Z1Z1 = mod(p.Z * p.Z);
+    const Z2Z2 = mod(q.Z * q.Z);
+    const U1 = mod(p.X * Z2Z2);
+    const U2 = mod(q.X * Z1Z1);
+    const S1 = mod(p.Y * q.Z * Z2Z2);
+    const S2 = mod(q.Y * p.Z * Z1Z1);
+    const H = mod(U2 - U1);
+    const r = mod(S2 - S1);
+
+    if (H === 0n) {
+        return r === 0n ? jacobianDouble(p) : { X: 0n, Y: 1n, Z: 0n };
+    }
+
+    const HH = mod(H * H);
+    const HHH = mod(H * HH);
+    const V = mod(U1 * HH);
+    const X3 = mod(r * r - HHH - 2n * V);
+    const Y3 = mod(r * (V - X3) - S1 * HHH);
+    const Z3 = mod(p.Z * q.Z * H);
+    return { X: X3, Y: Y3, Z: Z3 };
+}
+
+/**
+ * @param {Point} point
+ * @returns {JacobianPoint}
+ */
+function toJacobian(point) {
+    return point === null ? { X: 0n, Y: 1n, Z: 0n } : { X: point.x, Y: point.y, Z: 1n };
+}
+
+/**
+ * @param {JacobianPoint} p
+ * @returns {Point | null}
+ */
+function toAffine(p) {
+    if (p.Z === 0n) {
+        return null;
+    }
+    const zInv = invert(p.Z);
+    const zInv2 = mod(zInv * zInv);
+    return { x: mod(p.X * zInv2), y: mod(p.Y * zInv2 * zInv) };
+}
+
+/**
+ * @param {bigint} k
+ * @param {Point} point
+ * @returns {JacobianPoint}
+ */
+function multiply(k, point) {
+    let result = { X: 0n, Y: 1n, Z: 0n };
+    let addend = toJacobian(point);
+    while (k > 0n) {
+        if (k & 1n) {
+            result = jacobianAdd(result, addend);
+        }
+        addend = jacobianDouble(addend);
+        k >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * k1 * G + k2 * Q
+ * @param {bigint} k1
+ * @param {bigint} k2
+ * @param {Point} Q
+ * @returns {Point | null}
+ */
+function linearCombination(k1, k2, Q) {
+    return toAffine(jacobianAdd(multiply(k1, G), multiply(k2, Q)));
+}
+
+/**
+ * @param {Point} point
+ * @returns {boolean}
+ */
+function isOnCurve(point) {
+    return mod(point.y * point.y - point.x * point.x * point.x - 7n) === 0n;
+}
+
+/**
+ * Point with the given x coordinate and an even y, as in BIP-340
+ * @param {bigint} x
+ * @returns {Point | null}
+ */
+function liftX(x) {
+    if (x >= P) {
+        return null;
+    }
+    const c = mod(x * x * x + 7n);
+    const y = modPow(c, (P + 1n) / 4n);
+    if (mod(y * y) !== c) {
+        return null;
+    }
+    return { x, y: (y & 1n) === 0n ? y : P - y };
+}
+
+/**
+ * Decode a compressed (33 bytes) or uncompressed (65 bytes) public key
+ * @param {Uint8Array} bytes
+ * @returns {Point | null} - null if it is not a point on the curve
+ */
+function decodePublicKey(bytes) {
+    if (bytes.length === 33 && (bytes[0] === 0x02 || bytes[0] === 0x03)) {
+        const point = liftX(bytesToBigInt(bytes.subarray(1)));
+        if (point === null) {
+            return null;
+        }
+        const odd = bytes[0] === 0x03;
+        return ((point.y & 1n) === 1n) === odd ? point : { x: point.x, y: P - point.y };
+    }
+    if (bytes.length === 65 && bytes[0] === 0x04) {
+        const point = { x: bytesToBigInt(bytes.subarray(1, 33)), y: bytesToBigInt(bytes.subarray(33)) };
+        return point.x < P && point.y < P && isOnCurve(point) ? point : null;
+    }
+    return null;
+}
+
+/**
+ * Strict DER check from BIP-66, the signature includes the trailing hashtype byte
+ * @param {Uint8Array} sig
+ * @returns {boolean}
+ */
+function isValidSignatureEncoding(sig) {
+    // 0x30 [total-length] 0x02 [R-length] [R] 0x02 [S-length] [S] [sighash]
+    if (sig.length < 9 || sig.length > 73) return false;
+    if (sig[0] !== 0x30) return false;
+    if (sig[1] !== sig.length - 3) return false;
+
+    const lenR = sig[3];
+    if (5 + lenR >= sig.length) return false;
+    const lenS = sig[5 + lenR];
+    if (lenR + lenS + 7 !== sig.length) return false;
+
+    if (sig[2] !== 0x02) return false;
+    if (lenR === 0) return false;
+    if (sig[4] & 0x80) return false;
+    if (lenR > 1 && sig[4] === 0x00 && !(sig[5] & 0x80)) return false;
+
+    if (sig[lenR + 4] !== 0x02) return false;
+    if (lenS === 0) return false;
+    if (sig[lenR + 6] & 0x80) return false;
+    if (lenS > 1 && sig[lenR + 6] === 0x00 && !(sig[lenR + 7] & 0x80)) return false;
+
+    return true;
+}
+
+/**
+ * Read r and s from a strictly encoded DER signature without the hashtype byte
+ * @param {Uint8Array} der
+ * @returns {{r: bigint, s: bigint}}
+ */
+function parseDER(der) {
+    const lenR = der[3];
+    const r = bytesToBigInt(der.subarray(4, 4 + lenR));
+    const lenS = der[5 + lenR];
+    const s = bytesToBigInt(der.subarray(6 + lenR, 6 + lenR + lenS));
+    return { r, s };
+}
+
+/**
+ * Is S in the lower half of the order, as required by the LOW_S policy
+ * @param {Uint8Array} der
+ * @returns {boolean}
+ */
+function isLowS(der) {
+    return parseDER(der).s <= N / 2n;
+}
+
+/**
+ * @param {Uint8Array} msg - 32 byte message hash
+ * @param {Uint8Array} der - DER signature without hashtype
+ * @param {Point} publicKey
+ * @returns {boolean}
+ */
+function ecdsaVerify(msg, der, publicKey) {
+    const { r, s } = parseDER(der);
+    if (r <= 0n || r >= N || s <= 0n || s >= N) {
+        return false;
+    }
+    const z = mod(bytesToBigInt(msg), N);
+    const w = invert(s, N);
+    const R = linearCombination(mod(z * w, N), mod(r * w, N), publicKey);
+    return R !== null && mod(R.x, N) === r;
+}
+
+/**
+ * BIP-340 tagged hash, SHA256(SHA256(tag) || SHA256(tag) || data)
+ * @param {String} tag
+ * @param {...Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function taggedHash(tag, ...data) {
+    const tagHash = sha256(new TextEncoder().encode(tag));
+    const length = data.reduce((sum, part) => sum + part.length, 64);
+    const buf = new Uint8Array(length);
+    buf.set(tagHash, 0);
+    buf.set(tagHash, 32);
+    let offset = 64;
+    for (const part of data) {
+        buf.set(part, offset);
+        offset += part.length;
+    }
+    return sha256(buf);
+}
+
+/**
+ * BIP-340 verification
+ * @param {Uint8Array} msg - 32 byte message
+ * @param {Uint8Array} publicKey - 32 byte x-only key
+ * @param {Uint8Array} sig - 64 bytes
+ * @returns {boolean}
+ */
+function schnorrVerify(msg, publicKey, sig) {
+    const point = liftX(bytesToBigInt(publicKey));
+    if (point === null) {
+        return false;
+    }
+    const r = bytesToBigInt(sig.subarray(0, 32));
+    const s = bytesToBigInt(sig.subarray(32, 64));
+    if (r >= P || s >= N) {
+        return false;
+    }
+    const e = mod(bytesToBigInt(taggedHash("BIP0340/challenge", sig.subarray(0, 32), publicKey, msg)), N);
+    const R = linearCombination(s, mod(N - e, N), point);
+    return R !== null && (R.y & 1n) === 0n && R.x === r;
+}
+
+module.exports = {
+    N,
+    G,
+    multiply,
+    toAffine,
+    liftX,
+    bytesToBigInt,
+    bigIntToBytes,
+    decodePublicKey,
+    isValidSignatureEncoding,
+    isLowS,
+    ecdsaVerify,
+    schnorrVerify,
+    taggedHash
+}
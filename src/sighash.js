@@ -0,0 +1,239 @@
+const { sha256, hash256 } = require('./hash');
+const { taggedHash } = require('./secp256k1');
+const { parseScript } = require('./assembler');
+const { ByteWriter } = require('./transaction');
+const { ResultException } = require('./utils');
+
+/**
+ * Signature hashes for the three signature versions: the original algorithm for legacy
+ * scripts, BIP-143 for segwit v0 and BIP-341/342 for tapscript.
+ *
+ * @typedef {import('./transaction').Transaction} Transaction
+ */
+
+const SIGHASH_ALL = 0x01;
+const SIGHASH_NONE = 0x02;
+const SIGHASH_SINGLE = 0x03;
+const SIGHASH_ANYONECANPAY = 0x80;
+
+const TAPSCRIPT_LEAF_VERSION = 0xc0;
+
+/**
+ * @param {ByteWriter} writer
+ * @param {import('./transaction').TxInput} input
+ */
+function writeOutpoint(writer, input) {
+    writer.raw(input.txid).u32(input.vout);
+}
+
+/**
+ * @param {ByteWriter} writer
+ * @param {import('./transaction').TxOutput} output
+ */
+function writeOutput(writer, output) {
+    writer.u64(output.amount).varbytes(output.scriptPubKey);
+}
+
+/**
+ * Legacy scripts don't commit to OP_CODESEPARATORs in the script code
+ * @param {Uint8Array} scriptCode
+ * @returns {Uint8Array}
+ */
+function removeCodeSeparators(scriptCode) {
+    const kept = [];
+    for (const op of parseScript(scriptCode)) {
+        if (op.opcode !== 0xab) {
+            kept.push(...scriptCode.subarray(op.start, op.end));
+        }
+    }
+    return Uint8Array.from(kept);
+}
+
+/**
+ * Original signature hash. The script code must already have the signature removed.
+ * @param {Transaction} tx
+ * @param {Uint8Array} scriptCode
+ * @param {Number} hashType
+ * @returns {Uint8Array}
+ */
+function legacySighash(tx, scriptCode, hashType) {
+    const nIn = tx.inputIndex;
+    const base = hashType & 0x1f;
+    const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+
+    // the well known SIGHASH_SINGLE bug: signing an input without a matching output signs the number one
+    if (base === SIGHASH_SINGLE && nIn >= tx.outputs.length) {
+        const one = new Uint8Array(32);
+        one[0] = 1;
+        return one;
+    }
+
+    const writer = new ByteWriter();
+    writer.u32(tx.version);
+
+    const inputs = anyoneCanPay ? [nIn] : tx.inputs.map((_, i) => i);
+    writer.varint(inputs.length);
+    for (const i of inputs) {
+        const input = tx.inputs[i];
+        writeOutpoint(writer, input);
+        writer.varbytes(i === nIn ? removeCodeSeparators(scriptCode) : new Uint8Array(0));
+        const zeroSequence = i !== nIn && (base === SIGHASH_NONE || base === SIGHASH_SINGLE);
+        writer.u32(zeroSequence ? 0 : input.sequence);
+    }
+
+    if (base === SIGHASH_NONE) {
+        writer.varint(0);
+    } else if (base === SIGHASH_SINGLE) {
+        writer.varint(nIn + 1);
+        for (let i = 0; i < nIn; i++) {
+            writer.u64(0xffffffffffffffffn).varint(0);
+        }
+        writeOutput(writer, tx.outputs[nIn]);
+    } else {
+        writer.varint(tx.outputs.length);
+        tx.outputs.forEach((output) => writeOutput(writer, output));
+    }
+
+    writer.u32(tx.locktime).u32(hashType);
+    return hash256(writer.toBytes());
+}
+
+/**
+ * BIP-143 signature hash for segwit v0
+ * @param {Transaction} tx
+ * @param {Uint8Array} scriptCode
+ * @param {Number} hashType
+ * @returns {Uint8Array}
+ */
+function segwitV0Sighash(tx, scriptCode, hashType) {
+    const nIn = tx.inputIndex;
+    const input = tx.inputs[nIn];
+    const base = hashType & 0x1f;
+    const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+    const zero = new Uint8Array(32);
+
+    let hashPrevouts = zero;
+    if (!anyoneCanPay) {
+        const writer = new ByteWriter();
+        tx.inputs.forEach((txIn) => writeOutpoint(writer, txIn));
+        hashPrevouts = hash256(writer.toBytes());
+    }
+
+    let hashSequence = zero;
+    if (!anyoneCanPay && base !== SIGHASH_SINGLE && base !== SIGHASH_NONE) {
+        const writer = new ByteWriter();
+        tx.inputs.forEach((txIn) => writer.u32(txIn.sequence));
+        hashSequence = hash256(writer.toBytes());
+    }
+
+    let hashOutputs = zero;
+    if (base !== SIGHASH_SINGLE && base !== SIGHASH_NONE) {
+        const writer = new ByteWriter();
+        tx.outputs.forEach((output) => writeOutput(writer, output));
+        hashOutputs = hash256(writer.toBytes());
+    } else if (base === SIGHASH_SINGLE && nIn < tx.outputs.length) {
+        const writer = new ByteWriter();
+        writeOutput(writer, tx.outputs[nIn]);
+        hashOutputs = hash256(writer.toBytes());
+    }
+
+    const writer = new ByteWriter();
+    writer.u32(tx.version).raw(hashPrevouts).raw(hashSequence);
+    writeOutpoint(writer, input);
+    writer.varbytes(scriptCode).u64(input.amount).u32(input.sequence);
+    writer.raw(hashOutputs).u32(tx.locktime).u32(hashType);
+    return hash256(writer.toBytes());
+}
+
+/**
+ * Leaf hash of a tapscript, committed to by the signature
+ * @param {Uint8Array} script
+ * @returns {Uint8Array}
+ */
+function tapleafHash(script) {
+    const writer = new ByteWriter();
+    writer.u8(TAPSCRIPT_LEAF_VERSION).varbytes(script);
+    return taggedHash("TapLeaf", writer.toBytes());
+}
+
+/**
+ * BIP-341 signature hash with the BIP-342 tapscript extension. No annex is supported.
+ * @param {Transaction} tx
+ * @param {Number} hashType - 0x00 is SIGHASH_DEFAULT
+ * @param {Uint8Array | null} leafHash - null for a key path spend, which has no extension
+ * @param {Number} [codeSeparatorPos] - opcode position of the last executed OP_CODESEPARATOR, 0xffffffff if none
+ * @throws {ResultException}
+ * @returns {Uint8Array}
+ */
+function tapscriptSighash(tx, hashType, leafHash, codeSeparatorPos) {
+    const nIn = tx.inputIndex;
+    const input = tx.inputs[nIn];
+    const outputType = hashType === 0x00 ? SIGHASH_ALL : hashType & 0x03;
+    const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+
+    if (outputType === SIGHASH_SINGLE && nIn >= tx.outputs.length) {
+        throw new ResultException(`SIGHASH_SINGLE without an output for input ${nIn}`);
+    }
+
+    const writer = new ByteWriter();
+    // epoch
+    writer.u8(0x00);
+    writer.u8(hashType).u32(tx.version).u32(tx.locktime);
+
+    if (!anyoneCanPay) {
+        const prevouts = new ByteWriter();
+        const amounts = new ByteWriter();
+        const scriptPubKeys = new ByteWriter();
+        const sequences = new ByteWriter();
+        for (const txIn of tx.inputs) {
+            writeOutpoint(prevouts, txIn);
+            amounts.u64(txIn.amount);
+            scriptPubKeys.varbytes(txIn.scriptPubKey);
+            sequences.u32(txIn.sequence);
+        }
+        writer.raw(sha256(prevouts.toBytes()));
+        writer.raw(sha256(amounts.toBytes()));
+        writer.raw(sha256(scriptPubKeys.toBytes()));
+        writer.raw(sha256(sequences.toBytes()));
+    }
+
+    if (outputType !== SIGHASH_NONE && outputType !== SIGHASH_SINGLE) {
+        const outputs = new ByteWriter();
+        tx.outputs.forEach((output) => writeOutput(outputs, output));
+        writer.raw(sha256(outputs.toBytes()));
+    }
+
+    // spend type: script path (ext_flag 1) or key path, without annex
+    writer.u8(leafHash === null ? 0x00 : 0x02);
+
+    if (anyoneCanPay) {
+        writeOutpoint(writer, input);
+        writer.u64(input.amount).varbytes(input.scriptPubKey).u32(input.sequence);
+    } else {
+        writer.u32(nIn);
+    }
+
+    if (outputType === SIGHASH_SINGLE) {
+        const output = new ByteWriter();
+        writeOutput(output, tx.outputs[nIn]);
+        writer.raw(sha256(output.toBytes()));
+    }
+
+    if (leafHash !== null) {
+        // tapscript extension: leaf hash, key version and code separator position
+        writer.raw(leafHash).u8(0x00).u32(codeSeparatorPos);
+    }
+
+    return taggedHash("TapSighash", writer.toBytes());
+}
+
+module.exports = {
+    SIGHASH_ALL,
+    SIGHASH_NONE,
+    SIGHASH_SINGLE,
+    SIGHASH_ANYONECANPAY,
+    legacySighash,
+    segwitV0Sighash,
+    tapleafHash,
+    tapscriptSighash
+}
@@ -0,0 +1,120 @@
+const secp256k1 = require('./secp256k1');
+const { legacySighash, segwitV0Sighash, tapleafHash, tapscriptSighash } = require('./sighash');
+const { findAndDelete } = require('./assembler');
+const { toHex } = require('./scriptnum');
+const { requireTransaction } = require('./transaction');
+const { ResultException } = require('./utils');
+
+/**
+ * Signature checks of the OP_CHECKSIG family in real mode. Badly encoded signatures, keys
+ * and hashtypes fail the script right away with the reason. A signature that is well formed
+ * but doesn't verify simply checks as false, the opcodes decide whether that fails the script.
+ *
+ * @typedef {import('./opcodes').Context} Context
+ */
+
+/**
+ * @param {Number} hashType
+ * @returns {boolean}
+ */
+function isDefinedHashType(hashType) {
+    const base = hashType & ~0x80;
+    return base >= 0x01 && base <= 0x03;
+}
+
+/**
+ * ECDSA check for legacy and segwit v0 scripts
+ * @param {Uint8Array} sig - DER signature followed by the hashtype byte
+ * @param {Uint8Array} pubkey
+ * @param {Context} context
+ * @returns {boolean}
+ */
+function checkEcdsaSignature(sig, pubkey, context) {
+    if (sig.length === 0) {
+        return false;
+    }
+    if (!secp256k1.isValidSignatureEncoding(sig)) {
+        throw new ResultException("Signature is not strict DER encoded");
+    }
+
+    const der = sig.subarray(0, sig.length - 1);
+    const hashType = sig[sig.length - 1];
+    if (!secp256k1.isLowS(der)) {
+        throw new ResultException("Signature S value is unnecessarily high (LOW_S)");
+    }
+    if (!isDefinedHashType(hashType)) {
+        throw new ResultException(`Invalid signature hashtype 0x${hashType.toString(16).padStart(2, "0")}`);
+    }
+
+    if (context.sigversion === "segwitv0" && !(pubkey.length === 33 && (pubkey[0] === 0x02 || pubkey[0] === 0x03))) {
+        throw new ResultException("Segwit v0 scripts only accept compressed public keys");
+    }
+    const point = secp256k1.decodePublicKey(pubkey);
+    if (point === null) {
+        throw new ResultException(`Invalid public key 0x${toHex(pubkey)}`);
+    }
+
+    const tx = requireTransaction(context, "Signature checks");
+    const scriptCode = context.script.subarray(context.scriptCodeStart);
+    const msg = context.sigversion === "segwitv0"
+        ? segwitV0Sighash(tx, scriptCode, hashType)
+        : legacySighash(tx, findAndDelete(scriptCode, sig), hashType);
+
+    return secp256k1.ecdsaVerify(msg, der, point);
+}
+
+/**
+ * BIP-340 check for tapscript, following the BIP-342 rules for key and signature sizes
+ * @param {Uint8Array} sig - 64 bytes, or 65 with an explicit hashtype
+ * @param {Uint8Array} pubkey
+ * @param {Context} context
+ * @returns {boolean}
+ */
+function checkSchnorrSignature(sig, pubkey, context) {
+    if (pubkey.length === 0) {
+        throw new ResultException("Empty public key in tapscript");
+    }
+    if (sig.length === 0) {
+        return false;
+    }
+    if (pubkey.length !== 32) {
+        // unknown public key types are left for future soft forks and succeed
+        return true;
+    }
+
+    let hashType = 0x00;
+    if (sig.length === 65) {
+        hashType = sig[64];
+        if (hashType === 0x00) {
+            throw new ResultException("65 byte Schnorr signature must not use SIGHASH_DEFAULT");
+        }
+        if (!isDefinedHashType(hashType)) {
+            throw new ResultException(`Invalid signature hashtype 0x${hashType.toString(16).padStart(2, "0")}`);
+        }
+    } else if (sig.length !== 64) {
+        throw new ResultException(`Invalid Schnorr signature size: ${sig.length} bytes`);
+    }
+
+    const tx = requireTransaction(context, "Signature checks");
+    const msg = tapscriptSighash(tx, hashType, tapleafHash(context.script), context.codeSeparatorPos);
+    return secp256k1.schnorrVerify(msg, pubkey, sig.subarray(0, 64));
+}
+
+/**
+ * Verify a signature against a public key and the transaction of the context
+ * @param {Uint8Array} sig
+ * @param {Uint8Array} pubkey
+ * @param {Context} context
+ * @throws {ResultException} - when the signature, hashtype or public key is badly encoded
+ * @returns {boolean}
+ */
+function checkSignature(sig, pubkey, context) {
+    if (context.sigversion === "tapscript") {
+        return checkSchnorrSignature(sig, pubkey, context);
+    }
+    return checkEcdsaSignature(sig, pubkey, context);
+}
+
+module.exports = {
+    checkSignature
+}
@@ -1,20 +1,22 @@
 const {Ok, Err} = require('./utils');
+const {toElement} = require('./scriptnum');
+const {formatNamed} = require('./names');
 
 class Stack {
 	constructor() {
 	  /**
-	   * @type {any[]} - The items in the stack.
+	   * @type {import('./scriptnum').Element[]} - The items in the stack.
 	   */
 	  this.items = [];
 	}
   
 	/**
-	 * Add a number to the stack.
+	 * Add an element to the stack. Numbers are stored as minimally encoded script numbers.
 	 * @param {any} val 
 	 * @returns {Boolean} - A success result with no value.
 	 */
 	push(val) {
-	  this.items.push(val);
+	  this.items.push(toElement(val));
 	  return true ;
 	}
   
@@ -64,6 +66,16 @@ class Stack {
 	  return this.items[this.items.length - 1 - elem];
 	}
   
+	/**
+	 * Copy of the stack, elements are never mutated so they can be shared.
+	 * @returns {Stack}
+	 */
+	clone() {
+	  const copy = new Stack();
+	  copy.items = [...this.items];
+	  return copy;
+	}
+  
 	/**
 	 * Check if the stack is empty.
 	 * @returns {boolean} - True if the stack is empty, false otherwise.
@@ -82,10 +94,12 @@ class Stack {
   
 	/**
 	 * Print the stack contents as a string.
+	 * @param {import('./names').Names} [names] - named items are shown as name=value
+	 * @param {{mode: String}} [context] - numbers are shown as the mode reads them
 	 * @returns {string} - The stack contents in the format "[item1, item2, ...]".
 	 */
-	print() {
-	  return `[${this.items.join(", ")}]`;
+	print(names, context) {
+	  return `[${this.items.map((item) => formatNamed(item, names, context)).join(", ")}]`;
 	}
   
 	/**
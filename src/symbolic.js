@@ -0,0 +1,509 @@
+/**
+ * Symbolic values for the placeholders of the `[A, B]` header. Arithmetic, comparison
+ * and boolean opcodes on symbols build expressions like `(A+B)` or `(A<B)` instead of
+ * failing. Whenever every operand is known the concrete result is computed, and
+ * expressions are simplified as far as constants allow, e.g. `((A+1)+2)` is `(A+3)`.
+ *
+ * @typedef {Sym | Number} Operand - a number operand that may be symbolic
+ */
+
+/**
+ * Operators whose result is always 0 or 1
+ */
+const BOOLEAN_OPS = ["<", ">", "<=", ">=", "==", "!=", "&&", "||", "!"];
+
+class Sym {
+    /**
+     * @param {String} op - "atom" for a placeholder, otherwise the operator
+     * @param {Operand[]} [args]
+     * @param {String} [name] - name of an atom
+     */
+    constructor(op, args = [], name = "") {
+        this.op = op;
+        this.args = args;
+        this.name = name;
+    }
+
+    /**
+     * A placeholder that nothing is known about, like `A` or `Hash(5)`
+     * @param {String} name
+     * @returns {Sym}
+     */
+    static atom(name) {
+        return new Sym("atom", [], name);
+    }
+
+    /**
+     * @returns {String}
+     */
+    toString() {
+        const [a, b] = this.args.map(String);
+        switch (this.op) {
+            case "atom":
+                return this.name;
+            case "!":
+                return `!${a}`;
+            case "neg":
+                return `-${a}`;
+            case "abs":
+            case "min":
+            case "max":
+                return `${this.op}(${this.args.join(",")})`;
+            case "+":
+                // (A+-1) reads better as (A-1)
+                if (typeof this.args[1] === "number" && this.args[1] < 0) {
+                    return `(${a}-${-this.args[1]})`;
+                }
+                return `(${a}+${b})`;
+            default:
+                return `(${a}${this.op}${b})`;
+        }
+    }
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isSym(value) {
+    return value instanceof Sym;
+}
+
+/**
+ * Is the operand known to be 0 or 1
+ * @param {Operand} value
+ * @returns {boolean}
+ */
+function isBooleanValued(value) {
+    return typeof value === "number" ? value === 0 || value === 1 : BOOLEAN_OPS.includes(value.op);
+}
+
+/**
+ * Structural equality of two operands
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {boolean}
+ */
+function sameOperand(a, b) {
+    return typeof a === typeof b && String(a) === String(b);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function add(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a + b;
+    }
+    // keep the constant on the right so that constants can be folded
+    if (typeof a === "number") {
+        [a, b] = [b, a];
+    }
+    if (b === 0) {
+        return a;
+    }
+    if (typeof b === "number" && a.op === "+" && typeof a.args[1] === "number") {
+        return add(a.args[0], a.args[1] + b);
+    }
+    return new Sym("+", [a, b]);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function sub(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a - b;
+    }
+    if (typeof b === "number") {
+        return add(a, -b);
+    }
+    if (sameOperand(a, b)) {
+        return 0;
+    }
+    return new Sym("-", [a, b]);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function mul(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a * b;
+    }
+    if (typeof a === "number") {
+        [a, b] = [b, a];
+    }
+    if (b === 0) {
+        return 0;
+    }
+    if (b === 1) {
+        return a;
+    }
+    return new Sym("*", [a, b]);
+}
+
+/**
+ * Division truncating towards zero. Division by a known zero has to be caught by the caller
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function div(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return Math.trunc(a / b);
+    }
+    if (b === 1) {
+        return a;
+    }
+    return new Sym("/", [a, b]);
+}
+
+/**
+ * Remainder with the sign of the dividend, like C++
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function mod(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a % b === 0 ? 0 : a % b;
+    }
+    if (b === 1 || b === -1) {
+        return 0;
+    }
+    return new Sym("%", [a, b]);
+}
+
+/**
+ * @param {Operand} a
+ * @returns {Operand}
+ */
+function negate(a) {
+    if (typeof a === "number") {
+        return -a;
+    }
+    if (a.op === "neg") {
+        return a.args[0];
+    }
+    return new Sym("neg", [a]);
+}
+
+/**
+ * @param {Operand} a
+ * @returns {Operand}
+ */
+function abs(a) {
+    if (typeof a === "number") {
+        return Math.abs(a);
+    }
+    if (a.op === "abs" || isBooleanValued(a)) {
+        return a;
+    }
+    return new Sym("abs", [a]);
+}
+
+/**
+ * OP_0NOTEQUAL, 1 if the operand is not zero
+ * @param {Operand} a
+ * @returns {Operand}
+ */
+function notZero(a) {
+    if (typeof a === "number") {
+        return a !== 0 ? 1 : 0;
+    }
+    if (isBooleanValued(a)) {
+        return a;
+    }
+    return new Sym("!=", [a, 0]);
+}
+
+/**
+ * OP_NOT, 1 if the operand is zero
+ * @param {Operand} a
+ * @returns {Operand}
+ */
+function not(a) {
+    if (typeof a === "number") {
+        return a === 0 ? 1 : 0;
+    }
+    if (a.op === "!") {
+        return notZero(a.args[0]);
+    }
+    return new Sym("!", [a]);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function boolAnd(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a !== 0 && b !== 0 ? 1 : 0;
+    }
+    if (typeof a === "number") {
+        [a, b] = [b, a];
+    }
+    if (typeof b === "number") {
+        return b === 0 ? 0 : notZero(a);
+    }
+    return new Sym("&&", [a, b]);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function boolOr(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a !== 0 || b !== 0 ? 1 : 0;
+    }
+    if (typeof a === "number") {
+        [a, b] = [b, a];
+    }
+    if (typeof b === "number") {
+        return b !== 0 ? 1 : notZero(a);
+    }
+    return new Sym("||", [a, b]);
+}
+
+/**
+ * Numeric comparison, 1 if it holds and 0 otherwise
+ * @param {"<" | ">" | "<=" | ">=" | "==" | "!="} op
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function compare(op, a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        const results = { "<": a < b, ">": a > b, "<=": a <= b, ">=": a >= b, "==": a === b, "!=": a !== b };
+        return results[op] ? 1 : 0;
+    }
+    if (sameOperand(a, b)) {
+        return ["<=", ">=", "=="].includes(op) ? 1 : 0;
+    }
+    return new Sym(op, [a, b]);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function min(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return Math.min(a, b);
+    }
+    return sameOperand(a, b) ? a : new Sym("min", [a, b]);
+}
+
+/**
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {Operand}
+ */
+function max(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return Math.max(a, b);
+    }
+    return sameOperand(a, b) ? a : new Sym("max", [a, b]);
+}
+
+/**
+ * OP_WITHIN, min <= x < max
+ * @param {Operand} x
+ * @param {Operand} lower
+ * @param {Operand} upper
+ * @returns {Operand}
+ */
+function within(x, lower, upper) {
+    return boolAnd(compare("<=", lower, x), compare("<", x, upper));
+}
+
+/**
+ * Binary operators of the written expressions from the loosest to the tightest
+ */
+const PRECEDENCE = [["||"], ["&&"], ["==", "!=", "<", ">", "<=", ">="], ["+", "-"], ["*", "/", "%"]];
+
+const EXPRESSION_TOKEN = /\s*(\d+|[A-Za-z_][\w.]*|<=|>=|==|!=|&&|\|\||[-+*/%<>!(),])/y;
+
+/**
+ * Reads an expression written like the hints show them, e.g. `(A+B)`, `A + B` or `!(A<B)`.
+ * Calls other than abs, min and max are placeholders, like `Hash(5)`
+ * @param {String} text
+ * @returns {Operand | null} - null when it can't be read
+ */
+function parseOperand(text) {
+    const tokens = [];
+    let end = 0;
+    let matched;
+    EXPRESSION_TOKEN.lastIndex = 0;
+    while ((matched = EXPRESSION_TOKEN.exec(text)) !== null) {
+        end = EXPRESSION_TOKEN.lastIndex;
+        tokens.push({ text: matched[1], start: end - matched[1].length, end });
+    }
+    if (text.slice(end).trim() !== "" || tokens.length === 0) {
+        return null;
+    }
+    let position = 0;
+    const peek = () => position < tokens.length ? tokens[position].text : null;
+    const expect = (token) => {
+        if (peek() !== token) {
+            throw new SyntaxError(`${token} expected`);
+        }
+        position++;
+    };
+    const binaries = { "+": add, "-": sub, "*": mul, "/": div, "%": mod, "&&": boolAnd, "||": boolOr };
+
+    const binary = (level) => {
+        if (level === PRECEDENCE.length) {
+            return unary();
+        }
+        let left = binary(level + 1);
+        while (PRECEDENCE[level].includes(peek())) {
+            const op = tokens[position++].text;
+            const right = binary(level + 1);
+            left = binaries[op] !== undefined ? binaries[op](left, right) : compare(op, left, right);
+        }
+        return left;
+    };
+    const unary = () => {
+        if (peek() === "!") {
+            position++;
+            return not(unary());
+        }
+        if (peek() === "-") {
+            position++;
+            return negate(unary());
+        }
+        return primary();
+    };
+    const primary = () => {
+        const token = tokens[position++];
+        if (token === undefined) {
+            throw new SyntaxError("operand expected");
+        }
+        if (token.text === "(") {
+            const inner = binary(0);
+            expect(")");
+            return inner;
+        }
+        if (/^\d+$/.test(token.text)) {
+            return Number(token.text);
+        }
+        if (!/^[A-Za-z_]/.test(token.text)) {
+            throw new SyntaxError(`unexpected ${token.text}`);
+        }
+        if (peek() !== "(") {
+            return Sym.atom(token.text);
+        }
+        const functions = { abs: [1, abs], min: [2, min], max: [2, max] };
+        const open = position++;
+        if (functions[token.text] === undefined) {
+            // a placeholder, its arguments are text
+            let depth = 1;
+            while (depth > 0) {
+                if (peek() === null) {
+                    throw new SyntaxError(") expected");
+                }
+                depth += peek() === "(" ? 1 : peek() === ")" ? -1 : 0;
+                position++;
+            }
+            return Sym.atom(token.text + text.slice(tokens[open].start, tokens[position - 1].end).replace(/\s+/g, ""));
+        }
+        const args = [];
+        while (peek() !== ")") {
+            args.push(binary(0));
+            if (peek() !== ")") {
+                expect(",");
+            }
+        }
+        position++;
+        const [arity, apply] = functions[token.text];
+        if (args.length !== arity) {
+            throw new SyntaxError(`${token.text} takes ${arity} operands`);
+        }
+        return apply(...args);
+    };
+
+    try {
+        const operand = binary(0);
+        return position === tokens.length ? operand : null;
+    } catch (err) {
+        if (err instanceof SyntaxError) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Operators whose operands can be in any order
+ */
+const COMMUTATIVE_OPS = ["+", "*", "&&", "||", "==", "!=", "min", "max"];
+
+/**
+ * A form of an operand that equivalent expressions share: operands of commutative operators
+ * are sorted, with the ones of nested `+`, `*`, `&&` and `||` gathered, and `>`, `>=` are
+ * turned around into `<`, `<=`
+ * @param {Operand} value
+ * @returns {String}
+ */
+function canonicalForm(value) {
+    if (typeof value === "number" || value.op === "atom") {
+        return String(value);
+    }
+    let { op, args } = value;
+    if (op === ">" || op === ">=") {
+        [op, args] = [op === ">" ? "<" : "<=", [args[1], args[0]]];
+    }
+    const flat = ["+", "*", "&&", "||"].includes(op);
+    const gather = (arg) => flat && typeof arg !== "number" && arg.op === op ? arg.args.flatMap(gather) : [arg];
+    const forms = args.flatMap(gather).map(canonicalForm);
+    if (COMMUTATIVE_OPS.includes(op)) {
+        forms.sort();
+    }
+    return `${op}(${forms.join(",")})`;
+}
+
+/**
+ * Whether two operands are the same expression, up to the order of commutative operands
+ * @param {Operand} a
+ * @param {Operand} b
+ * @returns {boolean}
+ */
+function equivalentOperands(a, b) {
+    return canonicalForm(a) === canonicalForm(b);
+}
+
+module.exports = {
+    Sym,
+    isSym,
+    isBooleanValued,
+    sameOperand,
+    add,
+    sub,
+    mul,
+    div,
+    mod,
+    negate,
+    abs,
+    notZero,
+    not,
+    boolAnd,
+    boolOr,
+    compare,
+    min,
+    max,
+    within,
+    parseOperand,
+    equivalentOperands
+}
@@ -0,0 +1,151 @@
+const symbolic = require('./symbolic');
+const { requireTransaction } = require('./transaction');
+const { ResultException } = require('./utils');
+
+/**
+ * Timelock checks of OP_CHECKLOCKTIMEVERIFY (BIP-65) and OP_CHECKSEQUENCEVERIFY (BIP-112)
+ * against the transaction of the context. Toy mode without a transaction assumes every
+ * timelock is satisfied, like it assumes every signature is valid.
+ *
+ * A symbolic operand can't be compared, so the check returns a condition on it that is
+ * enough for the lock to be satisfied, e.g. `((0<=T)&&(T<801))` for a transaction locked
+ * at height 800. The opcodes add it to the constraints of the path.
+ *
+ * @typedef {import('./opcodes').Context} Context
+ * @typedef {import('./symbolic').Operand} Operand
+ */
+
+/**
+ * Timelock operands may be 5 bytes long, one more than arithmetic operands
+ */
+const LOCKTIME_NUM_SIZE = 5;
+
+/**
+ * Locktimes below this are block heights, the others unix timestamps
+ */
+const LOCKTIME_THRESHOLD = 500000000;
+const SEQUENCE_FINAL = 0xffffffff;
+const SEQUENCE_LOCKTIME_DISABLE_FLAG = 0x80000000;
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 0x00400000;
+const SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+
+/**
+ * @param {Number} locktime
+ * @returns {String}
+ */
+function describeLockTime(locktime) {
+    return locktime < LOCKTIME_THRESHOLD ? `block height ${locktime}` : `timestamp ${locktime}`;
+}
+
+/**
+ * @param {Number} sequence - relative lock bits of an nSequence
+ * @returns {String}
+ */
+function describeSequence(sequence) {
+    const value = sequence & SEQUENCE_LOCKTIME_MASK;
+    return sequence & SEQUENCE_LOCKTIME_TYPE_FLAG ? `${value} × 512 seconds` : `${value} blocks`;
+}
+
+/**
+ * @param {Operand} operand
+ * @param {String} name - opcode name without OP_
+ * @throws {ResultException}
+ */
+function checkNotNegative(operand, name) {
+    if (typeof operand === "number" && operand < 0) {
+        throw new ResultException(`${name} operand is negative: ${operand}`);
+    }
+}
+
+/**
+ * The transaction timelocks are checked against, undefined when toy mode assumes them satisfied
+ * @param {Context} context
+ * @returns {import('./transaction').Transaction | undefined}
+ */
+function timelockTransaction(context) {
+    if (context.mode === "toy" && context.tx === undefined) {
+        return undefined;
+    }
+    return requireTransaction(context, "Timelock checks");
+}
+
+/**
+ * BIP-65: the script locktime must be of the same kind as the transaction nLockTime and not
+ * after it, and the input must not be final, or nLockTime is ignored
+ * @param {Operand} locktime
+ * @param {Context} context
+ * @throws {ResultException} - when the lock isn't satisfied, with the reason
+ * @returns {Operand} - 1, or a condition on a symbolic locktime
+ */
+function checkLockTime(locktime, context) {
+    checkNotNegative(locktime, "CHECKLOCKTIMEVERIFY");
+    const tx = timelockTransaction(context);
+    if (tx === undefined) {
+        return 1;
+    }
+
+    const sequence = tx.inputs[tx.inputIndex].sequence;
+    if (sequence === SEQUENCE_FINAL) {
+        throw new ResultException("CHECKLOCKTIMEVERIFY fails: the input sequence is final (0xffffffff), which disables the transaction locktime");
+    }
+
+    if (typeof locktime !== "number") {
+        const lower = tx.locktime < LOCKTIME_THRESHOLD ? 0 : LOCKTIME_THRESHOLD;
+        return symbolic.within(locktime, lower, tx.locktime + 1);
+    }
+    if ((locktime < LOCKTIME_THRESHOLD) !== (tx.locktime < LOCKTIME_THRESHOLD)) {
+        throw new ResultException(`CHECKLOCKTIMEVERIFY type mismatch: the script requires ${describeLockTime(locktime)} but the transaction locktime is ${describeLockTime(tx.locktime)}`);
+    }
+    if (locktime > tx.locktime) {
+        throw new ResultException(`CHECKLOCKTIMEVERIFY fails: the script requires ${describeLockTime(locktime)} but the transaction locktime is ${tx.locktime}`);
+    }
+    return 1;
+}
+
+/**
+ * BIP-112: unless the script sequence has the disable flag set, the transaction must be
+ * version 2 or later and the input sequence must be a relative lock of the same kind that
+ * is at least as long
+ * @param {Operand} sequence
+ * @param {Context} context
+ * @throws {ResultException} - when the lock isn't satisfied, with the reason
+ * @returns {Operand} - 1, or a condition on a symbolic sequence
+ */
+function checkSequence(sequence, context) {
+    checkNotNegative(sequence, "CHECKSEQUENCEVERIFY");
+    if (typeof sequence === "number" && sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+        // reserved for future soft forks, behaves as a NOP
+        return 1;
+    }
+    const tx = timelockTransaction(context);
+    if (tx === undefined) {
+        return 1;
+    }
+
+    if (tx.version < 2) {
+        throw new ResultException(`CHECKSEQUENCEVERIFY needs transaction version 2 or later, the transaction is version ${tx.version}`);
+    }
+    const txSequence = tx.inputs[tx.inputIndex].sequence;
+    if (txSequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+        throw new ResultException(`CHECKSEQUENCEVERIFY fails: the input sequence 0x${txSequence.toString(16)} has the disable flag set`);
+    }
+
+    const typeFlag = txSequence & SEQUENCE_LOCKTIME_TYPE_FLAG;
+    const txLock = txSequence & SEQUENCE_LOCKTIME_MASK;
+    if (typeof sequence !== "number") {
+        return symbolic.within(sequence, typeFlag, typeFlag + txLock + 1);
+    }
+    if ((sequence & SEQUENCE_LOCKTIME_TYPE_FLAG) !== typeFlag) {
+        throw new ResultException(`CHECKSEQUENCEVERIFY type mismatch: the script requires ${describeSequence(sequence)} but the input sequence is ${describeSequence(txSequence)}`);
+    }
+    if ((sequence & SEQUENCE_LOCKTIME_MASK) > txLock) {
+        throw new ResultException(`CHECKSEQUENCEVERIFY fails: the script requires ${describeSequence(sequence)} but the input sequence is ${describeSequence(txSequence)}`);
+    }
+    return 1;
+}
+
+module.exports = {
+    LOCKTIME_NUM_SIZE,
+    checkLockTime,
+    checkSequence
+}
@@ -0,0 +1,104 @@
+/**
+ * Splits the lines of a script block into tokens with their source ranges. Tokens are
+ * separated by whitespace or commas, `//` comments run to the end of the line and
+ * `/* *\/` comments may span lines. Quoted strings may contain spaces and
+ * `OP_PUSHDATA1 0x..` is a single token together with its data. Braces are tokens of
+ * their own, for the loops and interpolations of the macro.
+ *
+ * @typedef {"opcode" | "number" | "data" | "word"} TokenKind - words are anything that
+ * isn't script, like the braces around a `script!` body, and are not run
+ *
+ * @typedef {Object} Token
+ * @property {String} text
+ * @property {TokenKind} kind
+ * @property {Number} line - index of the line in the block
+ * @property {Number} start - column of the first character
+ * @property {Number} end - column after the last character
+ * @property {import('./macro').Loop[]} [loops] - iterations of the loops it was unrolled from
+ * @property {import('./macro').Call} [call] - the gadget call it was inlined from
+ */
+
+const STRING = /"[^"]*"|'[^']*'/y;
+const PUSHDATA = /OP_PUSHDATA[124]\s+(?:"[^"]*"|'[^']*'|<[^>\s]*>|[^\s,]+)/y;
+const BRACE = /[{}]/y;
+const WORD = /(?:(?!\/\/|\/\*)[^\s,{}])+/y;
+
+/**
+ * @param {String} text
+ * @returns {TokenKind}
+ */
+function tokenKind(text) {
+    if (/^OP_PUSHDATA[124]\s/.test(text) || /^<.*>$/.test(text) || /^0[xX]/.test(text) || /^["']/.test(text)) {
+        return "data";
+    }
+    if (/^OP_\w+$/.test(text)) {
+        return "opcode";
+    }
+    if (/^(-?\d+|0[oO][0-7]+)$/.test(text)) {
+        return "number";
+    }
+    return "word";
+}
+
+/**
+ * @param {String} lineText
+ * @param {Number} column
+ * @param {RegExp} pattern - sticky
+ * @returns {String | null}
+ */
+function matchAt(lineText, column, pattern) {
+    pattern.lastIndex = column;
+    const matched = pattern.exec(lineText);
+    return matched && matched[0];
+}
+
+/**
+ * @param {String[]} lines
+ * @param {Number} [firstLine] - lines before it are skipped, like the header of a block
+ * @returns {Token[]}
+ */
+function tokenize(lines, firstLine = 0) {
+    /** @type {Token[]} */
+    const tokens = [];
+    let inComment = false;
+
+    for (let line = firstLine; line < lines.length; line++) {
+        const lineText = lines[line];
+        let column = 0;
+        while (column < lineText.length) {
+            if (inComment) {
+                const close = lineText.indexOf("*/", column);
+                if (close === -1) {
+                    break;
+                }
+                inComment = false;
+                column = close + 2;
+                continue;
+            }
+
+            const rest = lineText.slice(column);
+            if (/^[\s,]/.test(rest)) {
+                column++;
+                continue;
+            }
+            if (rest.startsWith("//")) {
+                break;
+            }
+            if (rest.startsWith("/*")) {
+                inComment = true;
+                column += 2;
+                continue;
+            }
+
+            const text = matchAt(lineText, column, PUSHDATA) || matchAt(lineText, column, STRING) || matchAt(lineText, column, BRACE)
+                || matchAt(lineText, column, WORD);
+            tokens.push({ text, kind: tokenKind(text), line, start: column, end: column + text.length });
+            column += text.length;
+        }
+    }
+    return tokens;
+}
+
+module.exports = {
+    tokenize
+}
@@ -0,0 +1,232 @@
+const { fromHex } = require('./scriptnum');
+const { ResultException } = require('./utils');
+
+/**
+ * The transaction a script is evaluated in, read from a JSON file in the workspace:
+ *
+ * {
+ *   "version": 2,
+ *   "locktime": 0,
+ *   "inputIndex": 0,
+ *   "sigversion": "tapscript",
+ *   "inputs": [{ "txid": "...", "vout": 0, "sequence": 4294967295, "amount": 100000, "scriptPubKey": "5120..." }],
+ *   "outputs": [{ "amount": 90000, "scriptPubKey": "0014..." }]
+ * }
+ *
+ * txids are written in the usual reversed display order, amounts are in satoshis.
+ *
+ * @typedef {Object} TxInput
+ * @property {Uint8Array} txid - internal byte order
+ * @property {Number} vout
+ * @property {Number} sequence
+ * @property {bigint} amount
+ * @property {Uint8Array} scriptPubKey
+ *
+ * @typedef {Object} TxOutput
+ * @property {bigint} amount
+ * @property {Uint8Array} scriptPubKey
+ *
+ * @typedef {Object} Transaction
+ * @property {Number} version
+ * @property {Number} locktime
+ * @property {Number} inputIndex - the input whose script is being evaluated
+ * @property {TxInput[]} inputs
+ * @property {TxOutput[]} outputs
+ * @property {String} [sigversion]
+ */
+
+/**
+ * @param {any} value
+ * @param {String} name
+ * @param {Number} fallback
+ * @returns {Number}
+ */
+function readUint32(value, name, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+        throw new ResultException(`Transaction ${name} must be an integer between 0 and 4294967295`);
+    }
+    return value;
+}
+
+/**
+ * @param {any} value
+ * @param {String} name
+ * @returns {bigint}
+ */
+function readAmount(value, name) {
+    if (value === undefined) {
+        return 0n;
+    }
+    if (!Number.isInteger(value) && !(typeof value === "string" && /^\d+$/.test(value))) {
+        throw new ResultException(`Transaction ${name} must be an amount in satoshis`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * @param {any} value
+ * @param {String} name
+ * @returns {Uint8Array}
+ */
+function readHex(value, name) {
+    if (value === undefined) {
+        return new Uint8Array(0);
+    }
+    if (typeof value !== "string") {
+        throw new ResultException(`Transaction ${name} must be a hex string`);
+    }
+    try {
+        return fromHex(value.replace(/^0x/, ""));
+    } catch {
+        throw new ResultException(`Transaction ${name} is not valid hex`);
+    }
+}
+
+/**
+ * Validate the JSON description of a transaction and fill in defaults
+ * @param {any} json
+ * @throws {ResultException}
+ * @returns {Transaction}
+ */
+function parseTransaction(json) {
+    if (typeof json !== "object" || json === null) {
+        throw new ResultException("Transaction must be a JSON object");
+    }
+
+    const inputs = (json.inputs || [{}]).map((input, i) => {
+        const txid = readHex(input.txid, `inputs[${i}].txid`);
+        if (input.txid !== undefined && txid.length !== 32) {
+            throw new ResultException(`Transaction inputs[${i}].txid must be 32 bytes`);
+        }
+        return {
+            txid: input.txid === undefined ? new Uint8Array(32) : txid.reverse(),
+            vout: readUint32(input.vout, `inputs[${i}].vout`, 0),
+            sequence: readUint32(input.sequence, `inputs[${i}].sequence`, 0xffffffff),
+            amount: readAmount(input.amount, `inputs[${i}].amount`),
+            scriptPubKey: readHex(input.scriptPubKey, `inputs[${i}].scriptPubKey`)
+        };
+    });
+
+    const outputs = (json.outputs || []).map((output, i) => ({
+        amount: readAmount(output.amount, `outputs[${i}].amount`),
+        scriptPubKey: readHex(output.scriptPubKey, `outputs[${i}].scriptPubKey`)
+    }));
+
+    const inputIndex = readUint32(json.inputIndex, "inputIndex", 0);
+    if (inputIndex >= inputs.length) {
+        throw new ResultException(`Transaction inputIndex ${inputIndex} is out of range`);
+    }
+
+    if (json.sigversion !== undefined && !["legacy", "segwitv0", "tapscript"].includes(json.sigversion)) {
+        throw new ResultException("Transaction sigversion must be one of legacy, segwitv0 or tapscript");
+    }
+
+    return {
+        version: readUint32(json.version, "version", 2),
+        locktime: readUint32(json.locktime, "locktime", 0),
+        inputIndex,
+        inputs,
+        outputs,
+        sigversion: json.sigversion
+    };
+}
+
+/**
+ * The transaction of a context, for the checks that can't be done without one
+ * @param {import('./opcodes').Context} context
+ * @param {String} checks - what needs it, e.g. "Signature checks"
+ * @throws {ResultException}
+ * @returns {Transaction}
+ */
+function requireTransaction(context, checks) {
+    if (context.tx === undefined) {
+        throw new ResultException(context.txError || `${checks} in real mode need a transaction, see the btc-script.transactionFile setting`);
+    }
+    return context.tx;
+}
+
+/**
+ * Little endian serializer for transaction data
+ */
+class ByteWriter {
+    constructor() {
+        /** @type {number[]} */
+        this.bytes = [];
+    }
+
+    /**
+     * @param {Number} value
+     */
+    u8(value) {
+        this.bytes.push(value & 0xff);
+        return this;
+    }
+
+    /**
+     * @param {Number} value
+     */
+    u32(value) {
+        for (let i = 0; i < 4; i++) {
+            this.bytes.push((value >>> (8 * i)) & 0xff);
+        }
+        return this;
+    }
+
+    /**
+     * @param {bigint} value
+     */
+    u64(value) {
+        for (let i = 0n; i < 8n; i++) {
+            this.bytes.push(Number((value >> (8n * i)) & 0xffn));
+        }
+        return this;
+    }
+
+    /**
+     * Bitcoin's CompactSize
+     * @param {Number} value
+     */
+    varint(value) {
+        if (value < 0xfd) {
+            return this.u8(value);
+        }
+        if (value <= 0xffff) {
+            return this.u8(0xfd).u8(value).u8(value >> 8);
+        }
+        return this.u8(0xfe).u32(value);
+    }
+
+    /**
+     * @param {Uint8Array} data
+     */
+    raw(data) {
+        for (const byte of data) {
+            this.bytes.push(byte);
+        }
+        return this;
+    }
+
+    /**
+     * Length prefixed bytes
+     * @param {Uint8Array} data
+     */
+    varbytes(data) {
+        return this.varint(data.length).raw(data);
+    }
+
+    /**
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+module.exports = {
+    parseTransaction,
+    requireTransaction,
+    ByteWriter
+}
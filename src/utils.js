@@ -11,6 +11,16 @@ class ResultException extends Error {
     }
 }
 
+/**
+ * Thrown out of an evaluation that a newer one replaces
+ */
+class CancelledException extends Error {
+    constructor() {
+        super("The evaluation was cancelled");
+        this.name = "CancelledException";
+    }
+}
+
 /**
  * Creates a successful Result.
  * @param {any} value - The success value.
@@ -29,14 +39,6 @@ function Err(error) {
     throw new ResultException(error);
 }
 
-function to_number(value) {
-    const num = Number(value);
-    if (isNaN(num)) {
-        throw new ResultException("Invalid number");
-    }
-    return num;
-}
-
 /**
  * @param {Result} result  
  */
@@ -45,7 +47,7 @@ function handleResult(result) {
 
 module.exports = {
     ResultException,
-    to_number,
+    CancelledException,
     Ok,
     Err
 }
\ No newline at end of file
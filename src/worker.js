@@ -0,0 +1,158 @@
+const { parentPort } = require('worker_threads');
+const { evaluateBlock, lineProblem } = require('./interpreter');
+const { CancelledException } = require('./utils');
+const { replaceGadgets } = require('./gadgets');
+const { gadgetKey, mergeGadgets } = require('./resolve');
+
+/**
+ * Evaluates the script blocks of a document off the extension host thread. It keeps what the
+ * last evaluation of every block left to resume from, and the gadgets and transactions the
+ * extension sent when they changed, so only the document is sent along.
+ *
+ * @typedef {Object} BlockRequest
+ * @property {Number} header - line of the block's header in the document
+ * @property {String[]} lines - from the header to the end of the block
+ * @property {import('./macro').Constants} [constants]
+ * @property {String[]} [expansion]
+ * @property {boolean} [skipWords]
+ * @property {import('./resolve').Scope} [scope]
+ *
+ * @typedef {Object} EvaluateRequest
+ * @property {"evaluate"} type
+ * @property {Number} id
+ * @property {String} uri - of the document
+ * @property {BlockRequest[]} blocks
+ * @property {import('./interpreter').Options} options - shared by the blocks
+ * @property {{steps?: Number, timeout?: Number}} budget - for the whole document
+ * @property {SharedArrayBuffer} cancel - an Int32 set to 1 once a newer evaluation replaces this one
+ * @property {String} [transactionFile] - path of the transaction the blocks are checked against
+ *
+ * @typedef {Object} GadgetsRequest - replaces the gadgets of files, they are all sent to a new worker
+ * @property {"gadgets"} type
+ * @property {String[]} files
+ * @property {import('./gadgets').Gadget[]} gadgets - found in those files
+ *
+ * @typedef {Object} ExpansionRequest - replaces the gadgets of the `cargo expand` output
+ * @property {"expansion"} type
+ * @property {import('./gadgets').Gadget[]} gadgets
+ *
+ * @typedef {Object} TransactionRequest - the transaction file was read
+ * @property {"transaction"} type
+ * @property {String} file - its path
+ * @property {any} [transaction]
+ * @property {String} [transactionError]
+ *
+ * @typedef {Object} CloseRequest - forgets the caches of a closed document
+ * @property {"close"} type
+ * @property {String} uri
+ *
+ * @typedef {Object} EvaluateReply
+ * @property {Number} id
+ * @property {import('./interpreter').Hint[]} [hints] - on the lines of the document
+ * @property {boolean} [cancelled]
+ */
+
+/**
+ * Gadgets of the workspace
+ * @type {import('./gadgets').GadgetIndex}
+ */
+const gadgets = new Map();
+
+/**
+ * Gadgets of the `cargo expand` output, they take precedence over the ones of the workspace
+ * @type {import('./gadgets').GadgetIndex}
+ */
+let expandedGadgets = new Map();
+
+/**
+ * Both of them, merged again after either changes
+ * @type {import('./gadgets').GadgetIndex | null}
+ */
+let allGadgets = null;
+
+/**
+ * Transactions and why they can't be read, by path
+ * @type {Map<string, {transaction?: any, transactionError?: String}>}
+ */
+const transactions = new Map();
+
+/**
+ * Caches of the blocks of every document, by URI then by block
+ * @type {Map<string, Map<string, import('./interpreter').RunCache>[]>}
+ */
+const documentCaches = new Map();
+
+/**
+ * @param {String} uri
+ * @param {Number} count - blocks the document has now
+ * @returns {Map<string, import('./interpreter').RunCache>[]}
+ */
+function blockCaches(uri, count) {
+    const caches = documentCaches.get(uri) || [];
+    caches.length = Math.min(caches.length, count);
+    while (caches.length < count) {
+        caches.push(new Map());
+    }
+    documentCaches.set(uri, caches);
+    return caches;
+}
+
+/**
+ * @param {EvaluateRequest} request
+ * @returns {EvaluateReply}
+ */
+function evaluate(request) {
+    const cancel = new Int32Array(request.cancel);
+    const { steps, timeout } = request.budget;
+    const budget = {
+        steps,
+        timeout,
+        deadline: timeout === undefined ? undefined : Date.now() + timeout,
+        isCancelled: () => Atomics.load(cancel, 0) !== 0
+    };
+    const caches = blockCaches(request.uri, request.blocks.length);
+    if (allGadgets === null) {
+        allGadgets = mergeGadgets(gadgets, expandedGadgets);
+    }
+    const transaction = transactions.get(request.transactionFile) || {};
+    const hints = [];
+    for (let i = 0; i < request.blocks.length; i++) {
+        const block = request.blocks[i];
+        const options = { ...request.options, ...transaction, gadgets: allGadgets, constants: block.constants, expansion: block.expansion, skipWords: block.skipWords, scope: block.scope, headerLine: block.header, budget, cache: caches[i] };
+        let blockHints;
+        try {
+            blockHints = evaluateBlock(block.lines, options) || [];
+        } catch (err) {
+            if (err instanceof CancelledException) {
+                return { id: request.id, cancelled: true };
+            }
+            // a bug of the interpreter fails its block, the other blocks and the worker go on
+            caches[i] = new Map();
+            const text = ` ${request.options.mode || "toy"} => Evaluation failed: ${err.message} `;
+            blockHints = [{ index: 0, text, isError: true, problem: lineProblem("evaluation-failed", block.lines[0] || "") }];
+        }
+        hints.push(...blockHints.map((hint) => ({ ...hint, index: block.header + hint.index })));
+    }
+    return { id: request.id, hints };
+}
+
+parentPort.on("message", (/** @type {EvaluateRequest | CloseRequest | GadgetsRequest | ExpansionRequest | TransactionRequest} */ request) => {
+    switch (request.type) {
+        case "close":
+            documentCaches.delete(request.uri);
+            break;
+        case "gadgets":
+            replaceGadgets(gadgets, request.files, request.gadgets);
+            allGadgets = null;
+            break;
+        case "expansion":
+            expandedGadgets = new Map(request.gadgets.map((gadget) => [gadgetKey(gadget), gadget]));
+            allGadgets = null;
+            break;
+        case "transaction":
+            transactions.set(request.file, { transaction: request.transaction, transactionError: request.transactionError });
+            break;
+        default:
+            parentPort.postMessage(evaluate(request));
+    }
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { evaluateBlock } = require('../src/interpreter');
+const { CancelledException } = require('../src/utils');
+const { indexSource } = require('../src/gadgets');
+
+/**
+ * Posts a request to a worker and waits for its reply
+ * @param {Worker} worker
+ * @param {any} request
+ * @returns {Promise<import('../src/worker').EvaluateReply>}
+ */
+function reply(worker, request) {
+	return new Promise((resolve, reject) => {
+		worker.once("message", resolve);
+		worker.once("error", reject);
+		worker.postMessage(request);
+	});
+}
+
+suite('Budget Test Suite', () => {
+	let lines = ["[1]", "OP_DUP", "OP_DUP", "OP_IF", "OP_DUP", "OP_ENDIF", "OP_DROP"];
+
+	test('truncates a run past its step budget', () => {
+		let hints = evaluateBlock(lines, { budget: { steps: 3 }, headerLine: 10 });
+		assert.deepStrictEqual(hints.map((hint) => hint.index), [1, 2, 3, 0, 0]);
+		assert.deepStrictEqual(hints[3], { index: 0, text: " toy => Evaluation truncated at line 15: more than 3 steps ", isError: true, problem: { code: "evaluation-truncated", start: 0, end: 3 } });
+		assert.ok(!evaluateBlock(lines, { budget: { steps: 6 } }).some((hint) => hint.isError));
+	});
+
+	test('truncates a run past its deadline', () => {
+		let hints = evaluateBlock(lines, { budget: { deadline: Date.now() - 1, timeout: 5 } });
+		assert.strictEqual(hints[0].text, " toy => Evaluation truncated at line 2: it took more than 5 ms ");
+	});
+
+	test('a truncated vector fails', () => {
+		let hints = evaluateBlock(["// inputs: [1]", "// inputs: [2]", "OP_DUP", "OP_DROP"], { budget: { steps: 1 } });
+		assert.ok(hints.some((hint) => hint.text.includes("✗ #1 fails: Evaluation truncated at line 4: more than 1 steps")));
+	});
+
+	test('a cancelled run throws', () => {
+		assert.throws(() => evaluateBlock(lines, { budget: { isCancelled: () => true } }), CancelledException);
+	});
+
+	test('the worker evaluates the blocks of a document', async () => {
+		let worker = new Worker(path.join(__dirname, "..", "src", "worker.js"));
+		try {
+			let cancel = new SharedArrayBuffer(4);
+			let request = { type: "evaluate", id: 1, uri: "file:///a.rs", blocks: [{ header: 3, lines: ["[1]", "OP_DUP"] }], options: {}, budget: {}, cancel };
+			assert.deepStrictEqual(await reply(worker, request), { id: 1, hints: [
+				{ index: 4, text: " toy =>  [1, 1] []", isError: false },
+				{ index: 3, text: " toy => tapscript limits: stack 2/1000, element 1/520 bytes, opcodes 1, script 1 bytes", isError: false }
+			] });
+
+			// the edited block runs again from its second line, which a newer evaluation cancels
+			Atomics.store(new Int32Array(cancel), 0, 1);
+			let edited = { ...request, id: 2, blocks: [{ header: 3, lines: ["[1]", "OP_DROP"] }] };
+			assert.deepStrictEqual(await reply(worker, edited), { id: 2, cancelled: true });
+		} finally {
+			await worker.terminate();
+		}
+	});
+
+	test('the worker keeps the gadgets and transactions it was sent', async () => {
+		let worker = new Worker(path.join(__dirname, "..", "src", "worker.js"));
+		try {
+			let evaluate = (id, lines, more) => reply(worker, { type: "evaluate", id, uri: "file:///a.btc", blocks: [{ header: 0, lines }], options: { mode: "real" }, budget: {}, cancel: new SharedArrayBuffer(4), ...more });
+			worker.postMessage({ type: "gadgets", files: [], gadgets: indexSource("fn push() -> Script { script! { 2 } }", "/lib.rs") });
+			assert.strictEqual((await evaluate(1, ["[]", "{ push() }"])).hints[0].text, " real =>  [2] []");
+
+			// the expansion takes precedence, a file without gadgets drops its own
+			worker.postMessage({ type: "expansion", gadgets: indexSource("fn push() -> Script { script! { 3 } }", "") });
+			assert.strictEqual((await evaluate(2, ["[]", "{ push() }"])).hints[0].text, " real =>  [3] []");
+			worker.postMessage({ type: "expansion", gadgets: [] });
+			worker.postMessage({ type: "gadgets", files: ["/lib.rs"], gadgets: [] });
+			assert.match((await evaluate(3, ["[]", "{ push() }"])).hints[0].text, /Unknown value push/);
+
+			worker.postMessage({ type: "transaction", file: "/tx.json", transactionError: "Can't read transaction file tx.json: nope" });
+			let hints = (await evaluate(4, ["[1]", "OP_CHECKLOCKTIMEVERIFY"], { transactionFile: "/tx.json" })).hints;
+			assert.strictEqual(hints[0].text, " real => Can't read transaction file tx.json: nope ");
+		} finally {
+			await worker.terminate();
+		}
+	});
+
+	test('a block the interpreter fails on does not stop the worker', async () => {
+		let worker = new Worker(path.join(__dirname, "..", "src", "worker.js"));
+		try {
+			let request = { type: "evaluate", id: 1, uri: "file:///a.rs", blocks: [{ header: 2, lines: [" [1]", 42] }, { header: 5, lines: ["[1]", "OP_DUP"] }], options: {}, budget: {}, cancel: new SharedArrayBuffer(4) };
+			let hints = (await reply(worker, request)).hints;
+			assert.match(hints[0].text, /^ toy => Evaluation failed: /);
+			assert.deepStrictEqual({ ...hints[0], text: undefined }, { index: 2, text: undefined, isError: true, problem: { code: "evaluation-failed", start: 1, end: 4 } });
+			assert.deepStrictEqual(hints.slice(1).map((hint) => hint.index), [6, 5]);
+			assert.strictEqual((await reply(worker, { ...request, id: 2 })).hints.length, 3);
+		} finally {
+			await worker.terminate();
+		}
+	});
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { indexExpansion, indexExpandedBlocks, blockKey, alignExpansion } = require('../src/expand');
+const { evaluateBlock } = require('../src/interpreter');
+
+const expansion = [
+	"const N: u32 = 2;",
+	"pub fn gadget(a: u32) -> Script {",
+	"    {",
+	"        let mut builder = ::bitcoin_script::builder::StructuredScript::new(\"src/lib.rs:3 {\");",
+	"        builder = builder.push_int(a as i64);",
+	"        builder = builder.push_opcode(::bitcoin::opcodes::all::OP_DUP);",
+	"        for i in 0..N {",
+	"            builder = builder.push_opcode(::bitcoin::opcodes::all::OP_ADD);",
+	"            builder = builder.push_expression(i);",
+	"        }",
+	"        builder = builder.push_slice(&[1u8, 0xff]);",
+	"        builder = builder.push_expression(other(1));",
+	"        builder",
+	"    }",
+	"}"
+].join("\n");
+
+suite('Expand Test Suite', () => {
+	test('translates the builder calls of expanded functions', () => {
+		let [gadget] = indexExpansion(expansion, "/expanded.rs");
+		assert.strictEqual(gadget.name, "gadget");
+		assert.deepStrictEqual(gadget.params, ["a"]);
+		assert.deepStrictEqual(gadget.constants, { N: 2n });
+		assert.deepStrictEqual(gadget.lines, ["{ a as i64 }", "OP_DUP", "for i in 0..N {", "OP_ADD", "{ i }", "}", "<0x01ff>", "{ other(1) }"]);
+		assert.deepStrictEqual([gadget.line, gadget.column], [1, 7]);
+		assert.strictEqual(gadget.module, "");
+	});
+
+	test('expanded functions are in the modules of the output', () => {
+		let output = "mod bigint {\n    use super::u32::*;\n    pub fn add() -> Script {\n        builder.push_opcode(OP_ADD)\n    }\n}";
+		let [gadget] = indexExpansion(output, "/expanded.rs");
+		assert.deepStrictEqual([gadget.name, gadget.module, gadget.uses], ["add", "bigint", [{ module: "u32", name: "*" }]]);
+	});
+
+	test('indexes every macro of every function', () => {
+		let output = [
+			"mod m {",
+			"    fn two() {",
+			"        let a = {",
+			"            let mut builder = StructuredScript::new(\"src/m.rs:3 {\");",
+			"            builder = builder.push_opcode(::bitcoin::opcodes::all::OP_DUP);",
+			"            builder",
+			"        };",
+			"        // fn commented() -> Script { builder.push_opcode(OP_0) }",
+			"        let b = {",
+			"            let mut builder = StructuredScript::new(\"\");",
+			"            builder = builder.push_env_script({ let mut builder = StructuredScript::new(\"\"); builder = builder.push_int(9); builder });",
+			"            builder",
+			"        };",
+			"        fn inner() -> Script {",
+			"            { let mut builder = StructuredScript::new(\"\"); builder = builder.push_opcode(OP_ADD); builder }",
+			"        }",
+			"    }",
+			"}",
+			"fn plain() -> Script { builder.push_opcode(OP_1) }"
+		].join("\n");
+		let blocks = indexExpandedBlocks(output);
+		assert.deepStrictEqual([...blocks.keys()], [blockKey("m", "two", 0), blockKey("m", "two", 1), blockKey("m", "inner", 0), blockKey("", "plain", 0)]);
+		assert.deepStrictEqual(blocks.get("m::two#0"), ["OP_DUP"]);
+		assert.strictEqual(blocks.get("m::two#1").length, 1);
+		assert.deepStrictEqual(blocks.get("m::inner#0"), ["OP_ADD"]);
+		assert.deepStrictEqual(blocks.get("plain#0"), ["OP_1"]);
+	});
+
+	test('places the expanded items on the lines of the block', () => {
+		let { lines, origins } = alignExpansion(["OP_DUP", "for i in 0..2 {", "OP_ADD", "}"], ["[1]", "OP_DUP for i in 0..2 {", "  { add() }", "}"]);
+		assert.deepStrictEqual(lines, ["[1]", "OP_DUP", "for i in 0..2 {", "OP_ADD", "}"]);
+		assert.deepStrictEqual(origins.slice(1), [
+			{ line: 1, start: 0, end: 6 }, { line: 1, start: 7, end: 22 }, { line: 2, start: 2, end: 11 }, { line: 3, start: 0, end: 1 }
+		]);
+		assert.throws(() => alignExpansion(["OP_DUP"], ["[1]", "OP_DUP OP_ADD"]), /has 1 script items where the block has 2/);
+	});
+
+	test('a block runs the expansion of its function', () => {
+		let lines = ["[1]", "OP_DUP", "{ mystery!() }"];
+		let hints = evaluateBlock(lines, { expansion: ["OP_DUP", "OP_ADD"] }).filter((hint) => hint.index > 0);
+		assert.deepStrictEqual(hints.map((hint) => [hint.index, hint.text.trim()]), [[1, "toy =>  [1, 1] []"], [2, "toy =>  [2] []"]]);
+		hints = evaluateBlock(lines, { expansion: ["OP_DUP"] });
+		assert.ok(hints.some((hint) => hint.index === 0 && hint.isError));
+	});
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const { parseExpectation } = require('../src/expect');
+const { evaluateBlock } = require('../src/interpreter');
+
+/**
+ * @param {String} script
+ * @returns {String[]} - hints of the script lines, trimmed
+ */
+function run(script) {
+	return evaluateBlock(script.split("\n")).filter((hint) => hint.index > 0).map((hint) => `${hint.index}: ${hint.text.trim()}`);
+}
+
+suite('Expect Test Suite', () => {
+	test('reads the expected stacks of a line', () => {
+		assert.deepStrictEqual(parseExpectation("OP_ADD // expect: [A, MAX(lo, hi)] [C]"), { main: ["A", "MAX(lo, hi)"], alt: ["C"] });
+		assert.deepStrictEqual(parseExpectation("// expect: []"), { main: [], alt: null });
+		assert.strictEqual(parseExpectation("// [A, B]"), null);
+	});
+
+	test('checks lines of their own against the stacks at that point', () => {
+		assert.deepStrictEqual(run("[A, B]\n// expect: [A, B]\nOP_TOALTSTACK\n// expect: [A] [C]"), [
+			"1: toy => as expected", "2: toy =>  [A] [B]", "3: toy => expected [A] [C] but got [A] [B]"
+		]);
+	});
+
+	test('checks the stacks after the tokens of a line', () => {
+		assert.deepStrictEqual(run("[A]\n5 // @name x\nOP_ADD // expect: [(A + 5)]\nOP_1 // expect: [x, 1]"), [
+			"1: toy =>  [A, x=5] []", "2: toy =>  [A+x=(A+5)] []", "3: toy => expected [x, 1] but got [A+x=(A+5), 1]"
+		]);
+		assert.deepStrictEqual(run("[]\n0x05 // expect: [5]"), ["1: toy =>  [5] []"]);
+	});
+
+	test('symbolic items match equivalent expressions', () => {
+		assert.deepStrictEqual(run("[A, B]\nOP_ADD // expect: [A+B]\nOP_DUP // expect: [B + A, (B+A)]"), ["1: toy =>  [(A+B)] []", "2: toy =>  [(A+B), (A+B)] []"]);
+		assert.deepStrictEqual(run("[A, B, C]\nOP_ADD OP_ADD // expect: [C+B+A]\n5 OP_LESSTHAN // expect: [5 > A+B+C]"), [
+			"1: toy =>  [(A+(B+C))] []", "2: toy =>  [((A+(B+C))<5)] []"
+		]);
+		assert.deepStrictEqual(run("[A, B]\nOP_SUB // expect: [B-A]"), ["1: toy => expected [B-A] but got [(A-B)]"]);
+	});
+
+	test('checks every path', () => {
+		let hints = run("[A, B]\nOP_IF 1 OP_ELSE 2 OP_ENDIF\n// expect: [A, 1]");
+		assert.strictEqual(hints[1], "2: toy =>  !B: expected [A, 1] but got [A, 2]");
+	});
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { indexSource, updateIndex } = require('../src/gadgets');
+
+const source = [
+	"const N: u32 = 2;",
+	"",
+	"pub fn push_twice(x: u32, mut y: u32) -> Script {",
+	"    script! {",
+	"        { x } { y * N }",
+	"    }",
+	"}",
+	"",
+	"fn built() -> Script {",
+	"    let s = script! { OP_1 };",
+	"    s",
+	"}",
+	"fn other() -> u32 { 1 }"
+].join("\n");
+
+suite('Gadgets Test Suite', () => {
+	test('indexes functions whose body is a script! block', () => {
+		let gadgets = indexSource(source, "/lib.rs");
+		assert.deepStrictEqual(gadgets.map((gadget) => gadget.name), ["push_twice"]);
+		let [gadget] = gadgets;
+		assert.deepStrictEqual(gadget.params, ["x", "y"]);
+		assert.deepStrictEqual(gadget.constants, { N: 2n });
+		assert.strictEqual(gadget.lines[1].trim(), "{ x } { y * N }");
+		assert.deepStrictEqual([gadget.file, gadget.line, gadget.column], ["/lib.rs", 2, 7]);
+	});
+
+	test('indexes the module of a gadget and what its file imports', () => {
+		let text = "use crate::u32::{add, sub::*};\n// fn commented() -> Script { script! { OP_1 } }\nmod inner {\n    use super::push;\n    fn drop() -> Script { script! { OP_DROP } }\n}\nfn dup() -> Script { script! { OP_DUP } }";
+		let gadgets = indexSource(text, "/crate/src/bigint/mod.rs");
+		assert.deepStrictEqual(gadgets.map((gadget) => [gadget.name, gadget.module]), [["drop", "bigint::inner"], ["dup", "bigint"]]);
+		assert.deepStrictEqual(gadgets[0].uses, [
+			{ module: "u32", name: "add" }, { module: "u32::sub", name: "*" }, { module: "bigint", name: "push" }
+		]);
+		assert.deepStrictEqual(gadgets[1].uses, [{ module: "u32", name: "add" }, { module: "u32::sub", name: "*" }]);
+	});
+
+	test('indexes the bodies of other script macros', () => {
+		let other = "fn a() -> Script { bitcoin_script! { OP_1 } }\nfn b() -> Script { my_script! { OP_2 } }";
+		assert.deepStrictEqual(indexSource(other, "/lib.rs").map((gadget) => gadget.name), ["a"]);
+		assert.deepStrictEqual(indexSource(other, "/lib.rs", ["my_script!"]).map((gadget) => gadget.name), ["b"]);
+	});
+
+	test('replaces the gadgets of a file', () => {
+		let index = new Map();
+		updateIndex(index, "/lib.rs", source);
+		updateIndex(index, "/other.rs", "fn drop() -> Script { script! { OP_DROP } }");
+		assert.deepStrictEqual([...index.keys()], ["/lib.rs#push_twice", "/other.rs#other::drop"]);
+		updateIndex(index, "/lib.rs", "");
+		assert.deepStrictEqual([...index.keys()], ["/other.rs#other::drop"]);
+		updateIndex(index, "/other.rs", null);
+		assert.strictEqual(index.size, 0);
+	});
+});
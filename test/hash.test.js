@@ -0,0 +1,41 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { sha1, sha256, ripemd160, ripemd160Js, hash160, hash256, isSupported } = require('../src/hash');
+const { toHex } = require('../src/scriptnum');
+
+const abc = new TextEncoder().encode("abc");
+
+suite('Hash Test Suite', () => {
+	test('sha1 and sha256', () => {
+		assert.strictEqual(toHex(sha1(abc)), "a9993e364706816aba3e25717850c26c9cd0d89d");
+		assert.strictEqual(toHex(sha256(abc)), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+	});
+
+	test('ripemd160 fallback matches the test vectors', () => {
+		assert.strictEqual(toHex(ripemd160Js(new Uint8Array(0))), "9c1185a5c5e9fc54612808977ee8f548b2258d31");
+		assert.strictEqual(toHex(ripemd160Js(abc)), "8eb208f7e05d987a9b044a8e98c6b087f15a0bfc");
+		let million = new Uint8Array(1000000).fill(0x61);
+		assert.strictEqual(toHex(ripemd160Js(million)), "52783243c1697bdbe16d37f97f68f08325dc1528");
+		assert.strictEqual(toHex(ripemd160(abc)), toHex(ripemd160Js(abc)));
+	});
+
+	test('an algorithm Node lists but cannot create is not supported', () => {
+		let createHash = crypto.createHash;
+		crypto.createHash = () => {
+			throw new Error("error:0308010C:digital envelope routines::unsupported");
+		};
+		try {
+			assert.ok(crypto.getHashes().includes("ripemd160"));
+			assert.strictEqual(isSupported("ripemd160"), false);
+		} finally {
+			crypto.createHash = createHash;
+		}
+		assert.strictEqual(isSupported("sha256"), true);
+		assert.strictEqual(isSupported("nonexistent"), false);
+	});
+
+	test('hash160 and hash256', () => {
+		assert.strictEqual(toHex(hash160(new Uint8Array(0))), "b472a266d0bd89c13706a4132ccfb16f7c3b9fcb");
+		assert.strictEqual(toHex(hash256(new Uint8Array(0))), "5df6e0e2761359d30a8275058e299fcc0381534545f55cf43e41983f5d4c9456");
+	});
+});
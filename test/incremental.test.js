@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { evaluateBlock } = require('../src/interpreter');
+
+/**
+ * Evaluates every version of a block with one cache, each result has to match a run from scratch
+ * @param {String[][]} versions
+ */
+function assertResumes(versions) {
+	let cache = new Map();
+	for (const lines of versions) {
+		assert.deepStrictEqual(evaluateBlock(lines, { cache }), evaluateBlock(lines), lines.join("\n"));
+	}
+}
+
+suite('Incremental Evaluation Test Suite', () => {
+	test('resumes after edits anywhere in the block', () => {
+		let lines = ["[A, B]", "OP_DUP", "OP_ADD", "5 // @name x", "OP_IF", "1", "OP_ENDIF", "OP_SWAP"];
+		let edited = (line, text) => lines.map((old, i) => i === line ? text : old);
+		assertResumes([
+			lines,
+			lines,
+			edited(7, "OP_DROP"),
+			edited(3, "6 // @name y"),
+			edited(3, "6 // @name y"),
+			[...lines.slice(0, 4), "// expect: [A+A, 6]", ...lines.slice(4)],
+			[...lines.slice(0, 2), ...lines.slice(3)],
+			edited(7, "OP_SWAP OP_DROP"),
+			lines.slice(0, 5)
+		]);
+	});
+
+	test('resumes unrolled loops and several input vectors', () => {
+		let lines = ["// inputs: [1, 2] => [3, 3]", "// inputs: [A, 0]", "for i in 0..3 {", "OP_DUP", "OP_ADD", "}", "OP_SWAP"];
+		assertResumes([
+			lines,
+			lines.map((line) => line === "OP_ADD" ? "OP_SUB" : line),
+			lines.map((line) => line === "OP_SWAP" ? "OP_DROP // expect: [2]" : line),
+			lines.map((line) => line === "// inputs: [A, 0]" ? "// inputs: [B, 0]" : line)
+		]);
+	});
+
+	test('an edit near the end of a large script only runs from there', function () {
+		this.timeout(20000);
+		let lines = [`[${Array.from({ length: 200 }, (_, i) => i).join(", ")}]`];
+		for (let i = 0; i < 2000; i++) {
+			lines.push(i % 2 ? "199 OP_ROLL" : "OP_DUP OP_1ADD OP_NIP");
+		}
+		// the budget is asked before every token that runs
+		let runTokens = 0;
+		let budget = {
+			isCancelled: () => {
+				runTokens++;
+				return false;
+			}
+		};
+		let cache = new Map();
+		evaluateBlock(lines, { cache, budget });
+		assert.strictEqual(runTokens, 5000);
+
+		for (let edit = 0; edit < 3; edit++) {
+			lines[1990] = `${190 + edit} OP_ROLL`;
+			runTokens = 0;
+			let hints = evaluateBlock(lines, { cache, budget });
+			// 5000 tokens make a snapshot every 5 tokens, at the start of every odd line: the run
+			// resumes at line 1989 and runs its 3 tokens and the 27 of the 11 lines after it
+			assert.strictEqual(runTokens, 30);
+			assert.deepStrictEqual(hints, evaluateBlock(lines));
+		}
+	});
+});
@@ -0,0 +1,420 @@
+const assert = require('assert');
+const { evaluateBlock } = require('../src/interpreter');
+const { indexSource } = require('../src/gadgets');
+
+/**
+ * @param {String} script - header on the first line, one opcode per line after it
+ * @param {import('../src/interpreter').Options} [options]
+ * @returns {import('../src/interpreter').Hint[] | null} - hints of the script lines, without the header summary
+ */
+function run(script, options) {
+	let hints = evaluateBlock(script.split("\n"), options);
+	return hints && hints.filter((hint) => hint.index > 0);
+}
+
+/**
+ * @param {String} script
+ * @param {import('../src/interpreter').Options} [options]
+ * @returns {String} - hint of the last line that produced one
+ */
+function lastHint(script, options) {
+	let hints = run(script, options);
+	return hints[hints.length - 1].text.trim();
+}
+
+suite('Interpreter Test Suite', () => {
+	test('skips blocks without a header', () => {
+		assert.strictEqual(run("OP_DUP\nOP_ADD"), null);
+	});
+
+	test('takes the if branch', () => {
+		assert.strictEqual(lastHint("[1]\nOP_IF\n2\nOP_ELSE\n3\nOP_ENDIF"), "toy =>  [2] []");
+	});
+
+	test('takes the else branch', () => {
+		assert.strictEqual(lastHint("[0]\nOP_IF\n2\nOP_ELSE\n3\nOP_ENDIF"), "toy =>  [3] []");
+	});
+
+	test('nested if inside a skipped branch does not leak', () => {
+		let script = [
+			"[1, 0]",
+			"OP_IF",
+			"  OP_IF",
+			"    5",
+			"  OP_ENDIF",
+			"  6",
+			"OP_ELSE",
+			"  7",
+			"OP_ENDIF",
+			"8",
+		].join("\n");
+		assert.strictEqual(lastHint(script), "toy =>  [1, 7, 8] []");
+	});
+
+	test('nested branches three levels deep', () => {
+		let script = [
+			"[0, 0, 1]",
+			"OP_IF",
+			"  OP_NOTIF",
+			"    OP_IF",
+			"      4",
+			"    OP_ELSE",
+			"      5",
+			"    OP_ENDIF",
+			"  OP_ELSE",
+			"    6",
+			"  OP_ENDIF",
+			"OP_ENDIF",
+		].join("\n");
+		assert.strictEqual(lastHint(script), "toy =>  [5] []");
+	});
+
+	test('multiple OP_ELSE toggle the branch', () => {
+		assert.strictEqual(lastHint("[1]\nOP_IF\n2\nOP_ELSE\n3\nOP_ELSE\n4\nOP_ENDIF"), "toy =>  [2, 4] []");
+	});
+
+	test('does not pop the condition inside a skipped branch', () => {
+		assert.strictEqual(lastHint("[9, 0]\nOP_IF\nOP_IF\nOP_ENDIF\nOP_ENDIF"), "toy =>  [9] []");
+	});
+
+	test('OP_ELSE without OP_IF is an error', () => {
+		let hints = run("[1]\nOP_ELSE");
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /OP_ELSE without matching OP_IF/);
+	});
+
+	test('OP_ENDIF without OP_IF is an error', () => {
+		let hints = run("[1]\nOP_DUP\nOP_ENDIF\nOP_DUP");
+		assert.strictEqual(hints.length, 2);
+		assert.ok(hints[1].isError);
+		assert.match(hints[1].text, /OP_ENDIF without matching OP_IF/);
+	});
+
+	test('missing OP_ENDIF is reported on the open OP_IF', () => {
+		let hints = run("[1, 1]\nOP_IF\nOP_IF\n2\nOP_ENDIF");
+		let errors = hints.filter((hint) => hint.isError);
+		assert.strictEqual(errors.length, 1);
+		assert.strictEqual(errors[0].index, 1);
+		assert.match(errors[0].text, /missing OP_ENDIF/);
+	});
+
+	test('OP_SIZE counts bytes of the element', () => {
+		assert.strictEqual(lastHint("[0, 1, 255, -128, 32768]\nOP_SIZE"), "toy =>  [0, 1, 255, -128, 32768, 3] []");
+		assert.strictEqual(lastHint("[0]\nOP_SIZE"), "toy =>  [0, 0] []");
+	});
+
+	test('OP_EQUAL compares bytes', () => {
+		assert.strictEqual(lastHint("[1]\n1\nOP_EQUAL"), "toy =>  [1] []");
+		assert.strictEqual(lastHint("[1]\nOP_1\nOP_EQUAL"), "toy =>  [1] []");
+		assert.strictEqual(lastHint("[0]\nOP_0\nOP_EQUAL"), "toy =>  [1] []");
+		assert.strictEqual(lastHint("[1]\n2\nOP_EQUAL"), "toy =>  [0] []");
+	});
+
+	test('arithmetic results beyond 4 bytes cannot be used as operands in real mode', () => {
+		let hints = run("[2147483647]\nOP_DUP\nOP_ADD\nOP_1ADD", { mode: "real" });
+		assert.strictEqual(hints[1].text.trim(), "real =>  [0xfeffffff00] []");
+		assert.ok(hints[2].isError);
+		assert.match(hints[2].text, /overflow/);
+	});
+
+	test('toy mode accepts wider operands and shows them as numbers', () => {
+		assert.strictEqual(lastHint("[2147483647]\nOP_DUP\nOP_ADD\nOP_1ADD"), "toy =>  [4294967295] []");
+		assert.strictEqual(lastHint("[2147483647]\nOP_1ADD"), "toy =>  [2147483648] []");
+		assert.strictEqual(lastHint("[]\n{ 1 << 40 }"), "toy =>  [1099511627776] []");
+		assert.strictEqual(lastHint("[]\n{ 1 << 40 }", { mode: "real" }), "real =>  [0x000000000001] []");
+	});
+
+	test('real mode rejects non-minimally encoded operands', () => {
+		let hints = run("[0x0100]\nOP_1ADD", { mode: "real" });
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /Non-minimally encoded/);
+		assert.strictEqual(lastHint("[0x0100]\nOP_1ADD"), "toy =>  [2] []");
+	});
+
+	test('a block can switch mode with a directive', () => {
+		let script = "[0x616263]\n// @mode real\nOP_SHA256\nOP_SIZE";
+		assert.strictEqual(lastHint(script), "real =>  [0xba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad, 32] []");
+		assert.strictEqual(lastHint("[5]\n// @mode toy\nOP_SHA256", { mode: "real" }), "toy =>  [Hash(5)] []");
+	});
+
+	test('an unknown mode directive is an error', () => {
+		let hints = run("[1]\n// @mode fast\nOP_DUP");
+		assert.strictEqual(hints.length, 1);
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /Unknown mode fast/);
+	});
+
+	test('symbolic header items survive stack manipulation', () => {
+		assert.strictEqual(lastHint("[A, B] [C]\nOP_SWAP\nOP_FROMALTSTACK\nOP_ROT"), "toy =>  [A, C, B] []");
+	});
+
+	test('arithmetic on symbols builds expressions', () => {
+		assert.strictEqual(lastHint("[A, B]\nOP_ADD"), "toy =>  [(A+B)] []");
+		assert.strictEqual(lastHint("[A, B]\nOP_LESSTHAN\nOP_NOT"), "toy =>  [!(A<B)] []");
+		assert.strictEqual(lastHint("[A]\nOP_1ADD\n2\nOP_ADD\nOP_DUP\nOP_1SUB"), "toy =>  [(A+3), (A+2)] []");
+		assert.strictEqual(lastHint("[A, 3, 4]\nOP_ADD\nOP_SWAP\nOP_DUP\nOP_SUB"), "toy =>  [7, 0] []");
+	});
+
+	test('symbols are compared by expression', () => {
+		assert.strictEqual(lastHint("[A, A]\nOP_EQUAL"), "toy =>  [1] []");
+		assert.strictEqual(lastHint("[A, B]\nOP_EQUAL"), "toy =>  [(A==B)] []");
+		assert.strictEqual(lastHint("[A, 5]\nOP_SWAP\nOP_SHA256\nOP_EQUAL"), "toy =>  [(5==Hash(A))] []");
+	});
+
+	test('symbolic conditions are assumed to hold by VERIFY', () => {
+		assert.strictEqual(lastHint("[A, B, 1]\nOP_ROT\nOP_ROT\nOP_NUMEQUALVERIFY"), "toy =>  [1] []");
+		assert.ok(run("[A, A]\nOP_NUMNOTEQUAL\nOP_VERIFY")[1].isError);
+	});
+
+	test('a symbolic OP_IF explores both branches', () => {
+		let hints = run("[A, B]\nOP_2DUP\nOP_GREATERTHAN\nOP_IF\nOP_SUB\nOP_ELSE\nOP_SWAP\nOP_SUB\nOP_ENDIF");
+		assert.strictEqual(hints[2].text.trim(), "toy =>  (A>B): [A, B] [] | !(A>B): [A, B] []");
+		assert.strictEqual(hints[3].text.trim(), "toy =>  (A>B): [(A-B)] []");
+		assert.strictEqual(hints[hints.length - 1].text.trim(), "toy =>  (A>B): [(A-B)] [] | !(A>B): [(B-A)] []");
+	});
+
+	test('paths are pruned when the constraints decide a condition', () => {
+		let script = "[A, B]\nOP_2DUP\nOP_LESSTHAN\nOP_IF\nOP_2DUP\nOP_LESSTHAN\nOP_NOTIF\nOP_RETURN\nOP_ENDIF\nOP_ENDIF\nOP_ADD";
+		let hints = run(script);
+		assert.ok(hints.every((hint) => !hint.isError));
+		assert.strictEqual(hints[hints.length - 1].text.trim(), "toy =>  (A<B): [(A+B)] [] | !(A<B): [(A+B)] []");
+	});
+
+	test('opposite comparisons negate each other', () => {
+		let hints = run("[A, B]\nOP_2DUP\nOP_LESSTHAN\nOP_IF\nOP_2DUP\nOP_GREATERTHANOREQUAL\nOP_VERIFY\nOP_ENDIF\nOP_ADD");
+		assert.strictEqual(hints.find((hint) => hint.index === 6).text.trim(), "toy =>  (A<B): Verification failed");
+		assert.strictEqual(hints[hints.length - 1].text.trim(), "toy =>  !(A<B): [(A+B)] []");
+
+		// a path that assumed (A>=B) takes the OP_ELSE of (A<B) without splitting
+		hints = run("[A, B]\nOP_2DUP\nOP_GREATERTHANOREQUAL\nOP_VERIFY\nOP_2DUP\nOP_LESSTHAN\nOP_IF\nOP_RETURN\nOP_ELSE\nOP_ADD\nOP_ENDIF");
+		assert.ok(hints.every((hint) => !hint.isError));
+		assert.strictEqual(hints[hints.length - 1].text.trim(), "toy =>  [(A+B)] []");
+	});
+
+	test('a failing branch does not stop the other paths', () => {
+		let hints = run("[A]\nOP_DUP\nOP_IF\nOP_0\nOP_VERIFY\nOP_ENDIF\nOP_1ADD");
+		assert.ok(hints[3].isError);
+		assert.strictEqual(hints[3].text.trim(), "toy =>  A: Verification failed");
+		assert.strictEqual(hints[hints.length - 1].text.trim(), "toy =>  !A: [(A+1)] []");
+	});
+
+	test('opcodes are checked against the sigversion', () => {
+		let hints = run("[1, 2, 3]\n// @sigversion legacy\nOP_CHECKSIGADD");
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /OP_CHECKSIGADD is only available in tapscript, not in legacy scripts/);
+
+		hints = run("[0, 1, 1, 2, 1]\nOP_CHECKMULTISIG");
+		assert.match(hints[0].text, /OP_CHECKMULTISIG is disabled in tapscript/);
+		assert.strictEqual(lastHint("[0, 1, 1, 2, 1]\n// @sigversion segwitv0\nOP_CHECKMULTISIG"), "toy =>  [1] []");
+	});
+
+	test('the sigversion directive wins over the setting and the transaction', () => {
+		let script = "[0, 1, 1, 2, 1]\n// @sigversion legacy\nOP_CHECKMULTISIG";
+		assert.strictEqual(lastHint(script, { sigversion: "tapscript", transaction: { sigversion: "tapscript" } }), "toy =>  [1] []");
+		assert.ok(run("[0, 1, 1, 2, 1]\nOP_CHECKMULTISIG", { sigversion: "legacy", transaction: { sigversion: "tapscript" } })[0].isError);
+		assert.strictEqual(lastHint("[0, 1, 1, 2, 1]\nOP_CHECKMULTISIG", { sigversion: "legacy" }), "toy =>  [1] []");
+		assert.match(run("[1]\n// @sigversion taproot\nOP_DUP")[0].text, /Unknown sigversion taproot, expected legacy or segwitv0 or tapscript/);
+	});
+
+	test('tapscript requires minimal OP_IF arguments', () => {
+		let hints = run("[2]\nOP_IF\nOP_ENDIF");
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /MINIMALIF/);
+		assert.ok(!run("[2]\nOP_NOTIF\nOP_ENDIF", { sigversion: "segwitv0" })[0].isError);
+		assert.ok(!run("[1]\nOP_IF\nOP_ENDIF")[0].isError);
+	});
+
+	test('OP_SUCCESSx makes a tapscript succeed without running it', () => {
+		let hints = run("[1]\nOP_0\nOP_IF\nOP_RESERVED\nOP_ENDIF");
+		assert.strictEqual(hints.length, 1);
+		assert.strictEqual(hints[0].index, 3);
+		assert.ok(!hints[0].isError);
+		assert.match(hints[0].text, /OP_RESERVED is OP_SUCCESS80/);
+		hints = run("[1]\nOP_0\nOP_IF\nOP_MUL\nOP_ENDIF");
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /OP_MUL is OP_SUCCESS149 in tapscript, .* enable the experimental opcodes profile/);
+	});
+
+	test('disabled opcodes fail even in a branch that is not taken', () => {
+		let hints = run("[1]\nOP_0\nOP_IF\nOP_MUL\nOP_ENDIF", { sigversion: "legacy" });
+		let last = hints[hints.length - 1];
+		assert.strictEqual(last.index, 3);
+		assert.ok(last.isError);
+		assert.match(last.text, /OP_MUL is a disabled opcode, enable the experimental opcodes profile/);
+		assert.match(run("[1, 2]\nOP_2MUL", { experimental: true, sigversion: "legacy" })[0].text, /OP_2MUL is a disabled opcode $/);
+		assert.match(run("[1, 2]\n// @experimental on\n// @sigversion segwitv0\nOP_CAT")[0].text, /OP_CAT is disabled outside tapscript \(BIP-347\)/);
+		assert.strictEqual(lastHint("[2, 3]\n// @experimental on\nOP_MUL"), "toy =>  [6] []");
+		assert.ok(run("[2, 3]\n// @experimental off\nOP_MUL", { experimental: true })[0].isError);
+	});
+
+	test('OP_CAT concatenates in order (BIP-347)', () => {
+		let options = { experimental: true, mode: "real" };
+		assert.strictEqual(lastHint("[0x0102, 0x030405]\nOP_CAT", options), "real =>  [0x0102030405] []");
+		assert.strictEqual(lastHint("[A, 0x01]\nOP_CAT", options), "real =>  [(A||1)] []");
+		assert.match(lastHint("[0x" + "00".repeat(300) + ", 0x" + "00".repeat(300) + "]\nOP_CAT", options), /Element size limit exceeded: 600 bytes/);
+	});
+
+	test('splice opcodes work on bytes', () => {
+		let options = { experimental: true, mode: "real" };
+		assert.strictEqual(lastHint("[0x010203, 1]\nOP_SPLIT", options), "real =>  [1, 770] []");
+		assert.strictEqual(lastHint("[0x010203, 3]\nOP_SPLIT", options), "real =>  [197121, 0] []");
+		assert.match(lastHint("[0x010203, 4]\nOP_SPLIT", options), /Invalid SPLIT position 4 for 3 bytes/);
+		assert.strictEqual(lastHint("[-1, 4]\nOP_NUM2BIN", options), "real =>  [0x01000080] []");
+		assert.strictEqual(lastHint("[0x0180, 1]\nOP_NUM2BIN", options), "real =>  [-1] []");
+		assert.match(lastHint("[0x0100, 0]\nOP_NUM2BIN", options), /Impossible encoding: 1 needs more than 0 bytes/);
+		assert.strictEqual(lastHint("[0x01000080]\nOP_BIN2NUM", options), "real =>  [-1] []");
+		assert.match(lastHint("[0x0000000001]\nOP_BIN2NUM", options), /Script number overflow: 5 bytes/);
+	});
+
+	test('bitwise opcodes need operands of the same size', () => {
+		let options = { experimental: true, mode: "real" };
+		assert.strictEqual(lastHint("[0x0f0f0f0f0f, 0x00ff00ff00]\nOP_AND", options), "real =>  [0x000f000f00] []");
+		assert.strictEqual(lastHint("[0x0f0f0f0f0f, 0x00ff00ff00]\nOP_OR", options), "real =>  [0x0fff0fff0f] []");
+		assert.strictEqual(lastHint("[0x0f0f0f0f0f, 0x00ff00ff00]\nOP_XOR", options), "real =>  [0x0ff00ff00f] []");
+		assert.strictEqual(lastHint("[0x0f00ff0000]\nOP_INVERT", options), "real =>  [0xf0ff00ffff] []");
+		assert.match(lastHint("[0x0f, 0x00ff]\nOP_AND", options), /AND operands must have the same size, got 1 and 2 bytes/);
+	});
+
+	test('multiplication, division and shifts', () => {
+		let options = { experimental: true, mode: "real" };
+		assert.strictEqual(lastHint("[-7, 2]\nOP_DIV", options), "real =>  [-3] []");
+		assert.strictEqual(lastHint("[-7, 2]\nOP_MOD", options), "real =>  [-1] []");
+		assert.match(lastHint("[7, 0]\nOP_MOD", options), /Modulo by zero/);
+		assert.strictEqual(lastHint("[2147483647, 2147483647]\nOP_MUL", options), "real =>  [0x01000000ffffff3f] []");
+		assert.strictEqual(lastHint("[-5, 2]\nOP_LSHIFT", options), "real =>  [-20] []");
+		assert.strictEqual(lastHint("[-5, 1]\nOP_RSHIFT", options), "real =>  [-2] []");
+		assert.strictEqual(lastHint("[A, 2]\nOP_MUL", options), "real =>  [(A*2)] []");
+		assert.strictEqual(lastHint("[A, 3]\nOP_LSHIFT", options), "real =>  [(A*8)] []");
+	});
+
+	test('OP_RETURN and reserved opcodes fail when executed', () => {
+		assert.match(lastHint("[1]\nOP_RETURN"), /OP_RETURN ends the script as failed/);
+		assert.match(lastHint("[1]\nOP_VER", { sigversion: "legacy" }), /OP_VER is a reserved opcode/);
+		assert.strictEqual(lastHint("[0]\nOP_IF\nOP_RESERVED\nOP_RETURN\nOP_ENDIF", { sigversion: "legacy" }), "toy =>  [] []");
+	});
+
+	test('OP_VERIF fails even in a branch that is not taken', () => {
+		let hints = run("[0]\nOP_IF\nOP_VERIF\nOP_ENDIF");
+		assert.ok(hints[1].isError);
+		assert.match(hints[1].text, /OP_VERIF is an invalid opcode, even in a branch that is not taken/);
+	});
+
+	test('upgradable NOPs are rejected under DISCOURAGE_UPGRADABLE_NOPS', () => {
+		assert.strictEqual(lastHint("[1]\nOP_NOP4"), "toy =>  [1] []");
+		assert.match(lastHint("[1]\nOP_NOP10", { flags: ["DISCOURAGE_UPGRADABLE_NOPS"] }), /OP_NOP10 is reserved for soft fork upgrades \(DISCOURAGE_UPGRADABLE_NOPS\)/);
+		assert.match(lastHint("[1]\n// @flags DISCOURAGE_UPGRADABLE_NOPS\nOP_NOP1"), /DISCOURAGE_UPGRADABLE_NOPS/);
+		assert.strictEqual(lastHint("[1]\n// @flags none\nOP_NOP1", { flags: ["DISCOURAGE_UPGRADABLE_NOPS"] }), "toy =>  [1] []");
+		assert.match(run("[1]\n// @flags MINIMAL,none\nOP_NOP1")[0].text, /Unknown flags MINIMAL/);
+	});
+
+	test('pushes hex, quoted strings and explicit PUSHDATA as bytes', () => {
+		let pubkey = "0x02" + "ab".repeat(32);
+		assert.strictEqual(lastHint(`[]\n${pubkey}`), `toy =>  [${pubkey}] []`);
+		assert.strictEqual(lastHint("[]\n<0x0100>"), "toy =>  [0x0100] []");
+		assert.strictEqual(lastHint("[]\n\"abc\"\nOP_SIZE"), "toy =>  [6513249, 3] []");
+		assert.strictEqual(lastHint("[]\nOP_PUSHDATA1 0x0102"), "toy =>  [513] []");
+		assert.strictEqual(lastHint("[]\n9007199254740993"), "toy =>  [0x01000000000020] []");
+	});
+
+	test('rejects malformed pushes even in a branch that is not taken', () => {
+		assert.match(run("[0]\nOP_IF\n0xabc\nOP_ENDIF")[1].text, /0xabc is not a whole number of bytes, it has 3 hex digits/);
+		assert.match(lastHint("[]\nOP_PUSHDATA1"), /OP_PUSHDATA1 needs the data to push/);
+		assert.match(lastHint(`[]\nOP_PUSHDATA1 0x${"00".repeat(256)}`), /OP_PUSHDATA1 can push at most 255 bytes, got 256/);
+		assert.match(lastHint("[]\n\"caf\u00e9\""), /not printable ASCII/);
+		for (const push of ["<\"abc\">", "0xzz", "<0x0g>", "<1>"]) {
+			assert.strictEqual(lastHint(`[1]\n${push}\nOP_DUP`), `toy => ${push} is not a data push, write hex like <0x0102>, a quoted string or a placeholder like <pubkey>`);
+		}
+	});
+
+	test('bare words fail as unknown opcodes unless the block is Rust', () => {
+		assert.strictEqual(lastHint("[1]\nDUP\nOP_DUP"), "toy => DUP is not an opcode");
+		assert.match(run("[0]\nOP_IF\nDUP\nOP_ENDIF")[1].text, /DUP is not an opcode/);
+		assert.strictEqual(lastHint("[1]\nDUP\nOP_DUP", { skipWords: true }), "toy =>  [1, 1] []");
+	});
+
+	test('flags pushes that are not minimal under MINIMALDATA', () => {
+		let options = { flags: ["MINIMALDATA"] };
+		assert.strictEqual(lastHint("[]\n<0x05>"), "toy =>  [5] []");
+		assert.match(lastHint("[]\n<0x05>", options), /Push of 0x05 is not minimal, use OP_5 \(MINIMALDATA\)/);
+		assert.match(lastHint("[]\n<0x>", options), /use OP_0/);
+		assert.match(lastHint("[]\n0x81", options), /use OP_1NEGATE/);
+		assert.match(lastHint("[]\nOP_PUSHDATA1 0x0102", options), /use a direct push/);
+		assert.match(lastHint(`[]\nOP_PUSHDATA2 0x${"00".repeat(100)}`, options), /use OP_PUSHDATA1/);
+		assert.strictEqual(lastHint(`[]\nOP_PUSHDATA1 0x${"00".repeat(100)}\nOP_SIZE\nOP_NIP`, options), "toy =>  [100] []");
+	});
+
+	test('runs every opcode of a line', () => {
+		let script = "[sig, pk]\nOP_DUP OP_HASH160 <pkh> OP_EQUALVERIFY OP_CHECKSIG";
+		assert.strictEqual(lastHint(script), "toy =>  [1] []");
+		assert.strictEqual(lastHint("[1]\nOP_DUP OP_ADD // OP_DROP\n/* OP_DROP */ 3 OP_SUB"), "toy =>  [-1] []");
+		assert.strictEqual(lastHint("[1]\nOP_IF 2 OP_ELSE 3 OP_ENDIF"), "toy =>  [2] []");
+		assert.strictEqual(run("[]\n{\n1\n}").length, 1);
+	});
+
+	test('shows the stacks after every token on request', () => {
+		let hints = run("[1]\nOP_DUP OP_ADD", { tokenHints: true });
+		assert.deepStrictEqual(hints.map((hint) => [hint.text.trim(), hint.column]), [
+			["toy =>  [1, 1] []", 6], ["toy =>  [2] []", undefined]
+		]);
+		assert.strictEqual(run("[1]\nOP_DUP OP_ADD").length, 1);
+		hints = run("[1]\nOP_DUP OP_RETURN OP_ADD", { tokenHints: true });
+		assert.ok(hints[1].isError);
+		assert.strictEqual(hints.length, 2);
+	});
+
+	test('unrolls loops of the macro and shows their iterations', () => {
+		let hints = run("[1]\nfor i in 0..3 {\nOP_DUP OP_ADD\n}");
+		assert.deepStrictEqual(hints.map((hint) => [hint.index, hint.text.trim()]), [
+			[2, "toy =>  [8] []"], [1, "toy => for i in 0..3: 3 iterations"]
+		]);
+		assert.strictEqual(lastHint("[]\nfor i in 0..N { { i * 2 } }\nOP_ADD OP_ADD", { constants: { N: 3n } }), "toy =>  [6] []");
+	});
+
+	test('errors in a loop name their iteration', () => {
+		let hints = run("[]\nfor i in 0..4 {\n{ 2 - i } OP_VERIFY\n}");
+		assert.strictEqual(hints[0].text.trim(), "toy => Verification failed (in iteration i=2)");
+		assert.ok(hints[0].isError);
+	});
+
+	test('inlines gadget calls and shows the stacks after each', () => {
+		let source = "fn push(x: u32) -> Script { script! { { x } { x + 1 } } }\nfn add() -> Script { script! { OP_ADD } }";
+		let gadgets = new Map(indexSource(source, "/lib.rs").map((gadget) => [gadget.name, gadget]));
+		let hints = run("[]\n{ push(3) } { add() }", { gadgets });
+		assert.deepStrictEqual(hints.map((hint) => [hint.text.trim(), hint.column]), [
+			["toy =>  [3, 4] []", 11], ["toy =>  [7] []", undefined]
+		]);
+		assert.strictEqual(lastHint("[]\n{ add() }", { gadgets }), "toy => ADD requires two items in stack (in add)");
+		hints = run("[]\n{ unknown(1) }\n1", { gadgets });
+		assert.deepStrictEqual(hints.map((hint) => hint.text.trim()), ["toy =>  [1] []", "toy => { unknown(1) } is skipped: Unknown value unknown"]);
+	});
+
+	test('names follow stack items and name the results', () => {
+		let hints = run("[a=3]\n5 // @name x\nOP_DUP // @name y\nOP_ADD\nOP_SWAP OP_TOALTSTACK\nOP_FROMALTSTACK OP_SUB\nOP_1ADD");
+		assert.deepStrictEqual(hints.map((hint) => hint.text.trim()), [
+			"toy =>  [a=3, x=5] []",
+			"toy =>  [a=3, x=5, y=5] []",
+			"toy =>  [a=3, x+y=10] []",
+			"toy =>  [x+y=10] [a=3]",
+			"toy =>  [(x+y)-a=7] []",
+			"toy =>  [((x+y)-a)+1=8] []"
+		]);
+		assert.strictEqual(lastHint("[]\n1 2 // @name lo, hi\nOP_MAX"), "toy =>  [MAX(lo, hi)=2] []");
+		assert.strictEqual(lastHint("[]\n1 // @name a, b"), "toy => @name needs 2 items on the stack, it has 1");
+	});
+
+	test('hashes stay symbolic in toy mode', () => {
+		assert.strictEqual(lastHint("[5]\nOP_SHA256"), "toy =>  [Hash(5)] []");
+	});
+
+	test('hashes are computed in real mode', () => {
+		let preimage = "0x616263";
+		let digest = "0xba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad";
+		let script = `[${preimage}, ${digest}]\nOP_SWAP\nOP_SHA256\nOP_EQUAL`;
+		assert.strictEqual(lastHint(script, { mode: "real" }), "real =>  [1] []");
+		assert.strictEqual(lastHint("[0]\nOP_HASH160", { mode: "real" }), "real =>  [0xb472a266d0bd89c13706a4132ccfb16f7c3b9fcb] []");
+	});
+
+	test('symbolic values are not hashed in real mode', () => {
+		assert.strictEqual(lastHint("[A]\nOP_RIPEMD160", { mode: "real" }), "real =>  [Hash(A)] []");
+	});
+});
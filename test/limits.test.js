@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { evaluateBlock } = require('../src/interpreter');
+
+/**
+ * @param {String[]} lines
+ * @param {String} [sigversion]
+ */
+function run(lines, sigversion = "tapscript") {
+	return evaluateBlock(lines, { transaction: { sigversion } });
+}
+
+/**
+ * @param {import('../src/interpreter').Hint[]} hints
+ * @returns {String}
+ */
+function summary(hints) {
+	return hints.find((hint) => hint.index === 0 && !hint.isError).text.trim();
+}
+
+suite('Limits Test Suite', () => {
+	test('summarizes how close a block came to each limit', () => {
+		let hints = run(["[1, 0x0102030405]", "OP_DUP", "OP_DROP", "OP_ADD"]);
+		assert.strictEqual(summary(hints), "toy => tapscript limits: stack 3/1000, element 5/520 bytes, opcodes 3, script 3 bytes");
+		hints = run(["[1, 2]", "OP_ADD", "16", "17"], "legacy");
+		assert.strictEqual(summary(hints), "toy => legacy limits: stack 3/1000, element 1/520 bytes, opcodes 1/201, script 4/10000 bytes");
+	});
+
+	test('stacks are limited to 1000 elements together', () => {
+		let header = `[${new Array(998).fill(1).join(", ")}] [1]`;
+		let hints = run([header, "OP_DUP", "OP_DUP"]);
+		assert.ok(!hints[0].isError);
+		assert.ok(hints[1].isError);
+		assert.strictEqual(hints[1].index, 2);
+		assert.match(hints[1].text, /Stack size limit exceeded: 1001 elements/);
+	});
+
+	test('elements are limited to 520 bytes', () => {
+		let hints = run([`[0x${"ab".repeat(521)}]`, "OP_DUP"]);
+		assert.strictEqual(hints[0].index, 0);
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /Element size limit exceeded: 521 bytes/);
+	});
+
+	test('legacy scripts are limited to 201 non-push opcodes', () => {
+		let lines = ["[1]", "1", ...new Array(202).fill("OP_NOP"), "OP_IF", "OP_ENDIF"];
+		let hints = run(lines, "legacy");
+		let failed = hints.find((hint) => hint.isError);
+		assert.strictEqual(failed.index, 203);
+		assert.match(failed.text, /Opcode limit exceeded/);
+
+		hints = run(lines);
+		assert.ok(hints.every((hint) => !hint.isError));
+		assert.match(summary(hints), /opcodes 204,/);
+	});
+
+	test('the keys of OP_CHECKMULTISIG count as opcodes', () => {
+		// 2 opcodes and 20 keys a line, the tenth line goes from 199 to 219
+		let keys = Array.from({ length: 20 }, (_, i) => i + 1).join(" ");
+		let lines = ["[]", ...new Array(10).fill(`0 0 ${keys} 20 OP_CHECKMULTISIG OP_DROP`)];
+		let failed = run(lines, "legacy").find((hint) => hint.isError);
+		assert.strictEqual(failed.index, 10);
+		assert.match(failed.text, /Opcode limit exceeded: more than 201 non-push opcodes, counting the 20 keys of OP_CHECKMULTISIG/);
+
+		let hints = run(lines.slice(0, 10), "segwitv0");
+		assert.ok(hints.every((hint) => !hint.isError));
+		assert.match(summary(hints), /opcodes 198\/201/);
+	});
+
+	test('opcodes in a branch that is not taken count too', () => {
+		let lines = ["[0]", "OP_IF", ...new Array(201).fill("OP_NOP"), "OP_ENDIF"];
+		let failed = run(lines, "segwitv0").find((hint) => hint.isError);
+		// OP_IF is the first opcode, the 201st OP_NOP is the 202nd
+		assert.strictEqual(failed.index, 202);
+	});
+
+	test('legacy scripts are limited to 10000 bytes', () => {
+		let lines = ["[]", ...new Array(10001).fill("1")];
+		let hints = run(lines, "legacy");
+		assert.strictEqual(hints.length, 2);
+		assert.strictEqual(hints[0].index, 10001);
+		assert.match(hints[0].text, /Script size limit exceeded: 10001 bytes/);
+	});
+});
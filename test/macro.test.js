@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { evaluateExpression, collectConstants, expandMacro } = require('../src/macro');
+const { tokenize } = require('../src/tokenizer');
+
+/**
+ * @param {String[]} lines
+ * @param {Object} [constants]
+ * @returns {String[]} - texts of the expanded tokens
+ */
+function expand(lines, constants) {
+	return expandMacro(tokenize(lines), lines, constants).tokens.map((token) => token.text);
+}
+
+suite('Macro Test Suite', () => {
+	test('evaluates integer arithmetic', () => {
+		assert.strictEqual(evaluateExpression("1 + 2 * 3", {}), 7n);
+		assert.strictEqual(evaluateExpression("(1 + 2) * 3 - -1", {}), 10n);
+		assert.strictEqual(evaluateExpression("1 << 4 + 1", {}), 32n);
+		assert.strictEqual(evaluateExpression("-7 / 2", {}), -3n);
+		assert.strictEqual(evaluateExpression("-7 % 2", {}), -1n);
+		assert.strictEqual(evaluateExpression("0xff_u32 + 1_000 + 8u8", { }), 1263n);
+		assert.strictEqual(evaluateExpression("(i as u32) * N", { i: 3n, N: 4n }), 12n);
+	});
+
+	test('rejects what is not integer arithmetic', () => {
+		assert.throws(() => evaluateExpression("f(1)", {}), /Unknown value f/);
+		assert.throws(() => evaluateExpression("1 / 0", {}), /Division by zero/);
+		assert.throws(() => evaluateExpression("1 +", {}), /Incomplete expression/);
+		assert.throws(() => evaluateExpression("\"a\"", {}), /Unexpected "/);
+	});
+
+	test('collects constants and the let values of the enclosing function', () => {
+		let source = [
+			"const N: usize = 4;",
+			"const NAME: &str = \"x\";",
+			"fn other() { let a = 1; }",
+			"fn script() -> Script {",
+			"    let k = N * 2;",
+			"    let mut m: u32 = k + 1;",
+			"    script! { }",
+			"}"
+		].join("\n");
+		assert.deepStrictEqual(collectConstants(source, source.indexOf("script!")), { N: 4n, k: 8n, m: 9n });
+	});
+
+	test('unrolls loops and evaluates braces', () => {
+		assert.deepStrictEqual(expand(["for i in 0..3 { { i * 2 } }"]), ["0", "2", "4"]);
+		assert.deepStrictEqual(expand(["for i in 1..=N {", "  OP_DUP", "}"], { N: 2n }), ["OP_DUP", "OP_DUP"]);
+		assert.deepStrictEqual(expand(["for i in (0..3).rev() { { i } }"]), ["2", "1", "0"]);
+		assert.deepStrictEqual(expand(["for i in 0..2 { for j in 0..2 { { i * 10 + j } } }"]), ["0", "1", "10", "11"]);
+	});
+
+	test('unrolled tokens know their iteration', () => {
+		let lines = ["for i in 0..2 {", "  { i } OP_DROP", "}"];
+		let { tokens, notes } = expandMacro(tokenize(lines), lines);
+		assert.deepStrictEqual(tokens[2].loops, [{ variable: "i", value: 1, count: 2 }]);
+		assert.deepStrictEqual(tokens[2].start, 2);
+		assert.deepStrictEqual(tokens[2].end, 7);
+		assert.deepStrictEqual(notes, [{ line: 0, text: "for i in 0..2: 2 iterations", isError: false }]);
+	});
+
+	test('skips what it cannot evaluate', () => {
+		let lines = ["{ f(1) } OP_ADD"];
+		let { tokens, notes } = expandMacro(tokenize(lines), lines);
+		assert.deepStrictEqual(tokens.map((token) => token.text), ["OP_ADD"]);
+		assert.deepStrictEqual(notes, [{ line: 0, text: "{ f(1) } is skipped: Unknown value f", isError: false }]);
+		lines = ["for i in 0..n { OP_DUP }"];
+		({ tokens, notes } = expandMacro(tokenize(lines), lines));
+		assert.deepStrictEqual(tokens.map((token) => token.text), ["OP_DUP"]);
+		assert.match(notes[0].text, /Can't unroll for i in 0..n: Unknown value n, running the body once/);
+	});
+
+	test('inlines gadget calls with their arguments bound', () => {
+		let gadgets = new Map([
+			["double", { name: "double", params: ["x"], lines: ["{ x * 2 } OP_ADD"], constants: {} }],
+			["twice", { name: "twice", params: [], lines: ["{ double(1) } { double(2) }"], constants: {} }],
+			["again", { name: "again", params: [], lines: ["{ again() }"], constants: {} }]
+		]);
+		let lines = ["for i in 0..2 { { double(i + 1) } }", "{ twice() }", "{ again() }"];
+		let { tokens, notes } = expandMacro(tokenize(lines), lines, {}, gadgets);
+		assert.deepStrictEqual(tokens.map((token) => token.text), ["2", "OP_ADD", "4", "OP_ADD", "2", "OP_ADD", "4", "OP_ADD"]);
+		assert.deepStrictEqual([tokens[1].line, tokens[1].start, tokens[1].end, tokens[1].call.name], [0, 16, 33, "double"]);
+		assert.strictEqual(tokens[4].call.name, "twice");
+		assert.match(notes[1].text, /again: again calls itself/);
+	});
+
+	test('inlines the gadget a call names from its module', () => {
+		let gadget = (module, text) => ({ name: "add", params: [], lines: [text], constants: {}, file: `/src/${module}.rs`, module });
+		let gadgets = new Map([["/src/a.rs#a::add", gadget("a", "OP_ADD")], ["/src/b.rs#b::add", gadget("b", "OP_SUB")]]);
+		let lines = ["{ add() } { b::add() }"];
+		let { tokens, notes } = expandMacro(tokenize(lines), lines, {}, gadgets, [], { module: "a" });
+		assert.deepStrictEqual(tokens.map((token) => token.text), ["OP_ADD", "OP_SUB"]);
+		({ tokens, notes } = expandMacro(tokenize(lines), lines, {}, gadgets));
+		assert.deepStrictEqual(tokens.map((token) => token.text), ["OP_SUB"]);
+		assert.deepStrictEqual(notes, [{ line: 0, text: "add may be a::add or b::add, a use item picks the one to inline", isError: true, code: "ambiguous-gadget" }]);
+	});
+});
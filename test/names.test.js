@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { parseNameAnnotation, formatNamed, nameTop } = require('../src/names');
+const { Stack } = require('../src/stack');
+
+suite('Names Test Suite', () => {
+	test('reads the names of a line', () => {
+		assert.deepStrictEqual(parseNameAnnotation("5 // @name x"), ["x"]);
+		assert.deepStrictEqual(parseNameAnnotation("1 2 // low and high @name lo, hi"), ["lo", "hi"]);
+		assert.deepStrictEqual(parseNameAnnotation("OP_ADD // sum"), []);
+	});
+
+	test('names the top items without renaming their copies', () => {
+		let names = new Map();
+		let main = new Stack();
+		main.push(5);
+		main.push(main.peek());
+		assert.strictEqual(nameTop(names, main, new Stack(), ["y"]), null);
+		assert.strictEqual(main.print(names), "[5, y=5]");
+		assert.match(nameTop(names, main, new Stack(), ["a", "b", "c"]), /needs 3 items on the stack, it has 2/);
+	});
+
+	test('shows names next to values', () => {
+		let main = new Stack();
+		main.push(7);
+		assert.strictEqual(formatNamed(main.peek(), new Map([[main.peek(), "x"]])), "x=7");
+		assert.strictEqual(formatNamed(main.peek()), "7");
+	});
+});
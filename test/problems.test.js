@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { evaluateBlock } = require('../src/interpreter');
+
+/**
+ * @param {String[]} lines
+ * @param {import('../src/interpreter').Options} [options]
+ * @returns {String[]} - every problem as its line, code and the text it covers
+ */
+function problems(lines, options) {
+	return evaluateBlock(lines, options)
+		.filter((hint) => hint.problem !== undefined)
+		.map(({ index, problem }) => `${index} ${problem.code}: ${lines[index].slice(problem.start, problem.end)}`);
+}
+
+suite('Problems Test Suite', () => {
+	test('a failing token is the problem of its line', () => {
+		assert.deepStrictEqual(problems(["[1]", "  OP_DUP OP_ADD OP_ADD // x"]), ["1 script-error: OP_ADD"]);
+		// the path that failed at OP_DUP is reported once, not with the hints of the tokens after it too
+		assert.deepStrictEqual(problems(["[1, A]", "OP_IF OP_DROP OP_ENDIF OP_DUP OP_ADD"], { tokenHints: true }), ["1 script-error: OP_DUP"]);
+	});
+
+	test('unknown opcodes fail the script', () => {
+		let hints = evaluateBlock(["[1]", "OP_DUP OP_DUPP", "OP_DROP"]);
+		assert.strictEqual(hints[0].text, " toy => OP_DUPP is not an opcode ");
+		assert.deepStrictEqual(problems(["[1]", "OP_DUP OP_DUPP", "OP_DROP"]), ["1 unknown-opcode: OP_DUPP"]);
+	});
+
+	test('misspelled pushes and bare words', () => {
+		assert.deepStrictEqual(problems(["[1]", "OP_DUP <0x0g> // x"]), ["1 invalid-push: <0x0g>"]);
+		assert.deepStrictEqual(problems(["[1]", "  0xabc OP_DUP"]), ["1 invalid-push: 0xabc"]);
+		assert.deepStrictEqual(problems(["[1]", "OP_DUP DUP"]), ["1 unknown-opcode: DUP"]);
+	});
+
+	test('unbalanced conditionals', () => {
+		assert.deepStrictEqual(problems(["[1, 1]", "  OP_IF", "OP_DUP"]), ["1 unbalanced-conditional: OP_IF"]);
+		assert.deepStrictEqual(problems(["[1]", "OP_DUP OP_ENDIF"]), ["1 unbalanced-conditional: OP_ENDIF"]);
+	});
+
+	test('malformed headers, inputs and directives', () => {
+		assert.deepStrictEqual(problems(["[1, 2", "OP_DUP"]), ["0 invalid-header: [1, 2"]);
+		assert.deepStrictEqual(problems(["[1]", "  // inputs: 1 2", "OP_DUP"]), ["1 invalid-inputs: // inputs: 1 2"]);
+		assert.deepStrictEqual(problems(["[1]", "// @flags MINIMALDATA,FAST", "OP_DUP"]), ["1 unknown-directive: FAST"]);
+		assert.deepStrictEqual(problems(["[1]", "// @vector other", "OP_DUP"]), ["1 unknown-vector: other"]);
+	});
+
+	test('failed assertions and vectors', () => {
+		assert.deepStrictEqual(problems(["[1]", "OP_DUP // expect: [2]"]), ["1 expectation-failed: // expect: [2]"]);
+		assert.deepStrictEqual(problems(["[1]", "// inputs: [2] => [2]", "OP_DUP"]), ["1 vector-failed: // inputs: [2] => [2]"]);
+	});
+
+	test('gadget calls that can\'t be expanded', () => {
+		let gadget = (module) => ({ name: "add", params: [], lines: ["OP_ADD"], constants: {}, file: `/src/${module}.rs`, module });
+		let gadgets = new Map([["/src/a.rs#a::add", gadget("a")], ["/src/b.rs#b::add", gadget("b")]]);
+		assert.deepStrictEqual(problems(["[1, 2]", "  { add() }"], { gadgets }), ["1 ambiguous-gadget: { add() }"]);
+		assert.deepStrictEqual(problems(["[1, 2]", "  { add() }"], { gadgets, scope: { module: "b" } }), []);
+		assert.deepStrictEqual(problems(["[]", "for i in 0..n { OP_1 }"]), ["1 expansion-failed: for i in 0..n { OP_1 }"]);
+	});
+
+	test('OP_SUCCESS is a warning', () => {
+		let hint = evaluateBlock(["[1]", "OP_RESERVED"])[0];
+		assert.strictEqual(hint.isError, false);
+		assert.deepStrictEqual(hint.problem, { code: "op-success", start: 0, end: 11 });
+	});
+});
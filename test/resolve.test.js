@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { updateIndex } = require('../src/gadgets');
+const { fileModule, scopeAt, resolveGadget, mergeGadgets, qualifiedName } = require('../src/resolve');
+const { findItems } = require('../src/scanner');
+
+/**
+ * @returns {import('../src/gadgets').GadgetIndex} - `add` in two modules, `push` in one
+ */
+function workspace() {
+	let index = new Map();
+	updateIndex(index, "/crate/src/u32/add.rs", "fn add() -> Script { script! { OP_ADD } }");
+	updateIndex(index, "/crate/src/bigint/add.rs", "fn add() -> Script { script! { OP_DROP } }\nfn push() -> Script { script! { 1 } }");
+	return index;
+}
+
+/**
+ * @param {String} text
+ * @param {String} file
+ * @returns {import('../src/resolve').Scope} - at the end of the text
+ */
+function scopeOf(text, file) {
+	return scopeAt(findItems(text), text.length, file);
+}
+
+suite('Resolve Test Suite', () => {
+	test('finds the module of a file from its path', () => {
+		assert.strictEqual(fileModule("/crate/src/lib.rs"), "");
+		assert.strictEqual(fileModule("/crate/src/main.rs"), "");
+		assert.strictEqual(fileModule("/crate/src/bigint/mod.rs"), "bigint");
+		assert.strictEqual(fileModule("C:\\crate\\src\\bigint\\add.rs"), "bigint::add");
+		assert.strictEqual(fileModule("/other.rs"), "other");
+	});
+
+	test('a call picks the gadget of its module, then the one it imports', () => {
+		let index = workspace();
+		let names = (gadgets) => gadgets.map(qualifiedName);
+		assert.deepStrictEqual(names(resolveGadget(index, "push", {})), ["bigint::add::push"]);
+		assert.deepStrictEqual(names(resolveGadget(index, "add", {})), ["u32::add::add", "bigint::add::add"]);
+		assert.deepStrictEqual(names(resolveGadget(index, "add", scopeOf("", "/crate/src/bigint/add.rs"))), ["bigint::add::add"]);
+		assert.deepStrictEqual(names(resolveGadget(index, "add", scopeOf("use crate::u32::add::add;\n", "/crate/src/lib.rs"))), ["u32::add::add"]);
+		assert.deepStrictEqual(names(resolveGadget(index, "add", scopeOf("use super::add::*;\n", "/crate/src/bigint/mul.rs"))), ["bigint::add::add"]);
+		assert.strictEqual(resolveGadget(index, "add", scopeOf("use crate::u32::add::{add as plus};\n", "/crate/src/lib.rs")).length, 2);
+		// an import in another module doesn't count
+		assert.strictEqual(resolveGadget(index, "add", scopeOf("mod a { use crate::u32::add::add; }\n", "/crate/src/lib.rs")).length, 2);
+	});
+
+	test('a qualified call names the module', () => {
+		let index = workspace();
+		assert.deepStrictEqual(resolveGadget(index, "add", {}, "u32::add").map(qualifiedName), ["u32::add::add"]);
+		assert.deepStrictEqual(resolveGadget(index, "add", { module: "bigint::mul" }, "super::add").map(qualifiedName), ["bigint::add::add"]);
+		assert.deepStrictEqual(resolveGadget(index, "push", {}, "u32::add"), []);
+	});
+
+	test('the expansion replaces the functions of its modules', () => {
+		let expanded = new Map([["/expanded.rs#u32::add::add", { name: "add", params: [], lines: ["3"], constants: {}, file: "/expanded.rs", line: 2, column: 7, module: "u32::add", uses: [] }]]);
+		let merged = mergeGadgets(workspace(), expanded);
+		assert.deepStrictEqual([...merged.values()].map((gadget) => [qualifiedName(gadget), gadget.file]), [
+			["bigint::add::add", "/crate/src/bigint/add.rs"], ["bigint::add::push", "/crate/src/bigint/add.rs"], ["u32::add::add", "/expanded.rs"]
+		]);
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { skipLiteral, matchingBrace, findScriptBlocks, findItems, enclosingItems } = require('../src/scanner');
+
+/**
+ * @param {String} text
+ * @param {String[]} [macros]
+ * @returns {String[]} - every block as its name and the text from its start to its end
+ */
+function blocks(text, macros) {
+	return findScriptBlocks(text, macros).map((block) => `${block.name}: ${text.slice(block.start, block.end)}`);
+}
+
+suite('Scanner Test Suite', () => {
+	test('finds the brace closing a block', () => {
+		let text = "script! { for i in 0..2 { OP_DUP } } x }";
+		assert.strictEqual(matchingBrace(text, 8), 35);
+		assert.strictEqual(matchingBrace("{ {", 0), -1);
+	});
+
+	test('skips braces in strings, chars and comments', () => {
+		assert.strictEqual(matchingBrace('{ "}" "\\"}" }', 0), 12);
+		assert.strictEqual(matchingBrace("{ '}' '\\'' '\\u{7d}' }", 0), 20);
+		assert.strictEqual(matchingBrace("{ // }\n /* } /* } */ } */ }", 0), 26);
+		assert.strictEqual(matchingBrace('{ r#"}"# br"}" }', 0), 15);
+		assert.strictEqual(matchingBrace("{ fn f<'a>(x: &'a u8) {} }", 0), 25);
+	});
+
+	test('skips one literal at a time', () => {
+		assert.strictEqual(skipLiteral('r##"a"#"##x', 0), 10);
+		assert.strictEqual(skipLiteral("'a' x", 0), 3);
+		assert.strictEqual(skipLiteral("'a x", 0), 0);
+		assert.strictEqual(skipLiteral("bar", 2), 2);
+		assert.strictEqual(skipLiteral("/* unclosed", 0), 11);
+	});
+
+	test('finds script macros with nested braces', () => {
+		let text = 'fn f() -> Script {\n    script! {\n        { g(1) }\n        OP_ADD\n    }\n}\nlet s = "script! {";\n// script! { x }\nbitcoin_script! { 1 }';
+		assert.deepStrictEqual(blocks(text), [
+			"script!: script! {\n        { g(1) }\n        OP_ADD\n    ",
+			"bitcoin_script!: bitcoin_script! { 1 "
+		]);
+		assert.deepStrictEqual(blocks("scripts! { 1 } my_script! { 2 }", ["my_script!"]), ["my_script!: my_script! { 2 "]);
+	});
+
+	test('finds comment blocks', () => {
+		let text = "// btc-script\n// [1]\nOP_DUP\n// end-btc-script\n/* btc-script\n[2]\nOP_DROP\n*/\n/* just a comment */";
+		assert.deepStrictEqual(blocks(text), [
+			"btc-script: // btc-script\n// [1]\nOP_DUP\n",
+			"btc-script: /* btc-script\n[2]\nOP_DROP\n"
+		]);
+		assert.deepStrictEqual(blocks("// btc-script\n[1]\n"), []);
+	});
+
+	test('finds functions, modules and use items', () => {
+		let text = 'use a::{b, c};\n// fn commented() {}\nmod m {\n    fn f(x: [u8; 32]) -> Script { let s = "fn g() {"; script! { OP_1 } }\n    fn declared();\n}\n';
+		let items = findItems(text);
+		assert.deepStrictEqual(items.map((item) => [item.kind, item.name, text.slice(item.start, item.close + 1).split("\n")[0]]), [
+			["use", "a::{b,c}", "use a::{b, c};"],
+			["mod", "m", "mod m {"],
+			["fn", "f", 'fn f(x: [u8; 32]) -> Script { let s = "fn g() {"; script! { OP_1 } }'],
+			["fn", "declared", "fn declared();"]
+		]);
+		assert.strictEqual(items[3].open, -1);
+		assert.deepStrictEqual(enclosingItems(items, text.indexOf("script!")).map((item) => item.name), ["m", "f"]);
+	});
+});
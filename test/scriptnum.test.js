@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { encodeNum, decodeNum, minimallyEncode, cast_to_bool, formatElement, parseElement, fromHex, toHex, isSymbolic } = require('../src/scriptnum');
+
+suite('Script Number Test Suite', () => {
+	test('encodes numbers minimally', () => {
+		assert.strictEqual(toHex(encodeNum(0)), "");
+		assert.strictEqual(toHex(encodeNum(1)), "01");
+		assert.strictEqual(toHex(encodeNum(-1)), "81");
+		assert.strictEqual(toHex(encodeNum(127)), "7f");
+		assert.strictEqual(toHex(encodeNum(128)), "8000");
+		assert.strictEqual(toHex(encodeNum(-128)), "8080");
+		assert.strictEqual(toHex(encodeNum(256)), "0001");
+		assert.strictEqual(toHex(encodeNum(-2147483647)), "ffffffff");
+	});
+
+	test('decodes what it encodes', () => {
+		for (const num of [0, 1, -1, 127, 128, -128, 255, 256, 32767, -32768, 2147483647, -2147483647]) {
+			assert.strictEqual(decodeNum(encodeNum(num)), num);
+		}
+	});
+
+	test('negative zero decodes to zero and is false', () => {
+		assert.strictEqual(decodeNum(fromHex("80")), 0);
+		assert.strictEqual(decodeNum(fromHex("0080")), 0);
+		assert.strictEqual(cast_to_bool(fromHex("80")), false);
+		assert.strictEqual(cast_to_bool(fromHex("0080")), false);
+		assert.strictEqual(cast_to_bool(fromHex("8000")), true);
+		assert.strictEqual(cast_to_bool(fromHex("0000")), false);
+	});
+
+	test('rejects operands larger than 4 bytes', () => {
+		assert.throws(() => decodeNum(fromHex("0000000001")), /overflow/);
+		assert.strictEqual(decodeNum(fromHex("0000000001"), 5), 4294967296);
+	});
+
+	test('rejects non-minimal encodings when required', () => {
+		assert.strictEqual(decodeNum(fromHex("0100")), 1);
+		assert.throws(() => decodeNum(fromHex("0100"), 4, true), /minimal/);
+		assert.strictEqual(decodeNum(fromHex("ff00"), 4, true), 255);
+	});
+
+	test('formats numbers as decimals and other bytes as hex', () => {
+		assert.strictEqual(formatElement(encodeNum(-5)), "-5");
+		assert.strictEqual(formatElement(encodeNum(0)), "0");
+		assert.strictEqual(formatElement(fromHex("0100")), "0x0100");
+		assert.strictEqual(formatElement(fromHex("0102030405")), "0x0102030405");
+		assert.strictEqual(formatElement("A"), "A");
+	});
+
+	test('toy mode shows numbers of up to 6 bytes as decimals', () => {
+		assert.strictEqual(formatElement(encodeNum(2147483648)), "0x0000008000");
+		assert.strictEqual(formatElement(encodeNum(2147483648), { mode: "toy" }), "2147483648");
+		assert.strictEqual(formatElement(encodeNum(2 ** 40), { mode: "toy" }), "1099511627776");
+		assert.strictEqual(formatElement(encodeNum(2 ** 40), { mode: "real" }), "0x000000000001");
+		assert.strictEqual(formatElement(fromHex("01020304050607"), { mode: "toy" }), "0x01020304050607");
+	});
+
+	test('parses header items', () => {
+		assert.strictEqual(toHex(parseElement("5")), "05");
+		assert.strictEqual(toHex(parseElement("-1")), "81");
+		assert.strictEqual(toHex(parseElement("0xff")), "ff");
+		assert.strictEqual(toHex(parseElement("0x0100")), "0100");
+		assert.strictEqual(toHex(parseElement("0x0102030405")), "0102030405");
+		// beyond 2^53 too
+		assert.strictEqual(toHex(parseElement("18446744073709551615")), "ffffffffffffffff00");
+		assert.strictEqual(toHex(parseElement("-9007199254740993")), "010000000000a0");
+		assert.ok(isSymbolic(parseElement("A")));
+		assert.strictEqual(formatElement(parseElement("A")), "A");
+	});
+
+	test('minimally encodes bytes and bigints', () => {
+		assert.strictEqual(toHex(minimallyEncode(fromHex("0100"))), "01");
+		assert.strictEqual(toHex(minimallyEncode(fromHex("0180"))), "81");
+		assert.strictEqual(toHex(minimallyEncode(fromHex("ff0000"))), "ff00");
+		assert.strictEqual(toHex(minimallyEncode(fromHex("0080"))), "");
+		assert.strictEqual(toHex(encodeNum(-(2n ** 40n))), "000000000081");
+	});
+});
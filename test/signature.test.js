@@ -0,0 +1,296 @@
+const assert = require('assert');
+const { evaluateBlock } = require('../src/interpreter');
+const { assemble } = require('../src/assembler');
+const { parseTransaction } = require('../src/transaction');
+const { legacySighash, segwitV0Sighash, tapleafHash, tapscriptSighash } = require('../src/sighash');
+const secp256k1 = require('../src/secp256k1');
+const { schnorrVerify } = secp256k1;
+const { sha256 } = require('../src/hash');
+const { toHex, fromHex } = require('../src/scriptnum');
+
+const transaction = {
+	version: 2,
+	locktime: 0,
+	inputs: [
+		{ txid: "11".repeat(32), vout: 1, amount: 100000, scriptPubKey: "5120" + "22".repeat(32) },
+		{ txid: "33".repeat(32), vout: 0, amount: 5000, scriptPubKey: "0014" + "44".repeat(20) }
+	],
+	outputs: [{ amount: 90000, scriptPubKey: "0014" + "55".repeat(20) }]
+};
+
+/**
+ * @param {bigint} base
+ * @param {bigint} exp
+ * @param {bigint} m
+ */
+function modPow(base, exp, m) {
+	let result = 1n;
+	base %= m;
+	while (exp > 0n) {
+		if (exp & 1n) result = (result * base) % m;
+		base = (base * base) % m;
+		exp >>= 1n;
+	}
+	return result;
+}
+
+/**
+ * Compressed public key of a secret
+ * @param {bigint} secret
+ */
+function ecdsaPublicKey(secret) {
+	const P = secp256k1.toAffine(secp256k1.multiply(secret, secp256k1.G));
+	return Uint8Array.from([(P.y & 1n) ? 0x03 : 0x02, ...secp256k1.bigIntToBytes(P.x)]);
+}
+
+/**
+ * @param {bigint} value
+ * @returns {number[]} - DER integer
+ */
+function derInteger(value) {
+	let bytes = Array.from(secp256k1.bigIntToBytes(value));
+	while (bytes.length > 1 && bytes[0] === 0) bytes.shift();
+	if (bytes[0] & 0x80) bytes.unshift(0);
+	return [0x02, bytes.length, ...bytes];
+}
+
+/**
+ * ECDSA signing, only needed to produce test signatures
+ * @returns {Uint8Array} - low S DER signature with the hashtype byte
+ */
+function ecdsaSign(secret, msg, hashType) {
+	const N = secp256k1.N;
+	const k = secp256k1.bytesToBigInt(sha256(Uint8Array.from([...secp256k1.bigIntToBytes(secret), ...msg]))) % N;
+	const R = secp256k1.toAffine(secp256k1.multiply(k, secp256k1.G));
+	const r = R.x % N;
+	let s = (modPow(k, N - 2n, N) * ((secp256k1.bytesToBigInt(msg) + r * secret) % N)) % N;
+	if (s > N / 2n) s = N - s;
+	const body = [...derInteger(r), ...derInteger(s)];
+	return Uint8Array.from([0x30, body.length, ...body, hashType]);
+}
+
+/**
+ * BIP-340 signing, only needed to produce test signatures
+ */
+function schnorrSign(secret, msg) {
+	let d = secret;
+	const P = secp256k1.toAffine(secp256k1.multiply(d, secp256k1.G));
+	if (P.y & 1n) d = secp256k1.N - d;
+	const pubkey = secp256k1.bigIntToBytes(P.x);
+	const k0 = secp256k1.bytesToBigInt(sha256(Uint8Array.from([...secp256k1.bigIntToBytes(d), ...msg]))) % secp256k1.N;
+	const R = secp256k1.toAffine(secp256k1.multiply(k0, secp256k1.G));
+	const k = (R.y & 1n) ? secp256k1.N - k0 : k0;
+	const rBytes = secp256k1.bigIntToBytes(R.x);
+	const e = secp256k1.bytesToBigInt(secp256k1.taggedHash("BIP0340/challenge", rBytes, pubkey, msg)) % secp256k1.N;
+	const s = (k + e * d) % secp256k1.N;
+	return { pubkey, sig: Uint8Array.from([...rBytes, ...secp256k1.bigIntToBytes(s)]) };
+}
+
+/**
+ * Reads a serialized transaction without witnesses, as the test vectors give them
+ * @param {String} hex
+ * @param {Number} inputIndex
+ * @param {{amount: Number, scriptPubKey: String}[]} [spent] - the outputs its inputs spend
+ * @returns {import('../src/transaction').Transaction}
+ */
+function decodeTransaction(hex, inputIndex, spent = []) {
+	const bytes = fromHex(hex);
+	let at = 0;
+	const take = (n) => bytes.subarray(at, at += n);
+	const uint = (n) => take(n).reduceRight((value, byte) => value * 256n + BigInt(byte), 0n);
+	const varint = () => {
+		const first = Number(uint(1));
+		return first < 0xfd ? first : Number(uint(first === 0xfd ? 2 : 4));
+	};
+	const version = Number(uint(4));
+	const inputs = Array.from({ length: varint() }, (_, i) => {
+		const outpoint = { txid: take(32), vout: Number(uint(4)) };
+		take(varint());
+		const prevout = spent[i] || { amount: 0, scriptPubKey: "" };
+		return { ...outpoint, sequence: Number(uint(4)), amount: BigInt(prevout.amount), scriptPubKey: fromHex(prevout.scriptPubKey) };
+	});
+	const outputs = Array.from({ length: varint() }, () => ({ amount: uint(8), scriptPubKey: take(varint()) }));
+	return { version, inputIndex, inputs, outputs, locktime: Number(uint(4)) };
+}
+
+/**
+ * @param {String[]} stack - header items
+ * @param {String[]} script
+ */
+function run(stack, script, sigversion) {
+	let lines = [`[${stack.join(", ")}]`, ...script];
+	return evaluateBlock(lines, { mode: "real", transaction: { ...transaction, sigversion } });
+}
+
+function lastHint(hints) {
+	let lineHints = hints.filter((hint) => hint.index > 0);
+	return lineHints[lineHints.length - 1].text.trim();
+}
+
+suite('Signature Test Suite', () => {
+	test('BIP-340 test vectors', () => {
+		assert.ok(schnorrVerify(
+			fromHex("0000000000000000000000000000000000000000000000000000000000000000"),
+			fromHex("F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9"),
+			fromHex("E907831F80848D1069A5371B402410364BDF1C5F8307B0084C55F1CE2DCA821525F66A4A85EA8B71E482A74F382D2CE5EBEEE8FDB2172F477DF4900D310536C0")));
+		assert.ok(schnorrVerify(
+			fromHex("243F6A8885A308D313198A2E03707344A4093822299F31D0082EFA98EC4E6C89"),
+			fromHex("DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659"),
+			fromHex("6896BD60EEAE296DB48A229FF71DFE071BDE413E6D43F917DC8DCF8C78DE33418906D11AC976ABCCB20B091292BFF4EA897EFCB639EA871CFA95F6DE339E4B0A")));
+		assert.ok(!schnorrVerify(
+			fromHex("243F6A8885A308D313198A2E03707344A4093822299F31D0082EFA98EC4E6C89"),
+			fromHex("DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659"),
+			fromHex("6896BD60EEAE296DB48A229FF71DFE071BDE413E6D43F917DC8DCF8C78DE33418906D11AC976ABCCB20B091292BFF4EA897EFCB639EA871CFA95F6DE339E4B0B")));
+	});
+
+	test('BIP-143 native P2WPKH example', () => {
+		const tx = decodeTransaction("0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac11000000", 1, [
+			{ amount: 625000000, scriptPubKey: "" },
+			{ amount: 600000000, scriptPubKey: "00141d0f172a0ecb48aee1be1f2687d2963ae33f71a1" }
+		]);
+		const scriptCode = fromHex("76a9141d0f172a0ecb48aee1be1f2687d2963ae33f71a188ac");
+		assert.strictEqual(toHex(segwitV0Sighash(tx, scriptCode, 0x01)), "c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670");
+	});
+
+	test('BIP-341 key path sighash vectors', () => {
+		const spent = [
+			{ amount: 420000000, scriptPubKey: "512053a1f6e454df1aa2776a2814a721372d6258050de330b3c6d10ee8f4e0dda343" },
+			{ amount: 462000000, scriptPubKey: "5120147c9c57132f6e7ecddba9800bb0c4449251c92a1e60371ee77557b6620f3ea3" },
+			{ amount: 294000000, scriptPubKey: "76a914751e76e8199196d454941c45d1b3a323f1433bd688ac" },
+			{ amount: 504000000, scriptPubKey: "5120e4d810fd50586274face62b8a807eb9719cef49c04177cc6b76a9a4251d5450e" },
+			{ amount: 630000000, scriptPubKey: "512091b64d5324723a985170e4dc5a0f84c041804f2cd12660fa5dec09fc21783605" },
+			{ amount: 378000000, scriptPubKey: "00147dd65592d0ab2fe0d0257d571abf032cd9db93dc" },
+			{ amount: 672000000, scriptPubKey: "512075169f4001aa68f15bbed28b218df1d0a62cbbcf1188c6665110c293c907b831" },
+			{ amount: 546000000, scriptPubKey: "5120712447206d7a5238acc7ff53fbe94a3b64539ad291c7cdbc490b7577e4b17df5" },
+			{ amount: 588000000, scriptPubKey: "512077e30a5522dd9f894c3f8b8bd4c4b2cf82ca7da8a3ea6a239655c39c050ab220" }
+		];
+		// input index, hashtype and signature hash of the keyPathSpending inputs
+		const inputs = [
+			[0, 0x03, "2514a6272f85cfa0f45eb907fcb0d121b808ed37c6ea160a5a9046ed5526d555"],
+			[1, 0x83, "325a644af47e8a5a2591cda0ab0723978537318f10e6a63d4eed783b96a71a4d"],
+			[3, 0x01, "bf013ea93474aa67815b1b6cc441d23b64fa310911d991e713cd34c7f5d46669"],
+			[4, 0x00, "4f900a0bae3f1446fd48490c2958b5a023228f01661cda3496a11da502a7f7ef"],
+			[6, 0x02, "15f25c298eb5cdc7eb1d638dd2d45c97c4c59dcaec6679cfc16ad84f30876b85"],
+			[7, 0x82, "cd292de50313804dabe4685e83f923d2969577191a3e1d2882220dca88cbeb10"],
+			[8, 0x81, "cccb739eca6c13a8a89e6e5cd317ffe55669bbda23f2fd37b0f18755e008edd2"]
+		];
+		for (const [inputIndex, hashType, expected] of inputs) {
+			const tx = decodeTransaction("02000000097de20cbff686da83a54981d2b9bab3586f4ca7e48f57f5b55963115f3b334e9c010000000000000000d7b7cab57b1393ace2d064f4d4a2cb8af6def61273e127517d44759b6dafdd990000000000fffffffff8e1f583384333689228c5d28eac13366be082dc57441760d957275419a418420000000000fffffffff0689180aa63b30cb162a73c6d2a38b7eeda2a83ece74310fda0843ad604853b0100000000feffffffaa5202bdf6d8ccd2ee0f0202afbbb7461d9264a25e5bfd3c5a52ee1239e0ba6c0000000000feffffff956149bdc66faa968eb2be2d2faa29718acbfe3941215893a2a3446d32acd050000000000000000000e664b9773b88c09c32cb70a2a3e4da0ced63b7ba3b22f848531bbb1d5d5f4c94010000000000000000e9aa6b8e6c9de67619e6a3924ae25696bb7b694bb677a632a74ef7eadfd4eabf0000000000ffffffffa778eb6a263dc090464cd125c466b5a99667720b1c110468831d058aa1b82af10100000000ffffffff0200ca9a3b000000001976a91406afd46bcdfd22ef94ac122aa11f241244a37ecc88ac807840cb0000000020ac9a87f5594be208f8532db38cff670c450ed2fea8fcdefcc9a663f78bab962b0065cd1d", inputIndex, spent);
+			assert.strictEqual(toHex(tapscriptSighash(tx, hashType, null)), expected, `input ${inputIndex}`);
+		}
+	});
+
+	test('legacy sighash vectors of Bitcoin Core', () => {
+		// raw transaction, script code, input index, hashtype and the signature hash in reversed hex, from sighash.json
+		const vectors = [
+			["907c2bc503ade11cc3b04eb2918b6f547b0630ab569273824748c87ea14b0696526c66ba740200000004ab65ababfd1f9bdd4ef073c7afc4ae00da8a66f429c917a0081ad1e1dabce28d373eab81d8628de802000000096aab5253ab52000052ad042b5f25efb33beec9f3364e8a9139e8439d9d7e26529c3c30b6c3fd89f8684cfd68ea0200000009ab53526500636a52ab599ac2fe02a526ed040000000008535300516352515164370e010000000003006300ab2ec229", "", 2, 1864164639, "31af167a6cf3f9d5f6875caa4d31704ceb0eba078d132b78dab52c3b8997317e"],
+			["a0aa3126041621a6dea5b800141aa696daf28408959dfb2df96095db9fa425ad3f427f2f6103000000015360290e9c6063fa26912c2e7fb6a0ad80f1c5fea1771d42f12976092e7a85a4229fdb6e890000000001abc109f6e47688ac0e4682988785744602b8c87228fcef0695085edf19088af1a9db126e93000000000665516aac536affffffff8fe53e0806e12dfd05d67ac68f4768fdbe23fc48ace22a5aa8ba04c96d58e2750300000009ac51abac63ab5153650524aa680455ce7b000000000000499e50030000000008636a00ac526563ac5051ee030000000003abacabd2b6fe000000000003516563910fb6b5", "65", 0, -1391424484, "48d6a1bd2cd9eec54eb866fc71209418a950402b5d7e52363bfb75c98e141175"],
+			["6e7e9d4b04ce17afa1e8546b627bb8d89a6a7fefd9d892ec8a192d79c2ceafc01694a6a7e7030000000953ac6a51006353636a33bced1544f797f08ceed02f108da22cd24c9e7809a446c61eb3895914508ac91f07053a01000000055163ab516affffffff11dc54eee8f9e4ff0bcf6b1a1a35b1cd10d63389571375501af7444073bcec3c02000000046aab53514a821f0ce3956e235f71e4c69d91abe1e93fb703bd33039ac567249ed339bf0ba0883ef300000000090063ab65000065ac654bec3cc504bcf499020000000005ab6a52abac64eb060100000000076a6a5351650053bbbc130100000000056a6aab53abd6e1380100000000026a51c4e509b8", "acab655151", 0, 479279909, "2a3d95b09237b72034b23f2d2bb29fa32a58ab5c6aa72f6aafdfa178ab1dd01c"]
+		];
+		for (const [raw, script, inputIndex, hashType, expected] of vectors) {
+			const sighash = legacySighash(decodeTransaction(raw, inputIndex), fromHex(script), hashType);
+			assert.strictEqual(toHex(sighash.reverse()), expected);
+		}
+	});
+
+	test('segwit v0 ECDSA signature verifies', () => {
+		const script = assemble([{ op: "OP_CHECKSIG" }]);
+		const tx = parseTransaction(transaction);
+		const sig = ecdsaSign(5n, segwitV0Sighash(tx, script, 0x01), 0x01);
+
+		let hints = run([`0x${toHex(sig)}`, `0x${toHex(ecdsaPublicKey(5n))}`], ["OP_CHECKSIG"], "segwitv0");
+		assert.strictEqual(lastHint(hints), "real =>  [1] []");
+
+		hints = run([`0x${toHex(sig)}`, `0x${toHex(ecdsaPublicKey(6n))}`], ["OP_CHECKSIG"], "segwitv0");
+		assert.match(hints[0].text, /does not match public key/);
+	});
+
+	test('tapscript Schnorr signature verifies and wrong key order fails', () => {
+		const script = assemble([{ op: "OP_CHECKSIG" }]);
+		const tx = parseTransaction(transaction);
+		const msg = tapscriptSighash(tx, 0x00, tapleafHash(script), 0xffffffff);
+		const alice = schnorrSign(7n, msg);
+		const bob = schnorrSign(11n, msg);
+
+		let hints = run([`0x${toHex(alice.sig)}`, `0x${toHex(alice.pubkey)}`], ["OP_CHECKSIG"], "tapscript");
+		assert.strictEqual(lastHint(hints), "real =>  [1] []");
+
+		hints = run([`0x${toHex(alice.sig)}`, `0x${toHex(bob.pubkey)}`], ["OP_CHECKSIG"], "tapscript");
+		assert.ok(hints[0].isError);
+		assert.match(hints[0].text, /does not match public key/);
+	});
+
+	test('empty signature checks as false', () => {
+		const pubkey = "0x" + "79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798";
+		assert.strictEqual(lastHint(run(["0", pubkey], ["OP_CHECKSIG"], "tapscript")), "real =>  [0] []");
+		let hints = run(["0", pubkey], ["OP_CHECKSIGVERIFY"], "tapscript");
+		assert.match(hints[0].text, /empty signature/);
+	});
+
+	test('reports the reason for badly encoded signatures', () => {
+		const pubkey = "0x" + "79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798";
+		let hints = run([`0x${"01".repeat(64)}00`, pubkey], ["OP_CHECKSIG"], "tapscript");
+		assert.match(hints[0].text, /SIGHASH_DEFAULT/);
+		hints = run([`0x${"01".repeat(64)}04`, pubkey], ["OP_CHECKSIG"], "tapscript");
+		assert.match(hints[0].text, /hashtype 0x04/);
+		hints = run([`0x${"01".repeat(10)}`, `0x02${pubkey.slice(2)}`], ["OP_CHECKSIG"], "segwitv0");
+		assert.match(hints[0].text, /strict DER/);
+	});
+
+	test('CHECKSIGADD counts valid signatures', () => {
+		const lines = ["OP_CHECKSIG", "OP_FROMALTSTACK", "OP_CHECKSIGADD", "2", "OP_NUMEQUAL"];
+		const script = assemble([{ op: "OP_CHECKSIG" }, { op: "OP_FROMALTSTACK" }, { op: "OP_CHECKSIGADD" }, { num: 2 }, { op: "OP_NUMEQUAL" }]);
+		const tx = parseTransaction(transaction);
+		const msg = tapscriptSighash(tx, 0x00, tapleafHash(script), 0xffffffff);
+		const alice = schnorrSign(7n, msg);
+		const bob = schnorrSign(11n, msg);
+		const hex = (bytes) => `0x${toHex(bytes)}`;
+
+		let header = `[${hex(bob.sig)}, ${hex(alice.sig)}, ${hex(alice.pubkey)}] [${hex(bob.pubkey)}]`;
+		let hints = evaluateBlock([header, ...lines], { mode: "real", transaction });
+		assert.strictEqual(lastHint(hints), "real =>  [1] []");
+
+		header = `[0, ${hex(alice.sig)}, ${hex(alice.pubkey)}] [${hex(bob.pubkey)}]`;
+		hints = evaluateBlock([header, ...lines], { mode: "real", transaction });
+		assert.strictEqual(lastHint(hints), "real =>  [0] []");
+	});
+
+	test('legacy CHECKMULTISIG requires signatures in key order', () => {
+		const tx = parseTransaction(transaction);
+		const msg = legacySighash(tx, assemble([{ op: "OP_CHECKMULTISIG" }]), 0x01);
+		const hex = (bytes) => `0x${toHex(bytes)}`;
+		const aliceSig = ecdsaSign(5n, msg, 0x01);
+		const bobSig = ecdsaSign(6n, msg, 0x01);
+
+		let stack = ["0", hex(aliceSig), hex(bobSig), "2", hex(ecdsaPublicKey(5n)), hex(ecdsaPublicKey(6n)), "2"];
+		assert.strictEqual(lastHint(run(stack, ["OP_CHECKMULTISIG"], "legacy")), "real =>  [1] []");
+
+		stack = ["0", hex(bobSig), hex(aliceSig), "2", hex(ecdsaPublicKey(5n)), hex(ecdsaPublicKey(6n)), "2"];
+		assert.match(lastHint(run(stack, ["OP_CHECKMULTISIG"], "legacy")), /in order/);
+	});
+
+	test('the dummy of CHECKMULTISIG must be empty unless it is symbolic', () => {
+		assert.strictEqual(lastHint(run(["0", "0", "0"], ["OP_CHECKMULTISIG"], "segwitv0")), "real =>  [1] []");
+		assert.strictEqual(lastHint(run(["dummy", "0", "0"], ["OP_CHECKMULTISIG"], "segwitv0")), "real =>  [1] []");
+		assert.match(lastHint(run(["0x01", "0", "0"], ["OP_CHECKMULTISIG"], "segwitv0")), /NULLDUMMY/);
+	});
+
+	test('signatures commit to the last executed OP_CODESEPARATOR', () => {
+		const lines = ["OP_NOP", "OP_CODESEPARATOR", "OP_CHECKSIG"];
+		const tx = parseTransaction(transaction);
+		const hex = (bytes) => `0x${toHex(bytes)}`;
+
+		const tapMsg = tapscriptSighash(tx, 0x00, tapleafHash(assemble(lines.map((op) => ({ op })))), 1);
+		const alice = schnorrSign(7n, tapMsg);
+		assert.strictEqual(lastHint(run([hex(alice.sig), hex(alice.pubkey)], lines, "tapscript")), "real =>  [1] []");
+		assert.match(lastHint(run([hex(alice.sig), hex(alice.pubkey)], ["OP_NOP", "OP_NOP", "OP_CHECKSIG"], "tapscript")), /does not match public key/);
+
+		const sig = ecdsaSign(5n, segwitV0Sighash(tx, assemble([{ op: "OP_CHECKSIG" }]), 0x01), 0x01);
+		assert.strictEqual(lastHint(run([hex(sig), hex(ecdsaPublicKey(5n))], lines, "segwitv0")), "real =>  [1] []");
+	});
+
+	test('toy mode accepts any signature', () => {
+		let hints = evaluateBlock(["[sig, 5]", "OP_CHECKSIG"]);
+		assert.strictEqual(lastHint(hints), "toy =>  [1] []");
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const symbolic = require('../src/symbolic');
+
+const { Sym } = symbolic;
+const A = Sym.atom("A");
+const B = Sym.atom("B");
+
+suite('Symbolic Test Suite', () => {
+	test('computes concrete operands', () => {
+		assert.strictEqual(symbolic.add(2, 3), 5);
+		assert.strictEqual(symbolic.compare("<", 2, 3), 1);
+		assert.strictEqual(symbolic.within(5, 0, 5), 0);
+		assert.strictEqual(symbolic.boolOr(0, 7), 1);
+	});
+
+	test('builds expressions over symbols', () => {
+		assert.strictEqual(String(symbolic.add(A, B)), "(A+B)");
+		assert.strictEqual(String(symbolic.compare("<", A, B)), "(A<B)");
+		assert.strictEqual(String(symbolic.not(symbolic.compare(">", A, B))), "!(A>B)");
+		assert.strictEqual(String(symbolic.max(A, 3)), "max(A,3)");
+		assert.strictEqual(String(symbolic.within(A, 0, B)), "((0<=A)&&(A<B))");
+	});
+
+	test('folds constants', () => {
+		assert.strictEqual(String(symbolic.add(symbolic.add(A, 1), 2)), "(A+3)");
+		assert.strictEqual(String(symbolic.sub(symbolic.add(A, 1), 2)), "(A-1)");
+		assert.strictEqual(symbolic.sub(symbolic.add(A, 1), 1), A);
+		assert.strictEqual(symbolic.add(0, A), A);
+		assert.strictEqual(String(symbolic.add(1, A)), "(A+1)");
+	});
+
+	test('simplifies identities', () => {
+		assert.strictEqual(symbolic.sub(symbolic.add(A, B), symbolic.add(A, B)), 0);
+		assert.strictEqual(symbolic.compare("<=", A, A), 1);
+		assert.strictEqual(symbolic.compare("<", A, A), 0);
+		assert.strictEqual(symbolic.negate(symbolic.negate(A)), A);
+		assert.strictEqual(symbolic.boolAnd(A, 0), 0);
+		assert.strictEqual(symbolic.boolOr(1, A), 1);
+		assert.strictEqual(String(symbolic.boolAnd(A, 5)), "(A!=0)");
+		let less = symbolic.compare("<", A, B);
+		assert.strictEqual(String(symbolic.not(symbolic.not(less))), "(A<B)");
+		assert.strictEqual(symbolic.notZero(less), less);
+	});
+
+	test('reads written expressions', () => {
+		assert.strictEqual(String(symbolic.parseOperand("A + B*2")), "(A+(B*2))");
+		assert.strictEqual(String(symbolic.parseOperand("!(A<B) && max(A, 3) >= 2")), "(!(A<B)&&(max(A,3)>=2))");
+		assert.strictEqual(String(symbolic.parseOperand("(A+1)+2")), "(A+3)");
+		assert.strictEqual(String(symbolic.parseOperand("Hash( 0x01 )")), "Hash(0x01)");
+		assert.strictEqual(symbolic.parseOperand("A +"), null);
+		assert.strictEqual(symbolic.parseOperand("min(A)"), null);
+	});
+
+	test('expressions are equivalent up to the order of commutative operands', () => {
+		let parsed = (text) => symbolic.parseOperand(text);
+		assert.ok(symbolic.equivalentOperands(parsed("B+A"), symbolic.add(A, B)));
+		assert.ok(symbolic.equivalentOperands(parsed("C+(B+A)"), symbolic.add(symbolic.add(A, B), Sym.atom("C"))));
+		assert.ok(symbolic.equivalentOperands(parsed("B>A"), symbolic.compare("<", A, B)));
+		assert.ok(symbolic.equivalentOperands(parsed("max(3, A)"), symbolic.max(A, 3)));
+		assert.ok(!symbolic.equivalentOperands(parsed("B-A"), symbolic.sub(A, B)));
+		assert.ok(!symbolic.equivalentOperands(parsed("B<A"), symbolic.compare("<", A, B)));
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { evaluateBlock } = require('../src/interpreter');
+
+/**
+ * @param {String[]} lines
+ * @param {Object} [transaction] - JSON description of the spending transaction
+ * @returns {String} - hint of the last script line, trimmed
+ */
+function run(lines, transaction) {
+	let hints = evaluateBlock(lines, { mode: "real", transaction }).filter((hint) => hint.index > 0);
+	return hints[hints.length - 1].text.trim();
+}
+
+/**
+ * @param {Number} locktime
+ * @param {Number} sequence
+ * @param {Number} [version]
+ */
+function tx(locktime, sequence, version = 2) {
+	return { version, locktime, inputs: [{ sequence }] };
+}
+
+suite('Timelock Test Suite', () => {
+	test('CHECKLOCKTIMEVERIFY compares with the transaction locktime', () => {
+		assert.strictEqual(run(["[800]", "OP_CHECKLOCKTIMEVERIFY"], tx(800, 0xfffffffe)), "real =>  [800] []");
+		assert.strictEqual(run(["[800]", "OP_NOP2"], tx(900, 0)), "real =>  [800] []");
+		assert.match(run(["[801]", "OP_CHECKLOCKTIMEVERIFY"], tx(800, 0xfffffffe)), /the script requires block height 801 but the transaction locktime is 800/);
+		assert.match(run(["[-1]", "OP_CHECKLOCKTIMEVERIFY"], tx(800, 0)), /CHECKLOCKTIMEVERIFY operand is negative: -1/);
+	});
+
+	test('CHECKLOCKTIMEVERIFY rejects mixed heights and timestamps and final inputs', () => {
+		assert.match(run(["[800]", "OP_CHECKLOCKTIMEVERIFY"], tx(1700000000, 0)), /type mismatch: the script requires block height 800 but the transaction locktime is timestamp 1700000000/);
+		assert.match(run(["[800]", "OP_CHECKLOCKTIMEVERIFY"], tx(800, 0xffffffff)), /input sequence is final/);
+	});
+
+	test('timelock operands may be 5 bytes', () => {
+		assert.strictEqual(run(["[0xffffffff00]", "OP_CHECKLOCKTIMEVERIFY"], tx(0xffffffff, 0)), "real =>  [0xffffffff00] []");
+		assert.match(run(["[0x000000000001]", "OP_CHECKLOCKTIMEVERIFY"], tx(0, 0)), /Script number overflow: 6 bytes is more than 5/);
+	});
+
+	test('CHECKSEQUENCEVERIFY compares with the input sequence', () => {
+		assert.strictEqual(run(["[10]", "OP_CHECKSEQUENCEVERIFY"], tx(0, 10)), "real =>  [10] []");
+		assert.match(run(["[11]", "OP_CHECKSEQUENCEVERIFY"], tx(0, 10)), /the script requires 11 blocks but the input sequence is 10 blocks/);
+		assert.match(run(["[10]", "OP_CHECKSEQUENCEVERIFY"], tx(0, 0x400010)), /type mismatch: the script requires 10 blocks but the input sequence is 16 × 512 seconds/);
+		assert.match(run(["[10]", "OP_CHECKSEQUENCEVERIFY"], tx(0, 10, 1)), /needs transaction version 2 or later, the transaction is version 1/);
+		assert.match(run(["[10]", "OP_CHECKSEQUENCEVERIFY"], tx(0, 0x8000000a)), /input sequence 0x8000000a has the disable flag set/);
+	});
+
+	test('CHECKSEQUENCEVERIFY with the disable flag is a NOP', () => {
+		assert.strictEqual(run(["[2147483648]", "OP_CHECKSEQUENCEVERIFY"], tx(0, 0, 1)), "real =>  [0x0000008000] []");
+	});
+
+	test('symbolic operands become constraints of the path', () => {
+		let hints = evaluateBlock(["[T, A]", "OP_NOTIF", "OP_ENDIF", "OP_CHECKLOCKTIMEVERIFY"], { mode: "real", transaction: tx(800, 0) });
+		assert.strictEqual(hints[2].text.trim(), "real =>  A && ((0<=T)&&(T<801)): [T] [] | !A && ((0<=T)&&(T<801)): [T] []");
+		hints = evaluateBlock(["[T, A]", "OP_NOTIF", "OP_ENDIF", "OP_CHECKSEQUENCEVERIFY"], { mode: "real", transaction: tx(0, 0x400010) });
+		assert.match(hints[2].text, /\(\(4194304<=T\)&&\(T<4194321\)\)/);
+	});
+
+	test('toy mode assumes timelocks without a transaction', () => {
+		let hints = evaluateBlock(["[800]", "OP_CHECKLOCKTIMEVERIFY"], { mode: "toy" });
+		assert.strictEqual(hints[0].text.trim(), "toy =>  [800] []");
+		hints = evaluateBlock(["[800]", "OP_CHECKLOCKTIMEVERIFY"], { mode: "real" });
+		assert.match(hints[0].text, /Timelock checks in real mode need a transaction/);
+	});
+});
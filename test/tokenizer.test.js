@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { tokenize } = require('../src/tokenizer');
+
+/**
+ * @param {String} text
+ * @returns {String[]}
+ */
+function texts(text) {
+	return tokenize(text.split("\n")).map((token) => token.text);
+}
+
+suite('Tokenizer Test Suite', () => {
+	test('splits a line into tokens with their ranges', () => {
+		let tokens = tokenize(["OP_DUP OP_HASH160 <pk>  OP_EQUALVERIFY"]);
+		assert.deepStrictEqual(tokens.map(({ text, start, end }) => [text, start, end]), [
+			["OP_DUP", 0, 6], ["OP_HASH160", 7, 17], ["<pk>", 18, 22], ["OP_EQUALVERIFY", 24, 38]
+		]);
+		assert.deepStrictEqual(tokens.map((token) => token.kind), ["opcode", "opcode", "data", "opcode"]);
+	});
+
+	test('skips line and block comments', () => {
+		assert.deepStrictEqual(texts("OP_DUP // OP_DROP\nOP_ADD/* OP_SUB\nOP_MUL */OP_NIP"), ["OP_DUP", "OP_ADD", "OP_NIP"]);
+		let tokens = tokenize(["1 /* a */ 2", "3"]);
+		assert.deepStrictEqual(tokens.map(({ line, start }) => [line, start]), [[0, 0], [0, 10], [1, 0]]);
+	});
+
+	test('keeps strings and explicit pushes whole', () => {
+		assert.deepStrictEqual(texts(`"a b, c" OP_PUSHDATA1 'x y' OP_PUSHDATA2 0x01,-5`), [`"a b, c"`, "OP_PUSHDATA1 'x y'", "OP_PUSHDATA2 0x01", "-5"]);
+		assert.deepStrictEqual(tokenize(["} -5 0o17"]).map((token) => token.kind), ["word", "number", "number"]);
+	});
+
+	test('braces are tokens of their own', () => {
+		assert.deepStrictEqual(texts("for i in 0..2 {OP_DUP}{ i+1 }"), ["for", "i", "in", "0..2", "{", "OP_DUP", "}", "{", "i+1", "}"]);
+	});
+
+	test('starts at the given line', () => {
+		assert.deepStrictEqual(tokenize(["[1] OP_DUP", "OP_ADD"], 1).map((token) => token.line), [1]);
+	});
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { evaluateBlock, parseVectors } = require('../src/interpreter');
+
+/**
+ * @param {String} script
+ * @returns {String[]} - every hint but the limits summary, trimmed
+ */
+function run(script) {
+	return evaluateBlock(script.split("\n"))
+		.filter((hint) => !hint.text.includes("limits:"))
+		.map((hint) => `${hint.index}: ${hint.text.trim()}`);
+}
+
+suite('Input Vectors Test Suite', () => {
+	test('reads the header and the inputs lines', () => {
+		let { vectors, hints } = parseVectors(["[1, 2]", "// inputs: [3] [4] => [7]", "OP_ADD", "// inputs big: [x=300, 5]", "// inputs: 5"]);
+		assert.deepStrictEqual(vectors, [
+			{ label: "#1", index: 0, main: "[1, 2]", alt: "[]", expected: null },
+			{ label: "#2", index: 1, main: "[3]", alt: "[4]", expected: { main: ["7"], alt: null } },
+			{ label: "big", index: 3, main: "[x=300, 5]", alt: "[]", expected: null }
+		]);
+		assert.strictEqual(hints.length, 1);
+		assert.strictEqual(hints[0].index, 4);
+		assert.strictEqual(hints[0].isError, true);
+	});
+
+	test('runs the block once per vector and shows the first one', () => {
+		assert.deepStrictEqual(run("// inputs: [2, 3] => [5]\n// inputs: [1, 1] => [3]\n// inputs: [A] => [A]\nOP_ADD"), [
+			"3: toy =>  [5] []",
+			"0: toy => ✓ #1 passes, shown",
+			"1: toy => ✗ #2 fails: expected [3] but got [2] at the end",
+			"2: toy => ✗ #3 fails at OP_ADD: ADD requires two items in stack",
+			"0: toy => 1 of 3 input vectors pass, showing #1"
+		]);
+	});
+
+	test('picks the shown vector by position or name', () => {
+		let script = "[1, 2]\n// inputs big: [100, 200]\nOP_ADD\n// @vector ";
+		assert.strictEqual(run(script + "2")[0], "2: toy =>  [300] []");
+		assert.strictEqual(run(script + "big")[0], "2: toy =>  [300] []");
+		assert.deepStrictEqual(run(script + "small"), ["3: => Unknown vector small, expected #1 or big"]);
+	});
+
+	test('a single vector only gets a status when it has expected stacks', () => {
+		assert.deepStrictEqual(run("[1]\nOP_DUP"), ["1: toy =>  [1, 1] []"]);
+		assert.deepStrictEqual(run("// inputs: [1] => [1, 1] [2]\nOP_DUP"), [
+			"1: toy =>  [1, 1] []", "0: toy => ✗ #1 fails: expected [1, 1] [2] but got [1, 1] [] at the end"
+		]);
+	});
+});